@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { runCli } from '../src/cli/redshiftExplain.js';
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+process.exitCode = await runCli(process.argv.slice(2), {
+  readFile: path => readFile(path, 'utf8'),
+  readStdin,
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text),
+});
@@ -0,0 +1,38 @@
+// Times the plan pipeline on the 1,500-line ETL plan fixture (54 UNION ALL branches of
+// hash join chains) and fails when a step exceeds its budget (`npm run benchmark`).
+// The budgets are several times what the steps take on a slow machine, so they only
+// trip on a real regression such as quadratic parsing or per-node rescans. Wall-clock
+// budgets depend on the machine, so this runs on its own rather than in `npm test`.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { planTasks } from '../src/plan/planTasks.js';
+import { planToMermaid } from '../src/plan/mermaid.js';
+import { collapseBelowDepth } from '../src/plan/collapse.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const LARGE_PLAN = fs.readFileSync(path.join(root, 'src', 'plan', '__fixtures__', 'large-plan.txt'), 'utf8');
+const noProgress = () => {};
+
+const { plan } = planTasks.load({ planText: LARGE_PLAN, statsText: '', tablesText: '' }, noProgress);
+
+const STEPS = [
+  { name: 'parse', budget: 1000, run: () => planTasks.load({ planText: LARGE_PLAN, statsText: '', tablesText: '' }, noProgress) },
+  { name: 'analyze', budget: 2000, run: () => planTasks.analyze({ plan, settings: {}, tables: null }, noProgress) },
+  { name: 'mermaid source', budget: 1000, run: () => planToMermaid(plan, 'light') },
+  { name: 'collapsed mermaid source', budget: 1000, run: () => planToMermaid(plan, 'light', collapseBelowDepth(plan, 6)) },
+  { name: 'compare', budget: 3000, run: () => planTasks.compare({ leftText: LARGE_PLAN, rightText: LARGE_PLAN }, noProgress) },
+];
+
+let failed = false;
+STEPS.forEach(step => {
+  const start = performance.now();
+  step.run();
+  const elapsed = performance.now() - start;
+  const over = elapsed > step.budget;
+  failed = failed || over;
+  console.log(`${step.name.padEnd(26)} ${elapsed.toFixed(0).padStart(6)} ms  (budget ${step.budget} ms)${over ? '  OVER BUDGET' : ''}`);
+});
+
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,77 @@
+// Builds the embeddable visualizer into dist/embed (`npm run build:embed`):
+//   plan-visualizer.js          ES module exporting src/embed.js, with React and
+//                               react-dom left to the host application (peer dependencies)
+//   plan-visualizer-element.js  classic script that bundles React and registers
+//                               <plan-visualizer>, for pages without React
+// The plan worker is emitted next to each bundle and loaded from there.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import webpack from 'webpack';
+
+process.env.NODE_ENV = 'production';
+process.env.BABEL_ENV = 'production';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outputPath = path.join(root, 'dist', 'embed');
+
+function config(entry, filename, output, externals = {}) {
+  return {
+    mode: 'production',
+    entry: path.join(root, entry),
+    output: {
+      path: outputPath,
+      filename,
+      chunkFilename: `${path.basename(filename, '.js')}.[name].js`,
+      publicPath: 'auto',
+      // Mermaid loads each diagram type on demand; keep them in the one bundle
+      asyncChunks: false,
+      ...output,
+    },
+    externals,
+    performance: { hints: false },
+    module: {
+      rules: [
+        {
+          test: /\.js$/,
+          include: path.join(root, 'src'),
+          loader: 'babel-loader',
+          options: { presets: [['babel-preset-react-app', { runtime: 'automatic' }]], babelrc: false, configFile: false },
+        },
+        { test: /\.css$/, use: ['style-loader', 'css-loader'] },
+      ],
+    },
+  };
+}
+
+const REACT_EXTERNALS = {
+  react: 'react',
+  'react-dom': 'react-dom',
+  'react-dom/client': 'react-dom/client',
+  'react/jsx-runtime': 'react/jsx-runtime',
+};
+
+const configs = [
+  {
+    ...config('src/embed.js', 'plan-visualizer.js', { library: { type: 'module' }, chunkFormat: 'module' }, REACT_EXTERNALS),
+    experiments: { outputModule: true },
+    externalsType: 'module',
+  },
+  config('src/embedElement.js', 'plan-visualizer-element.js', { iife: true }),
+];
+
+webpack(configs, (error, stats) => {
+  if (error) {
+    console.error(error);
+    process.exit(1);
+  }
+  const info = stats.toJson({ all: false, errors: true, warnings: true, assets: true });
+  info.children.forEach(child => child.warnings.forEach(warning => console.warn(warning.message)));
+  if (stats.hasErrors()) {
+    info.children.forEach(child => child.errors.forEach(e => console.error(e.message)));
+    process.exit(1);
+  }
+  info.children.forEach(child => child.assets.forEach(asset => {
+    console.log(`${path.join('dist', 'embed', asset.name)}  ${(asset.size / 1024).toFixed(0)} kB`);
+  }));
+});
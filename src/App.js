@@ -1,579 +1,621 @@
-import React, { useState, useRef, useEffect } from "react";
-import Editor from "react-simple-code-editor";
-import { highlight, languages } from "prismjs";
-import "prismjs/components/prism-sql"; // Import SQL language for highlighting
-import "prismjs/themes/prism.css"; // Default Prism theme
-import mermaid from "mermaid";
-
-// Helper function to render markdown links
-function renderMessageWithLinks(message) {
-  const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-  const parts = [];
-  let lastIndex = 0;
-  let match;
-
-  while ((match = linkRegex.exec(message)) !== null) {
-    if (match.index > lastIndex) {
-      parts.push(message.substring(lastIndex, match.index));
-    }
-    const [fullMatch, linkText, linkUrl] = match;
-    parts.push({ text: linkText, url: linkUrl, isLink: true });
-    lastIndex = match.index + fullMatch.length;
-  }
+import React, { useState, useRef, useEffect, useMemo } from "react";
+import "./App.css";
+import { isScan } from "./plan/joins";
+import { lookupTable } from "./plan/tableMetadata";
+import { collapseBelowDepth, expandPathTo, toggleCollapsed } from "./plan/collapse";
+import { runPlanTask } from "./workers/planWorkerClient";
+import { loadRuleSettings, saveRuleSettings } from "./storage/ruleSettings";
+import { loadQmrRules, saveQmrRules } from "./storage/qmrRules";
+import { decodePermalink, encodePermalink, isPermalink } from "./storage/permalink";
+import { listPlans, recordPlan, updatePlan } from "./storage/planLibrary";
+import RuleSettingsPanel from "./components/RuleSettingsPanel";
+import PlanDiffSummary from "./components/PlanDiffSummary";
+import SqlPane from "./components/SqlPane";
+import IcicleView from "./components/IcicleView";
+import ExportPanel from "./components/ExportPanel";
+import PlanLibrary from "./components/PlanLibrary";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import PlanMetadataBanner from "./components/PlanMetadataBanner";
+import NodeSearch from "./components/NodeSearch";
+import BatchPanel from "./components/BatchPanel";
+import NodeAnnotations from "./components/NodeAnnotations";
+import CostHotspots from "./components/CostHotspots";
+import PlanTree from "./components/PlanTree";
+import QmrSimulator from "./components/QmrSimulator";
+import PlanEditor, { editorStyle } from "./components/PlanEditor";
+import PlanVisualizer from "./components/PlanVisualizer";
+import { THEMES } from "./components/themes";
+import { exportAs } from "./export/exportPlan";
+import { linkSqlToPlan, nodesForSelection } from "./plan/sqlLink";
+import { findNodes } from "./plan/nodeFilter";
+import { annotationsFor, carryOverAnnotations, createAnnotation } from "./plan/annotations";
 
-  if (lastIndex < message.length) {
-    parts.push(message.substring(lastIndex));
+function DynamicMermaidFromXML() {
+  const [xmlInput, setXmlInput] = useState(`XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)
+  Hash Cond: (a.id = b.id)
+  ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
+        ->  XN Seq Scan on b  (cost=0.00..59.00 rows=1000 width=4)`);
+  const [xmlInput2, setXmlInput2] = useState('');
+  const [statsInput, setStatsInput] = useState('');
+  const [statsSummary, setStatsSummary] = useState(null);
+  const [tablesInput, setTablesInput] = useState('');
+  const [tableMetadata, setTableMetadata] = useState(null);
+  const [sqlInput, setSqlInput] = useState('');
+  const [sqlLinkedNodes, setSqlLinkedNodes] = useState([]);
+  
+  const [plan, setPlan] = useState(null);
+  const [planText, setPlanText] = useState(''); // the text `plan` was parsed from
+  const [warnings, setWarnings] = useState([]);
+  const [collapseDepth, setCollapseDepth] = useState(6);
+  const [collapsed, setCollapsed] = useState(new Set()); // ids of nodes whose subtrees are hidden
+  const [task, setTask] = useState(null); // progress of the running load/compare task
+  const [rendering, setRendering] = useState(false);
+  const [ruleSettings, setRuleSettings] = useState(loadRuleSettings);
+  const [showRuleSettings, setShowRuleSettings] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showBatch, setShowBatch] = useState(false);
+  const [batchRows, setBatchRows] = useState(null);
+  const [showQmr, setShowQmr] = useState(false);
+  const [qmrRules, setQmrRules] = useState(loadQmrRules);
+  const [libraryVersion, setLibraryVersion] = useState(0); // bumped after each save so the library list reloads
+  const [shareUrl, setShareUrl] = useState(null);
+  const [shareCopy, setShareCopy] = useState(null); // 'copied' or 'failed' for the current link
+  const [linkError, setLinkError] = useState(null);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [comparison, setComparison] = useState(null);
+  const [theme, setTheme] = useState('light');
+  const [highlightedNodeId, setHighlightedNodeId] = useState(null); // the selected node
+  const [viewMode, setViewMode] = useState('diagram'); // 'diagram' or 'icicle'
+  const [showHotspots, setShowHotspots] = useState(true);
+  const visualizerRef = useRef(null);
+  const cancelTaskRef = useRef(null);
+  const pendingLibrarySaveRef = useRef(null); // generated plan waiting for its warning count
+  const libraryEntryIdRef = useRef(null); // library entry of the plan on screen, once saved
+  const pendingAnnotationsRef = useRef(null); // { planText, annotations } restored from the library or a link
+  const [annotations, setAnnotations] = useState([]);
+
+  const currentTheme = THEMES[theme];
+
+  // PlanVisualizer re-runs the rules whenever the plan or the rule settings change
+  function receiveAnalysis(analysis) {
+    setWarnings(analysis.warnings);
+    // Save newly generated plans to the library once their warnings are known
+    const pending = pendingLibrarySaveRef.current;
+    if (analysis.plan && pending && pending.plan === analysis.plan) {
+      pendingLibrarySaveRef.current = null;
+      recordPlan({ ...pending, warningCount: analysis.warnings.length })
+        .then(id => {
+          libraryEntryIdRef.current = id;
+          setLibraryVersion(version => version + 1);
+        })
+        // Without IndexedDB there is simply no library
+        .catch(() => {});
+    }
   }
 
-  return (
-    <>{parts.map((part, index) => {
-      if (part.isLink) {
-        return <a key={index} href={part.url} target="_blank" rel="noopener noreferrer" style={{color: '#0d47a1'}}>{part.text}</a>;
-      }
-      return <React.Fragment key={index}>{part}</React.Fragment>;
-    })}</>
+  // Plan node <-> SQL text links; not available while a comparison is shown
+  const sqlLink = useMemo(
+    () => (plan && !comparison && sqlInput.trim() ? linkSqlToPlan(sqlInput, plan) : null),
+    [plan, comparison, sqlInput]
   );
-}
+  const sqlHighlights = sqlLink && highlightedNodeId && sqlLink.nodeRegions[highlightedNodeId]
+    ? sqlLink.nodeRegions[highlightedNodeId].map(index => sqlLink.regions[index])
+    : [];
+
+  // Scanned relations the pasted table metadata does not cover
+  const tablesWithoutMetadata = useMemo(() => {
+    if (!plan || !tableMetadata) {
+      return [];
+    }
+    const relations = plan.order.map(id => plan.nodes[id]).filter(node => isScan(node) && node.relation).map(node => node.relation);
+    return [...new Set(relations)].filter(relation => !lookupTable(tableMetadata, relation));
+  }, [plan, tableMetadata]);
 
-// Analyze EXPLAIN plan for performance warnings
-function analyzePerformanceWarnings(nodeInfos) {
-  const warnings = [];
+  const showIcicle = viewMode === 'icicle' && plan && !comparison;
 
-  for (const nodeId in nodeInfos) {
-    const node = nodeInfos[nodeId];
-    
-    // Add safety checks
-    if (!node || !node.details || !Array.isArray(node.details) || node.details.length === 0) {
-      continue; // Skip this node if it doesn't have valid details
+  // Nodes matching the search bar; `matches` stays null while there is no query
+  const search = useMemo(() => {
+    if (!plan || comparison || !searchQuery.trim()) {
+      return { matches: null, error: null };
     }
-    
-    const content = node.details[0]; // Now safe to access
-
-    // Check for Nested Loop joins
-    if (content.includes('Nested Loop')) {
-      warnings.push({
-        type: 'warning',
-        message: '⚠️ Nested Loop join detected. This can be very slow if the inner table is large. Consider adding proper join conditions or indexes. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_Nested_loop_join.html)',
-        severity: 'high',
-        nodeId: nodeId
-      });
-    }
-    
-    // Check for large Seq Scans
-    if (content.includes('Seq Scan')) {
-      const rowsMatch = content.match(/rows=(\d+)/);
-      if (rowsMatch) {
-        const rows = parseInt(rowsMatch[1]);
-        if (rows > 10000) {
-          warnings.push({
-            type: 'warning',
-            message: `⚠️ Large Seq Scan detected (${rows.toLocaleString()} rows). Consider adding a sort key or filter conditions to reduce the scan size. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/t_Analyzing_tables.html)`,
-            severity: 'medium',
-            nodeId: nodeId
-          });
-        }
-      }
-    }
-    
-    // Check for DS_BCAST operations
-    if (content.includes('DS_BCAST')) {
-      warnings.push({
-        type: 'info',
-        message: 'ℹ️ Broadcast operation detected. Ensure the inner table being broadcast is small to avoid high network traffic. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/r_SVL_QUERY_REPORT.html#r_SVL_QUERY_REPORT-ds_bcast_inner)',
-        severity: 'medium',
-        nodeId: nodeId
-      });
+    try {
+      return { matches: findNodes(plan, searchQuery), error: null };
+    } catch (e) {
+      return { matches: null, error: e.message };
     }
+  }, [plan, comparison, searchQuery]);
 
-    // Check for expensive Hash operations using exclusive cost
-    if (content.includes('Hash') && node.exclusiveCost > 50) {
-      warnings.push({
-        type: 'warning',
-        message: `⚠️ Expensive Hash operation detected (exclusive cost: ${node.exclusiveCost.toFixed(2)}). Consider if this hash step is necessary or if the data can be pre-sorted. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_Hash_join.html)`,
-        severity: 'medium',
-        nodeId: nodeId
-      });
+  // Runs a load, compare or batch task in the worker, replacing any task still running
+  function startTask(type, payload, onResult, onError) {
+    if (cancelTaskRef.current) {
+      cancelTaskRef.current();
     }
+    setTask({ message: 'Starting', step: 0, steps: 1 });
+    const finish = callback => value => {
+      cancelTaskRef.current = null;
+      setTask(null);
+      callback(value);
+    };
+    cancelTaskRef.current = runPlanTask(type, payload, {
+      onProgress: setTask,
+      onResult: finish(onResult),
+      onError: finish(onError),
+    });
   }
 
-  // Remove duplicate warnings
-  const uniqueWarnings = warnings.filter((warning, index, self) => 
-    index === self.findIndex(w => w.message === warning.message)
-  );
-  
-  return uniqueWarnings;
-}
-
-// 用遞迴解析 Plan，產生 Mermaid 節點與連線
-function parseExplainToMermaid(text, theme) { // Added theme parameter
-  const lines = text.split('\n').filter(line => line.trim() !== '');
-  const nodes = [];
-  const edges = [];
-  const styles = [];
-  const nodeDetailsMap = {}; // Initialize nodeDetailsMap
-
-  if (lines.length === 0) {
-    return { nodes, edges, styles, nodeDetailsMap }; // Return nodeDetailsMap
-  }
-
-  let idCounter = 0;
-  const nodeStack = []; // { id, indentation }
-  const nodeInfos = {}; // id -> { details: [], totalCost: 0, children: [] }
-  const costRegex = /cost=([\d.]+)\\..([\d.]+)/;
-
-  lines.forEach(line => {
-    const indentation = line.search(/\S|$/);
-    const content = line.trim();
-    const costMatch = content.match(costRegex);
-    const totalCost = costMatch ? parseFloat(costMatch[2]) : 0;
-
-    if (content.startsWith('->')) {
-      const nodeText = content.replace(/^->\\s*/, '');
-      const id = `node${idCounter++}`;
-      
-      while (nodeStack.length > 0 && nodeStack[nodeStack.length - 1].indentation >= indentation) {
-        nodeStack.pop();
-      }
-
-      if (nodeStack.length > 0) {
-        const parentId = nodeStack[nodeStack.length - 1].id;
-        edges.push(`${parentId} --> ${id}`);
-        if (nodeInfos[parentId]) {
-          nodeInfos[parentId].children.push(id);
-        }
-      }
-
-      nodeStack.push({ id, indentation });
-      nodeInfos[id] = { details: [nodeText], totalCost, children: [] };
-    } else if (nodeStack.length === 0) { // Root node
-      const id = `node${idCounter++}`;
-      nodeStack.push({ id, indentation });
-      nodeInfos[id] = { details: [content], totalCost, children: [] };
-    } else { // Additional info for the last node
-      const lastNodeId = nodeStack[nodeStack.length - 1].id;
-      if (nodeInfos[lastNodeId]) {
-        nodeInfos[lastNodeId].details.push(content);
-        // If the root node's cost is on a separate line
-        if (nodeInfos[lastNodeId].totalCost === 0 && totalCost > 0) {
-          nodeInfos[lastNodeId].totalCost = totalCost;
-        }
-      }
-    }
-  });
-
-  // Calculate exclusive cost
-  for (const id in nodeInfos) {
-    const node = nodeInfos[id];
-    const childrenTotalCost = node.children.reduce((sum, childId) => {
-      return sum + (nodeInfos[childId]?.totalCost || 0);
-    }, 0);
-    node.exclusiveCost = node.totalCost - childrenTotalCost;
-    // Handle floating point inaccuracies
-    if (node.exclusiveCost < 0) {
-        node.exclusiveCost = 0;
+  function cancelTask() {
+    if (cancelTaskRef.current) {
+      cancelTaskRef.current();
+      cancelTaskRef.current = null;
     }
+    setTask(null);
   }
 
-  const allExclusiveCosts = Object.values(nodeInfos).map(info => info.exclusiveCost).filter(c => c > 0);
-  let highCostThreshold = 0;
-  let mediumCostThreshold = 0;
-
-  if (allExclusiveCosts.length > 0) {
-    const sortedUniqueCosts = [...new Set(allExclusiveCosts)].sort((a, b) => b - a);
-    const maxCost = sortedUniqueCosts[0] || 0;
-    
-    if (sortedUniqueCosts.length > 1) {
-      const secondMaxCost = sortedUniqueCosts[1];
-      // Set the "high cost" threshold just below the max cost
-      highCostThreshold = (maxCost + secondMaxCost) / 2;
-    } else {
-      // If only one cost, anything above 0 is "high cost"
-      highCostThreshold = 0.00001;
-    }
-    
-    // Medium threshold remains a fraction of the absolute max cost
-    mediumCostThreshold = maxCost * 0.33;
+  // `inputs` default to the editors; permalinks pass their own along with the node to select
+  function generateDiagram(inputs = { planText: xmlInput, statsText: statsInput, tablesText: tablesInput, sqlText: sqlInput }, selectNodeId = null) {
+    const { planText, statsText, tablesText } = inputs;
+    startTask('load', { planText, statsText, tablesText }, result => {
+      const selected = selectNodeId && result.plan.nodes[selectNodeId] ? selectNodeId : null;
+      const collapsedIds = collapseBelowDepth(result.plan, collapseDepth);
+      // Notes saved with this exact plan text come back as they were; otherwise the
+      // notes on the previous plan move to the matching nodes of the new one
+      const restored = pendingAnnotationsRef.current;
+      pendingAnnotationsRef.current = null;
+      const { annotations: nextAnnotations, lost } = restored && restored.planText === planText
+        ? { annotations: restored.annotations, lost: [] }
+        : carryOverAnnotations(plan ? annotations : [], plan || result.plan, result.plan);
+      const notes = nextAnnotations.length > 0 && lost.length > 0
+        ? [`${lost.length} review note${lost.length === 1 ? '' : 's'} had no matching node in the new plan; the previous plan in the Library still has them`]
+        : [];
+      setPlan(result.plan);
+      setPlanText(planText);
+      setAnnotations(nextAnnotations);
+      libraryEntryIdRef.current = null;
+      pendingLibrarySaveRef.current = { plan: result.plan, ...inputs, annotations: nextAnnotations };
+      setCollapsed(selected ? expandPathTo(result.plan, collapsedIds, selected) : collapsedIds);
+      setHighlightedNodeId(selected); // Clear the selected node on a new diagram
+      setComparison(null);
+      setSqlLinkedNodes([]);
+      setStatsSummary(result.statsSummary);
+      setTableMetadata(result.tableMetadata);
+      setDiagnostics({ error: null, sections: [{ title: 'Plan', ...result.input, notes: [...result.input.notes, ...notes] }] });
+    }, e => {
+      setDiagnostics({ error: "Parse error: " + e.message, sections: [] });
+      setPlan(null);
+      setWarnings([]);
+      setComparison(null);
+      setStatsSummary(null);
+      setTableMetadata(null);
+    });
   }
 
-
-  for (const id in nodeInfos) {
-    const { details, exclusiveCost } = nodeInfos[id];
-    const labelWithCost = [...details, `<b>Self Cost: ${exclusiveCost.toFixed(2)}</b>`];
-    const label = labelWithCost.join('<br/>').replace(/"/g, '"');
-    nodes.push(`${id}["${label}"]`);
-    nodeDetailsMap[id] = { details: Array.isArray(details) ? details : [details], exclusiveCost }; // Ensure details is always an array
-
-    if (exclusiveCost > 0) {
-      let color;
-      if (exclusiveCost >= highCostThreshold) {
-        color = theme === 'dark' ? '#8B0000' : '#ffcccc'; // High cost - dark/light red
-      } else if (exclusiveCost >= mediumCostThreshold) {
-        color = theme === 'dark' ? '#BDB76B' : '#ffffcc'; // Medium cost - dark/light yellow
-      } else {
-        color = theme === 'dark' ? '#2E8B57' : '#ccffcc'; // Low cost - dark/light green
-      }
-      styles.push(`style ${id} fill:${color},stroke:#333,stroke-width:2px`);
+  // Selects a node by its diagram id, expanding collapsed ancestors so it is visible
+  function selectNode(nodeId) {
+    setHighlightedNodeId(nodeId);
+    if (!comparison && plan && plan.nodes[nodeId]) {
+      setCollapsed(current => expandPathTo(plan, current, nodeId));
     }
   }
 
-  return { nodes, edges, styles, nodeDetailsMap }; // Return nodeDetailsMap
-}
-
+  // Selects the node and moves focus to its details, for keyboard users
+  function openNodeDetails(nodeId) {
+    visualizerRef.current.openNode(nodeId);
+  }
 
-function DynamicMermaidFromXML() {
-  const [xmlInput, setXmlInput] = useState(`XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)
-  Hash Cond: (a.id = b.id)
-  ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)
-  ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
-        ->  XN Seq Scan on b  (cost=0.00..59.00 rows=1000 width=4)`);
-  const [xmlInput2, setXmlInput2] = useState('');
-  
-  const [mermaidCode, setMermaidCode] = useState("");
-  const [warnings, setWarnings] = useState([]);
-  const [theme, setTheme] = useState('light');
-  const [selectedNode, setSelectedNode] = useState(null);
-  const [nodeData, setNodeData] = useState({}); // To store node details for interactive display
-  const containerRef = useRef(null);
-
-  const lightTheme = {
-    background: '#ffffff',
-    text: '#000000',
-    button: '#d32f2f',
-    buttonText: '#ffffff',
-    textarea: '#ffffff',
-    diagramContainer: '#ffffff',
-    warnings: {
-      high: '#ffebee',
-      medium: '#fff3e0',
-      info: '#e3f2fd'
-    }
-  };
-
-  const darkTheme = {
-    background: '#121212',
-    text: '#ffffff',
-    button: '#d32f2f',
-    buttonText: '#ffffff',
-    textarea: '#333333',
-    diagramContainer: '#333333',
-    warnings: {
-      high: '#4a148c',
-      medium: '#e65100',
-      info: '#01579b'
+  function changeCollapseDepth(depth) {
+    setCollapseDepth(depth);
+    if (plan) {
+      setCollapsed(collapseBelowDepth(plan, depth));
     }
-  };
-
-  const currentTheme = theme === 'light' ? lightTheme : darkTheme;
-
-  useEffect(() => {
-    mermaid.initialize({ startOnLoad: false, theme: theme === 'dark' ? 'dark' : 'default' });
+  }
 
-    // Removed Firebase loading logic
-  }, [theme]);
+  function updateRuleSettings(settings) {
+    setRuleSettings(settings);
+    saveRuleSettings(settings);
+  }
 
+  function updateQmrRules(rules) {
+    setQmrRules(rules);
+    saveQmrRules(rules);
+  }
 
-  function generateDiagram() {
+  async function exportDiagram(format, scale) {
     try {
-      const { nodes, edges, styles, nodeDetailsMap } = parseExplainToMermaid(xmlInput, theme);
-      const performanceWarnings = analyzePerformanceWarnings(nodeDetailsMap);
-      
-      setWarnings(performanceWarnings);
-      setNodeData(nodeDetailsMap); // Store node details
-      setSelectedNode(null); // Clear selected node on new diagram
-      
-      if (nodes.length === 0) {
-        setMermaidCode("");
-        if (containerRef.current) containerRef.current.innerHTML = "";
-        return;
-      }
-      const mermaidStr = `graph TD\n${nodes.join("\n")}\n${edges.join("\n")}\n${styles.join("\n")}`;
-      setMermaidCode(mermaidStr);
+      await exportAs(format, {
+        svgElement: visualizerRef.current.getSvgElement(),
+        mermaidCode: visualizerRef.current.getMermaidCode(),
+        // The single plan and its warnings stay in state under a comparison but are not what is shown
+        ...(comparison ? {} : { plan, planText, warnings, annotations }),
+      }, { scale, background: currentTheme.diagramContainer });
     } catch (e) {
-      alert("Parse error: " + e.message);
-      setMermaidCode("");
-      setWarnings([]);
-      if (containerRef.current) containerRef.current.innerHTML = "";
+      alert("Export failed: " + e.message);
     }
   }
 
-  useEffect(() => {
-    const renderMermaid = async () => {
-      if (!mermaidCode) {
-        if (containerRef.current) {
-          containerRef.current.innerHTML = "";
-        }
-        return;
-      }
-
-      try {
-        const { svg } = await mermaid.render("diagram", mermaidCode);
-        if (containerRef.current) {
-          containerRef.current.innerHTML = svg;
-          // Add click handlers to nodes
-          const svgElement = containerRef.current.querySelector('svg');
-          if (svgElement) {
-            svgElement.querySelectorAll('.node').forEach(nodeElement => {
-              const nodeId = nodeElement.id;
-              nodeElement.addEventListener('click', () => {
-                setSelectedNode(nodeData[nodeId]);
-              });
-            });
-          }
-        }
-      } catch (e) {
-        if (containerRef.current) {
-          const errorMessage = e instanceof Error ? e.message : String(e);
-          containerRef.current.innerHTML = `<pre style="color:red;">${errorMessage}</pre>`;
-        }
-      }
-    };
-
-    renderMermaid();
-  }, [mermaidCode, theme, nodeData]);
-
-  function downloadSvg() {
-    if (containerRef.current && containerRef.current.innerHTML) {
-      const svgContent = containerRef.current.innerHTML;
-      const blob = new Blob([svgContent], { type: "image/svg+xml" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "redshift-explain-plan.svg";
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }
-  }
 
   // Removed saveExplainPlan function
 
 
 
-  function normalizeNode(node) {
-    // Create a unique key for a node based on its details (excluding dynamic costs)
-    if (!node || !node.details) {
-      return '';
-    }
-    
-    // Ensure details is an array
-    const detailsArray = Array.isArray(node.details) ? node.details : [node.details];
-    return detailsArray.join('|').replace(/cost=[\d.]+\.\.[\d.]+/g, '');
-  }
-
-  function comparePlans() {
-    if (!xmlInput || !xmlInput2) {
-      alert("Please provide both Explain Plans for comparison.");
+  function comparePlans(leftText = xmlInput, rightText = xmlInput2, selectNodeId = null) {
+    if (!leftText || !rightText) {
+      setDiagnostics({ error: "Please provide both Explain Plans for comparison.", sections: [] });
       return;
     }
 
-    const { nodes: nodes1, edges: edges1, styles: styles1, nodeDetailsMap: nodeDetailsMap1 } = parseExplainToMermaid(xmlInput, theme);
-    const { nodes: nodes2, edges: edges2, styles: styles2, nodeDetailsMap: nodeDetailsMap2 } = parseExplainToMermaid(xmlInput2, theme);
-
-    const normalizedNodes1 = new Map();
-    for (const nodeId in nodeDetailsMap1) {
-      normalizedNodes1.set(normalizeNode(nodeDetailsMap1[nodeId]), nodeId);
-    }
+    startTask('compare', { leftText, rightText }, ({ diff, leftPlan, rightPlan, inputs }) => {
+      // Node ids in the comparison diagram are prefixed per side (a_ / b_) so they stay unique
+      const [, side, id] = (selectNodeId || '').match(/^([ab])_(.+)$/) || [];
+      const selected = id && (side === 'a' ? leftPlan : rightPlan).nodes[id] ? selectNodeId : null;
+      setComparison({ diff, leftPlan, rightPlan });
+      setHighlightedNodeId(selected);
+      setDiagnostics({ error: null, sections: inputs.map((input, index) => ({ title: `Plan ${index + 1}`, ...input })) });
+    }, e => setDiagnostics({ error: "Parse error: " + e.message, sections: [] }));
+  }
 
-    const normalizedNodes2 = new Map();
-    for (const nodeId in nodeDetailsMap2) {
-      normalizedNodes2.set(normalizeNode(nodeDetailsMap2[nodeId]), nodeId);
+  // Keeps the library entry (or the save still waiting for warnings) in step with the notes
+  function changeAnnotations(update) {
+    const next = update(annotations);
+    setAnnotations(next);
+    if (pendingLibrarySaveRef.current) {
+      pendingLibrarySaveRef.current.annotations = next;
+    } else if (libraryEntryIdRef.current) {
+      updatePlan(libraryEntryIdRef.current, { annotations: next })
+        .then(() => setLibraryVersion(version => version + 1))
+        .catch(() => {});
     }
+  }
 
-    const addedNodes = [];
-    const removedNodes = [];
-    const changedNodes = [];
-    const unchangedNodes = [];
-
-    // Identify added and changed nodes
-    for (const normalizedKey2 of normalizedNodes2.keys()) {
-      const nodeId2 = normalizedNodes2.get(normalizedKey2);
-      const node2 = nodeDetailsMap2[nodeId2];
-
-      if (normalizedNodes1.has(normalizedKey2)) {
-        const nodeId1 = normalizedNodes1.get(normalizedKey2);
-        const node1 = nodeDetailsMap1[nodeId1];
-        // Check for changes in details (e.g., cost, rows)
-        if (JSON.stringify(node1.details) !== JSON.stringify(node2.details) || node1.exclusiveCost !== node2.exclusiveCost) {
-          changedNodes.push({ nodeId1, nodeId2, node1, node2 });
-        } else {
-          unchangedNodes.push({ nodeId1, nodeId2, node1, node2 });
-        }
-      } else {
-        addedNodes.push({ nodeId: nodeId2, node: node2 });
-      }
+  async function shareLink() {
+    try {
+      const fragment = await encodePermalink({
+        plan: xmlInput,
+        comparePlan: xmlInput2,
+        sql: sqlInput,
+        stats: statsInput,
+        tables: tablesInput,
+        theme,
+        view: comparison ? 'compare' : viewMode,
+        selectedNodeId: highlightedNodeId,
+        annotations: comparison ? [] : annotations,
+      });
+      window.history.replaceState(null, '', `#${fragment}`);
+      setShareUrl(window.location.href);
+      setShareCopy(null);
+      setLinkError(null);
+    } catch (e) {
+      setShareUrl(null);
+      setLinkError(e.message);
     }
+  }
 
-    // Identify removed nodes
-    for (const normalizedKey1 of normalizedNodes1.keys()) {
-      if (!normalizedNodes2.has(normalizedKey1)) {
-        const nodeId1 = normalizedNodes1.get(normalizedKey1);
-        const node1 = nodeDetailsMap1[nodeId1];
-        removedNodes.push({ nodeId: nodeId1, node: node1 });
-      }
+  function loadFromLibrary(entry, editor) {
+    if (editor === 1) {
+      pendingAnnotationsRef.current = { planText: entry.planText, annotations: entry.annotations || [] };
+      setXmlInput(entry.planText);
+      setStatsInput(entry.statsText);
+      setTablesInput(entry.tablesText);
+      setSqlInput(entry.sqlText);
+    } else {
+      setXmlInput2(entry.planText);
     }
+  }
 
-    let combinedNodes = [];
-    let combinedEdges = [];
-    let combinedStyles = [];
+  function analyzeBatch(files) {
+    startTask('batch', { files, settings: ruleSettings }, setBatchRows, e => setDiagnostics({ error: "Batch analysis failed: " + e.message, sections: [] }));
+  }
 
-    // Add nodes from plan 1 (removed and unchanged)
-    for (const { nodeId, node } of removedNodes) {
-      combinedNodes.push(`${nodeId}["Removed: ${node.details[0]}"]`);
-      combinedStyles.push(`style ${nodeId} fill:#ffcccc,stroke:#f44336,stroke-width:2px`);
-    }
-    for (const { nodeId1, node1 } of unchangedNodes) {
-      combinedNodes.push(`${nodeId1}["Unchanged: ${node1.details[0]}"]`);
-      combinedStyles.push(`style ${nodeId1} fill:#ccffcc,stroke:#4CAF50,stroke-width:2px`);
-    }
+  // Statistics and SQL belong to whichever query was loaded before, so they are cleared
+  function openBatchPlan(row) {
+    setXmlInput(row.text);
+    setStatsInput('');
+    setSqlInput('');
+    generateDiagram({ planText: row.text, statsText: '', tablesText: tablesInput, sqlText: '' });
+  }
 
-    // Add nodes from plan 2 (added and changed)
-    for (const { nodeId, node } of addedNodes) {
-      combinedNodes.push(`${nodeId}["Added: ${node.details[0]}"]`);
-      combinedStyles.push(`style ${nodeId} fill:#cce0ff,stroke:#2196F3,stroke-width:2px`);
+  // Restores the inputs and view from a permalink and regenerates the diagram
+  async function openPermalink(fragment) {
+    let state;
+    try {
+      state = await decodePermalink(fragment);
+    } catch (e) {
+      setLinkError(e.message);
+      return;
     }
-    for (const { nodeId2, node2 } of changedNodes) {
-      combinedNodes.push(`${nodeId2}["Changed: ${node2.details[0]}"]`);
-      combinedStyles.push(`style ${nodeId2} fill:#ffffcc,stroke:#FFC107,stroke-width:2px`);
+    setLinkError(null);
+    setXmlInput(state.plan);
+    setXmlInput2(state.comparePlan);
+    setSqlInput(state.sql);
+    setStatsInput(state.stats);
+    setTablesInput(state.tables);
+    setTheme(state.theme);
+    setViewMode(state.view === 'icicle' ? 'icicle' : 'diagram');
+    pendingAnnotationsRef.current = { planText: state.plan, annotations: state.annotations };
+    if (state.view === 'compare') {
+      comparePlans(state.plan, state.comparePlan, state.selectedNodeId);
+    } else {
+      generateDiagram({ planText: state.plan, statsText: state.stats, tablesText: state.tables, sqlText: state.sql }, state.selectedNodeId);
     }
-
-    // Combine edges (simple union for now)
-    combinedEdges = [...new Set([...edges1, ...edges2])];
-
-    const combinedMermaidStr = `graph TD\n${combinedNodes.join("\n")}\n${combinedEdges.join("\n")}\n${combinedStyles.join("\n")}`;
-    setMermaidCode(combinedMermaidStr);
-
-    let summary = `Comparison Results:\n`;
-    summary += `Added Nodes: ${addedNodes.length}\n`;
-    summary += `Removed Nodes: ${removedNodes.length}\n`;
-    summary += `Changed Nodes: ${changedNodes.length}\n`;
-    summary += `Unchanged Nodes: ${unchangedNodes.length}\n`;
-    alert(summary);
   }
 
-  const highlightNode = (nodeId) => {
-    clearHighlights();
-    const svgElement = containerRef.current.querySelector('svg');
-    if (svgElement) {
-      const nodeElement = svgElement.querySelector(`#${nodeId}`);
-      if (nodeElement) {
-        nodeElement.classList.add('highlighted-node');
+  // The load and hashchange handlers outlive the render they were set up in, so they call
+  // the latest openPermalink and loadFromLibrary through this ref
+  const locationHandlersRef = useRef(null);
+  locationHandlersRef.current = { openPermalink, loadFromLibrary };
+
+  useEffect(() => {
+    const openFromLocation = () => {
+      if (isPermalink(window.location.hash)) {
+        locationHandlersRef.current.openPermalink(window.location.hash);
       }
+    };
+    if (isPermalink(window.location.hash)) {
+      openFromLocation();
+    } else {
+      // Start from the last saved plan rather than the sample
+      listPlans().then(([latest]) => latest && locationHandlersRef.current.loadFromLibrary(latest, 1), () => {});
     }
-  };
+    window.addEventListener('hashchange', openFromLocation);
+    return () => window.removeEventListener('hashchange', openFromLocation);
+  }, []);
 
-  const clearHighlights = () => {
-    const svgElement = containerRef.current.querySelector('svg');
-    if (svgElement) {
-      svgElement.querySelectorAll('.highlighted-node').forEach(nodeElement => {
-        nodeElement.classList.remove('highlighted-node');
-      });
-    }
-  };
+  function selectSqlText(start, end) {
+    setSqlLinkedNodes(sqlLink && start < end ? nodesForSelection(sqlLink, start, end) : []);
+  }
+
+  // Outline the highlighted node, the nodes produced by the SQL the user selected and
+  // the search matches, dimming the rest
+  const markedNodes = useMemo(() => ({
+    'highlighted-node': highlightedNodeId ? [highlightedNodeId] : [],
+    'sql-linked-node': sqlLinkedNodes,
+    'search-match': search.matches || [],
+    'search-dimmed': search.matches && plan ? plan.order.filter(id => !search.matches.includes(id)) : [],
+  }), [highlightedNodeId, sqlLinkedNodes, search, plan]);
 
   return (
     <div style={{ maxWidth: 800, margin: "0 auto", padding: 20, fontFamily: "Arial, sans-serif", textAlign: 'center', backgroundColor: currentTheme.background, color: currentTheme.text }}>
       <h2 style={{ color: currentTheme.button, marginBottom: '24px', fontSize: '2em' }}>Redshift Query Plan Visualizer</h2>
-      <Editor
-        value={xmlInput}
-        onValueChange={setXmlInput}
-        highlight={code => highlight(code, languages.sql, 'sql')}
-        padding={10}
-        style={{
-          fontFamily: '"Fira code", "Fira Mono", monospace',
-          fontSize: 14,
-          width: '100%',
-          boxSizing: 'border-box',
-          marginBottom: 10,
-          backgroundColor: currentTheme.textarea,
-          color: currentTheme.text,
-          border: '1px solid #ccc',
-          minHeight: '200px',
-          textAlign: 'left'
-        }}
+      <PlanEditor value={xmlInput} onValueChange={setXmlInput} currentTheme={currentTheme} />
+      <h3 style={{ color: currentTheme.button, marginBottom: 10, marginTop: 20 }}>SQL Query (optional, links plan nodes to the query)</h3>
+      <SqlPane
+        value={sqlInput}
+        onValueChange={setSqlInput}
+        highlights={sqlHighlights}
+        onSelectionChange={selectSqlText}
+        style={editorStyle(currentTheme, '120px')}
       />
-      <h3 style={{ color: currentTheme.button, marginBottom: 10, marginTop: 20 }}>Second Explain Plan (for comparison)</h3>
-      <Editor
-        value={xmlInput2}
-        onValueChange={setXmlInput2}
-        highlight={code => highlight(code, languages.sql, 'sql')}
-        padding={10}
-        style={{
-          fontFamily: '"Fira code", "Fira Mono", monospace',
-          fontSize: 14,
-          width: '100%',
-          boxSizing: 'border-box',
-          marginBottom: 10,
-          backgroundColor: currentTheme.textarea,
-          color: currentTheme.text,
-          border: '1px solid #ccc',
-          minHeight: '200px',
-          textAlign: 'left'
-        }}
+      <h3 style={{ color: currentTheme.button, marginBottom: 10, marginTop: 20 }}>Runtime Statistics (SVL_QUERY_SUMMARY or SVL_QUERY_REPORT, optional)</h3>
+      <PlanEditor
+        value={statsInput}
+        onValueChange={setStatsInput}
+        placeholder="Paste the query's SVL_QUERY_SUMMARY or SVL_QUERY_REPORT rows (psql table or CSV, with headers)"
+        minHeight="120px"
+        currentTheme={currentTheme}
       />
+      <h3 style={{ color: currentTheme.button, marginBottom: 10, marginTop: 20 }}>Table Definitions (CREATE TABLE, SVV_TABLE_INFO or PG_TABLE_DEF, optional)</h3>
+      <PlanEditor
+        value={tablesInput}
+        onValueChange={setTablesInput}
+        placeholder="Paste CREATE TABLE DDL, SVV_TABLE_INFO or PG_TABLE_DEF output for the tables in the plan"
+        minHeight="120px"
+        currentTheme={currentTheme}
+      />
+      <h3 style={{ color: currentTheme.button, marginBottom: 10, marginTop: 20 }}>Second Explain Plan (for comparison)</h3>
+      <PlanEditor value={xmlInput2} onValueChange={setXmlInput2} currentTheme={currentTheme} />
       <br />
-      <button onClick={comparePlans} style={{ marginTop: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#FF5722', color: 'white', border: 'none', borderRadius: 5 }}>
+      <button onClick={() => comparePlans()} style={{ marginTop: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#FF5722', color: 'white', border: 'none', borderRadius: 5 }}>
         Compare Plans
       </button>
       <br />
-      <button onClick={generateDiagram} style={{ marginTop: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: currentTheme.button, color: currentTheme.buttonText, border: 'none', borderRadius: 5 }}>
+      <button onClick={() => generateDiagram()} style={{ marginTop: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: currentTheme.button, color: currentTheme.buttonText, border: 'none', borderRadius: 5 }}>
         Generate Diagram
       </button>
-      <button onClick={downloadSvg} style={{ marginTop: 10, marginLeft: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#1976d2', color: 'white', border: 'none', borderRadius: 5 }}>
-        Export as SVG
+      <button onClick={() => setShowExport(!showExport)} style={{ marginTop: 10, marginLeft: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#1976d2', color: 'white', border: 'none', borderRadius: 5 }}>
+        {showExport ? 'Hide Export' : 'Export'}
       </button>
-      {/* Removed Save Plan button */}
-      {/* Removed Share URL display */}
-      <div
-        ref={containerRef}
-        data-testid="diagram-container"
-        style={{ marginTop: 20, border: "1px solid #ccc", padding: 10, minHeight: 200, backgroundColor: currentTheme.diagramContainer }}
-      />
-      
-      {/* Performance Warnings Section */}
-      {selectedNode && (
-        <div style={{ marginTop: 20, textAlign: 'left', background: currentTheme.warnings.info, padding: 15, borderRadius: 5, borderLeft: '4px solid #0d47a1' }}>
-          <h3 style={{ color: currentTheme.text, marginBottom: 10 }}>Selected Node Details</h3>
-          <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', color: currentTheme.text }}>
-            {selectedNode.details}
-            <br/>
-            <strong>Self Cost: {selectedNode.exclusiveCost.toFixed(2)}</strong>
-          </pre>
+      <button onClick={() => setShowRuleSettings(!showRuleSettings)} style={{ marginTop: 10, marginLeft: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#607d8b', color: 'white', border: 'none', borderRadius: 5 }}>
+        {showRuleSettings ? 'Hide Rule Settings' : 'Rule Settings'}
+      </button>
+      <button onClick={() => setShowLibrary(!showLibrary)} style={{ marginTop: 10, marginLeft: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#795548', color: 'white', border: 'none', borderRadius: 5 }}>
+        {showLibrary ? 'Hide Library' : 'Library'}
+      </button>
+      <button onClick={() => setShowBatch(!showBatch)} style={{ marginTop: 10, marginLeft: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#5e35b1', color: 'white', border: 'none', borderRadius: 5 }}>
+        {showBatch ? 'Hide Batch' : 'Batch'}
+      </button>
+      <button onClick={() => setShowQmr(!showQmr)} style={{ marginTop: 10, marginLeft: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#c62828', color: 'white', border: 'none', borderRadius: 5 }}>
+        {showQmr ? 'Hide QMR Simulator' : 'QMR Simulator'}
+      </button>
+      <button onClick={shareLink} style={{ marginTop: 10, marginLeft: 10, padding: "10px 20px", fontSize: '1em', cursor: 'pointer', backgroundColor: '#388e3c', color: 'white', border: 'none', borderRadius: 5 }}>
+        Share Link
+      </button>
+      {task && (
+        <div style={{ marginTop: 10, fontSize: '0.9em' }}>
+          <progress value={task.step} max={task.steps} style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          {task.message}…
+          <button onClick={cancelTask} style={{ marginLeft: 10, cursor: 'pointer' }}>Cancel</button>
+        </div>
+      )}
+      {showLibrary && (
+        <PlanLibrary refreshKey={libraryVersion} onLoad={loadFromLibrary} currentTheme={currentTheme} />
+      )}
+      {showBatch && (
+        <BatchPanel rows={batchRows} onAnalyze={analyzeBatch} onOpen={openBatchPlan} currentTheme={currentTheme} />
+      )}
+      {showQmr && (
+        <QmrSimulator
+          plan={comparison ? null : plan}
+          rules={qmrRules}
+          onChange={updateQmrRules}
+          onSelect={selectNode}
+          selectedNodeId={highlightedNodeId}
+          currentTheme={currentTheme}
+        />
+      )}
+      {showExport && (
+        <ExportPanel onExport={exportDiagram} planAvailable={Boolean(plan) && !comparison} currentTheme={currentTheme} />
+      )}
+      {showRuleSettings && (
+        <RuleSettingsPanel settings={ruleSettings} onChange={updateRuleSettings} currentTheme={currentTheme} />
+      )}
+      {shareUrl && (
+        <div style={{ marginTop: 10, textAlign: 'left', fontSize: '0.9em' }}>
+          Share this link:{' '}
+          <input readOnly value={shareUrl} onFocus={e => e.target.select()} style={{ width: '60%' }} />
+          {navigator.clipboard && (
+            <button
+              onClick={() => navigator.clipboard.writeText(shareUrl).then(() => setShareCopy('copied'), () => setShareCopy('failed'))}
+              style={{ marginLeft: 6, cursor: 'pointer' }}
+            >
+              {shareCopy === 'copied' ? 'Copied' : 'Copy'}
+            </button>
+          )}
+          {shareCopy === 'failed' && (
+            <span role="alert" style={{ marginLeft: 8 }}>Copy failed, select the link and copy it manually.</span>
+          )}
+        </div>
+      )}
+      {linkError && (
+        <div role="alert" style={{ marginTop: 10, textAlign: 'left', padding: 10, background: currentTheme.warnings.high, borderLeft: '4px solid #f44336', borderRadius: 3 }}>
+          {linkError}
+          <button onClick={() => setLinkError(null)} style={{ marginLeft: 10, cursor: 'pointer' }}>Dismiss</button>
         </div>
       )}
-      
-      {/* Performance Warnings Section */}
-      {warnings.length > 0 && (
+      {diagnostics && (
+        <DiagnosticsPanel
+          error={diagnostics.error}
+          sections={diagnostics.sections}
+          onDismiss={() => setDiagnostics(null)}
+          currentTheme={currentTheme}
+        />
+      )}
+      {plan && !comparison && (
+        <PlanMetadataBanner plan={plan} onSelect={selectNode} currentTheme={currentTheme} />
+      )}
+      {plan && !comparison && (
         <div style={{ marginTop: 20, textAlign: 'left' }}>
-          <h3 style={{ color: currentTheme.button, marginBottom: 10 }}>Performance Analysis</h3>
-          <div style={{ background: currentTheme.background, padding: 15, borderRadius: 5 }}>
-            {warnings.map((warning, index) => (
-              <div 
-                key={index} 
-                style={{ 
-                  marginBottom: 10, 
-                  padding: 10, 
-                  background: warning.severity === 'high' ? currentTheme.warnings.high : currentTheme.warnings.medium,
-                  borderLeft: `4px solid ${warning.severity === 'high' ? '#f44336' : '#ff9800'}`, 
-                  borderRadius: 3,
-                  cursor: 'pointer'
-                }}
-                onClick={() => {
-                  if (warning.nodeId) {
-                    highlightNode(warning.nodeId);
-                    setSelectedNode(nodeData[warning.nodeId]);
-                  }
-                }}
-              >
-                <div style={{ fontWeight: 'bold', marginBottom: 5 }}>
-                  {warning.type === 'warning' ? '⚠️ Warning' : 'ℹ️ Info'}
-                </div>
-                <div>{renderMessageWithLinks(warning.message)}</div>
-              </div>
-            ))}
-          </div>
+          {[['diagram', 'Flowchart'], ['icicle', 'Cost Icicle']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setViewMode(mode)}
+              style={{ marginRight: 6, padding: '4px 12px', cursor: 'pointer', border: '1px solid #1976d2', borderRadius: 4, backgroundColor: viewMode === mode ? '#1976d2' : currentTheme.background, color: viewMode === mode ? 'white' : currentTheme.text }}
+            >
+              {label}
+            </button>
+          ))}
+          <label style={{ marginLeft: 6, fontSize: '0.9em' }}>
+            <input type="checkbox" checked={showHotspots} onChange={e => setShowHotspots(e.target.checked)} style={{ marginRight: 4 }} />
+            Cost Hotspots
+          </label>
+          {!showIcicle && (
+            <span style={{ marginLeft: 12, fontSize: '0.9em' }}>
+              <label>
+                Collapse below depth{' '}
+                <input
+                  type="number"
+                  min="1"
+                  value={collapseDepth}
+                  onChange={e => changeCollapseDepth(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  style={{ width: 50 }}
+                />
+              </label>
+              <button onClick={() => setCollapsed(new Set())} disabled={collapsed.size === 0} style={{ marginLeft: 6, cursor: 'pointer' }}>
+                Expand all
+              </button>
+            </span>
+          )}
+          {rendering && <span style={{ marginLeft: 12, fontSize: '0.9em' }}>Rendering diagram…</span>}
+          <NodeSearch
+            plan={plan}
+            query={searchQuery}
+            onQueryChange={setSearchQuery}
+            matches={search.matches}
+            error={search.error}
+            selectedNodeId={highlightedNodeId}
+            onSelect={selectNode}
+            currentTheme={currentTheme}
+          />
         </div>
       )}
+      <PlanVisualizer
+        ref={visualizerRef}
+        plan={comparison ? comparison.leftPlan : plan}
+        compareWith={comparison ? comparison.rightPlan : undefined}
+        theme={theme}
+        rules={ruleSettings}
+        tables={tableMetadata}
+        selectedNodeId={highlightedNodeId}
+        onNodeSelect={selectNode}
+        onAnalysis={receiveAnalysis}
+        collapsed={collapsed}
+        onCollapsedChange={setCollapsed}
+        annotations={annotations}
+        markedNodes={markedNodes}
+        onRenderingChange={setRendering}
+        style={{ marginTop: plan && !comparison ? 10 : 20 }}
+        alternateView={showIcicle && (
+          <div style={{ marginTop: 10, border: "1px solid #ccc", padding: 10, backgroundColor: currentTheme.diagramContainer }}>
+            <IcicleView
+              plan={plan}
+              selectedNodeId={highlightedNodeId}
+              onSelect={selectNode}
+              matchedNodeIds={search.matches}
+              theme={theme}
+              currentTheme={currentTheme}
+            />
+          </div>
+        )}
+        aside={plan && !comparison && (
+          <div style={{ width: 320, flexShrink: 0 }}>
+            <PlanTree
+              plan={plan}
+              collapsed={collapsed}
+              selectedNodeId={highlightedNodeId}
+              warnings={warnings}
+              onSelect={selectNode}
+              onToggle={nodeId => setCollapsed(current => toggleCollapsed(current, nodeId))}
+              onOpen={openNodeDetails}
+              currentTheme={currentTheme}
+            />
+            {showHotspots && (
+              <CostHotspots plan={plan} selectedNodeId={highlightedNodeId} onSelect={selectNode} currentTheme={currentTheme} />
+            )}
+          </div>
+        )}
+        renderDetails={node => !comparison && plan && plan.nodes[node.id] === node && (
+          <NodeAnnotations
+            annotations={annotationsFor(annotations, node.id)}
+            onAdd={({ author, text }) => changeAnnotations(current => [...current, createAnnotation({ nodeId: node.id, author, text })])}
+            onToggleResolved={id => changeAnnotations(current => current.map(annotation => (annotation.id === id ? { ...annotation, resolved: !annotation.resolved } : annotation)))}
+            onDelete={id => changeAnnotations(current => current.filter(annotation => annotation.id !== id))}
+            currentTheme={currentTheme}
+          />
+        )}
+      >
+        {statsSummary && (
+          <p style={{ textAlign: 'left', fontSize: '0.9em' }}>
+            Runtime statistics: mapped {statsSummary.matched} of {statsSummary.total} steps to plan nodes
+            {statsSummary.unmatched.length > 0 && ` (no plan node for: ${[...new Set(statsSummary.unmatched.map(step => step.operation))].join(', ')})`}
+          </p>
+        )}
+        {tableMetadata && (
+          <p style={{ textAlign: 'left', fontSize: '0.9em' }}>
+            Table metadata: {Object.keys(tableMetadata).length} tables loaded
+            {tablesWithoutMetadata.length > 0 && `; no metadata for scanned tables ${tablesWithoutMetadata.join(', ')}`}
+          </p>
+        )}
+        {comparison && (
+          <PlanDiffSummary
+            diff={comparison.diff}
+            leftPlan={comparison.leftPlan}
+            rightPlan={comparison.rightPlan}
+            onSelect={selectNode}
+            currentTheme={currentTheme}
+          />
+        )}
+      </PlanVisualizer>
     </div>
   );
 }
@@ -32,4 +32,22 @@ describe('App component', () => {
       expect(diagramContainer).not.toBeEmptyDOMElement();
     });
   });
+
+  test('shows the plan\'s warnings and node details, and only the differences while comparing', async () => {
+    render(<App />);
+    const editors = screen.getAllByRole('textbox');
+    // The last editor holds the second plan
+    fireEvent.change(editors[editors.length - 1], { target: { value: editors[0].value.replace('DS_BCAST_INNER', 'DS_DIST_NONE') } });
+
+    fireEvent.click(screen.getByText(/Generate Diagram/i));
+    const [warning] = await screen.findAllByText('⚠️ Warning');
+    fireEvent.click(warning);
+    expect(await screen.findByText('Selected Node Details')).toBeInTheDocument();
+    expect(screen.getByText('Review Notes')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Compare Plans'));
+    expect(await screen.findByText('Comparison Results')).toBeInTheDocument();
+    expect(screen.queryByText('Performance Analysis')).not.toBeInTheDocument();
+    expect(screen.queryByText('Review Notes')).not.toBeInTheDocument();
+  });
 });
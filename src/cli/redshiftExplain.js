@@ -0,0 +1,149 @@
+import { parseArgs } from 'node:util';
+import {
+  SEVERITIES,
+  analyzePerformanceWarnings,
+  attachRuntimeStats,
+  getRules,
+  normalizePlanInput,
+  parseExplain,
+  parseQueryStats,
+  parseTableMetadata,
+  planMermaidSource,
+} from '../plan/index.js';
+
+// The `redshift-explain` command: reads a plan from a file or stdin, prints the
+// warnings as text or JSON (or the Mermaid source), and exits with
+// EXIT_THRESHOLD when warnings at or above --fail-on, or from a --fail-rule rule, fire.
+
+export const EXIT_OK = 0;
+export const EXIT_THRESHOLD = 1;
+export const EXIT_USAGE = 2;
+
+export const USAGE = `Usage: redshift-explain [options] [file]
+
+Reads Redshift EXPLAIN output from <file>, or from stdin when no file or "-" is given.
+PostgreSQL text plans and EXPLAIN (FORMAT JSON) output are detected and read too.
+Output copied from psql, the query editor or a CSV export is cleaned up first.
+
+Options:
+  -f, --format <text|json|mermaid>  Output format (default: text)
+      --fail-on <severity>          Exit with status 1 when a warning of this severity
+                                    or higher fires (${SEVERITIES.join(', ')})
+      --fail-rule <rule-id>         Exit with status 1 when this rule fires; repeatable
+      --rules <file>                Rule settings JSON: { "<rule-id>": { "enabled", "severity", "params" } }
+      --tables <file>               CREATE TABLE, SVV_TABLE_INFO or PG_TABLE_DEF output for table design checks
+      --stats <file>                SVL_QUERY_SUMMARY or SVL_QUERY_REPORT rows to attach runtime statistics
+      --theme <light|dark>          Colours for --format mermaid (default: light)
+  -h, --help                        Show this help
+
+Exit status: 0 when no failing warnings fired, 1 when they did, 2 on bad usage or unreadable input.
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'text' },
+  'fail-on': { type: 'string' },
+  'fail-rule': { type: 'string', multiple: true, default: [] },
+  rules: { type: 'string' },
+  tables: { type: 'string' },
+  stats: { type: 'string' },
+  theme: { type: 'string', default: 'light' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function parseOptions(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new Error(e.message);
+  }
+  const { values, positionals } = parsed;
+  if (!['text', 'json', 'mermaid'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}"; use text, json or mermaid.`);
+  }
+  if (values['fail-on'] !== undefined && !SEVERITIES.includes(values['fail-on'])) {
+    throw new Error(`Unknown severity "${values['fail-on']}"; use one of ${SEVERITIES.join(', ')}.`);
+  }
+  const ruleIds = getRules().map(rule => rule.id);
+  const unknownRule = values['fail-rule'].find(ruleId => !ruleIds.includes(ruleId));
+  if (unknownRule) {
+    throw new Error(`Unknown rule "${unknownRule}"; rules are ${ruleIds.join(', ')}.`);
+  }
+  if (positionals.length > 1) {
+    throw new Error('Pass at most one plan file.');
+  }
+  return { ...values, file: positionals[0] };
+}
+
+// Warnings that should fail the run
+export function failingWarnings(warnings, failOn, failRules = []) {
+  const threshold = failOn === undefined ? Infinity : SEVERITIES.indexOf(failOn);
+  return warnings.filter(warning => SEVERITIES.indexOf(warning.severity) >= threshold || failRules.includes(warning.ruleId));
+}
+
+export function formatWarningsText(plan, warnings) {
+  if (warnings.length === 0) {
+    return 'No warnings.\n';
+  }
+  return warnings.map(warning => {
+    const node = warning.nodeId && plan.nodes[warning.nodeId];
+    const location = node ? ` line ${node.line}` : '';
+    return `${warning.severity.toUpperCase().padEnd(6)} ${warning.ruleId}${location}: ${warning.message}`;
+  }).join('\n') + '\n';
+}
+
+// `io` is { readFile(path) -> Promise<string>, readStdin() -> Promise<string>, stdout(text), stderr(text) }.
+// Resolves with the exit status.
+export async function runCli(args, io) {
+  let options;
+  try {
+    options = parseOptions(args);
+  } catch (e) {
+    io.stderr(`${e.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    io.stdout(USAGE);
+    return EXIT_OK;
+  }
+
+  let plan;
+  let settings = {};
+  let tables = null;
+  try {
+    const text = options.file && options.file !== '-' ? await io.readFile(options.file) : await io.readStdin();
+    plan = parseExplain(normalizePlanInput(text).text);
+    if (!plan.root) {
+      throw new Error('No plan found in the input.');
+    }
+    if (options.rules) {
+      settings = JSON.parse(await io.readFile(options.rules));
+    }
+    if (options.tables) {
+      tables = parseTableMetadata(await io.readFile(options.tables));
+    }
+    if (options.stats) {
+      attachRuntimeStats(plan, parseQueryStats(await io.readFile(options.stats)));
+    }
+  } catch (e) {
+    io.stderr(`redshift-explain: ${e.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  const warnings = analyzePerformanceWarnings(plan, settings, { tables });
+  const failing = failingWarnings(warnings, options['fail-on'], options['fail-rule']);
+
+  if (options.format === 'mermaid') {
+    io.stdout(`${planMermaidSource(plan, options.theme)}\n`);
+  } else if (options.format === 'json') {
+    io.stdout(`${JSON.stringify({ warnings, failed: failing.length > 0 }, null, 2)}\n`);
+  } else {
+    io.stdout(formatWarningsText(plan, warnings));
+  }
+
+  if (failing.length > 0) {
+    io.stderr(`redshift-explain: ${failing.length} warning${failing.length === 1 ? '' : 's'} at or above the failure threshold\n`);
+    return EXIT_THRESHOLD;
+  }
+  return EXIT_OK;
+}
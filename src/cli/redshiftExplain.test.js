@@ -0,0 +1,89 @@
+import { EXIT_OK, EXIT_THRESHOLD, EXIT_USAGE, failingWarnings, runCli } from './redshiftExplain.js';
+
+const NESTED_LOOP_PLAN = `XN Nested Loop DS_DIST_BOTH  (cost=0.00..100.00 rows=10 width=8)
+  ->  XN Seq Scan on a  (cost=0.00..50.00 rows=10 width=4)
+  ->  XN Seq Scan on b  (cost=0.00..50.00 rows=10 width=4)`;
+
+const CLEAN_PLAN = `XN Hash Join DS_DIST_NONE  (cost=0.00..118.00 rows=1000 width=8)
+  Hash Cond: ("outer".id = "inner".id)
+  ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
+        ->  XN Seq Scan on b  (cost=0.00..59.00 rows=1000 width=4)`;
+
+function fakeIo(files = {}, stdin = '') {
+  const io = {
+    out: '',
+    err: '',
+    readFile: async path => {
+      if (!(path in files)) {
+        throw new Error(`ENOENT: no such file or directory, open '${path}'`);
+      }
+      return files[path];
+    },
+    readStdin: async () => stdin,
+    stdout: text => { io.out += text; },
+    stderr: text => { io.err += text; },
+  };
+  return io;
+}
+
+describe('redshift-explain CLI', () => {
+  test('prints warnings as text and passes without a failure threshold', async () => {
+    const io = fakeIo({ 'plan.txt': NESTED_LOOP_PLAN });
+    expect(await runCli(['plan.txt'], io)).toBe(EXIT_OK);
+    expect(io.out).toMatch(/^HIGH {3}nested-loop line 1: /);
+    expect(io.out).toContain('dist-ds-dist-both line 1');
+  });
+
+  test('reads stdin and fails when warnings reach the severity threshold', async () => {
+    const io = fakeIo({}, NESTED_LOOP_PLAN);
+    expect(await runCli(['--fail-on', 'high', '--format', 'json'], io)).toBe(EXIT_THRESHOLD);
+    const output = JSON.parse(io.out);
+    expect(output.failed).toBe(true);
+    expect(output.warnings.map(warning => warning.ruleId)).toEqual(['nested-loop', 'dist-ds-dist-both']);
+    expect(io.err).toContain('2 warnings at or above the failure threshold');
+  });
+
+  test('fails on named rules regardless of their severity', async () => {
+    const io = fakeIo({ 'plan.txt': CLEAN_PLAN });
+    expect(await runCli(['plan.txt', '--fail-rule', 'dist-ds-dist-none'], io)).toBe(EXIT_THRESHOLD);
+    expect(await runCli(['plan.txt', '--fail-rule', 'nested-loop', '--fail-on', 'medium'], fakeIo({ 'plan.txt': CLEAN_PLAN }))).toBe(EXIT_OK);
+  });
+
+  test('applies rule settings from a file', async () => {
+    const io = fakeIo({ 'plan.txt': NESTED_LOOP_PLAN, 'rules.json': '{"nested-loop": {"enabled": false}, "dist-ds-dist-both": {"severity": "low"}}' });
+    expect(await runCli(['plan.txt', '--rules', 'rules.json', '--fail-on', 'medium'], io)).toBe(EXIT_OK);
+    expect(io.out).toMatch(/^LOW {4}dist-ds-dist-both/);
+  });
+
+  test('emits the Mermaid source', async () => {
+    const io = fakeIo({ 'plan.txt': CLEAN_PLAN });
+    expect(await runCli(['-f', 'mermaid', 'plan.txt'], io)).toBe(EXIT_OK);
+    expect(io.out.split('\n').slice(0, 2)).toEqual(['graph TD', expect.stringMatching(/^node0\["XN Hash Join/)]);
+  });
+
+  test('exits with the usage status on bad options or unreadable input', async () => {
+    const badSeverity = fakeIo();
+    expect(await runCli(['--fail-on', 'critical'], badSeverity)).toBe(EXIT_USAGE);
+    expect(badSeverity.err).toContain('Unknown severity "critical"');
+
+    const badRule = fakeIo();
+    expect(await runCli(['--fail-rule', 'no-such-rule'], badRule)).toBe(EXIT_USAGE);
+    expect(badRule.err).toContain('Unknown rule "no-such-rule"');
+
+    const missing = fakeIo();
+    expect(await runCli(['missing.txt'], missing)).toBe(EXIT_USAGE);
+    expect(missing.err).toContain('ENOENT');
+
+    const empty = fakeIo({}, '\n');
+    expect(await runCli([], empty)).toBe(EXIT_USAGE);
+    expect(empty.err).toContain('No plan found');
+  });
+
+  test('selects failing warnings by severity or rule id', () => {
+    const warnings = [{ ruleId: 'a', severity: 'low' }, { ruleId: 'b', severity: 'medium' }, { ruleId: 'c', severity: 'high' }];
+    expect(failingWarnings(warnings, 'medium').map(warning => warning.ruleId)).toEqual(['b', 'c']);
+    expect(failingWarnings(warnings, undefined, ['a']).map(warning => warning.ruleId)).toEqual(['a']);
+    expect(failingWarnings(warnings)).toEqual([]);
+  });
+});
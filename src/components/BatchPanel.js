@@ -0,0 +1,120 @@
+import React, { useRef, useState } from "react";
+import { batchToCsv, sortBatchRows } from "../plan/batch";
+import { downloadFile } from "../export/exportPlan";
+
+const COLUMNS = [
+  { key: 'name', label: 'Plan' },
+  { key: 'nodeCount', label: 'Nodes' },
+  { key: 'rootCost', label: 'Root cost' },
+  { key: 'maxExclusiveCost', label: 'Max self cost' },
+  { key: 'warningCount', label: 'Warnings' },
+  { key: 'worstRule', label: 'Worst rule' },
+];
+
+const SEVERITY_COLORS = { high: '#f44336', medium: '#ff9800', low: '#4caf50', info: '#2196f3' };
+
+function readFiles(fileList) {
+  return Promise.all([...fileList].map(async file => ({ name: file.name, text: await file.text() })));
+}
+
+// Drop zone for many plan files (or one file with several plans) and the ranking
+// table of their analysis. Clicking a row opens that plan in the main diagram.
+function BatchPanel({ rows, onAnalyze, onOpen, currentTheme }) {
+  const [sort, setSort] = useState({ key: 'rootCost', descending: true });
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // A file that cannot be read (removed, or a folder dropped as a file) fails the whole batch
+  async function analyze(fileList) {
+    if (fileList.length === 0) {
+      return;
+    }
+    try {
+      const files = await readFiles(fileList);
+      setError(null);
+      onAnalyze(files);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  function drop(e) {
+    e.preventDefault();
+    setDragging(false);
+    analyze(e.dataTransfer.files);
+  }
+
+  function sortBy(key) {
+    setSort(current => ({ key, descending: current.key === key ? !current.descending : key !== 'name' }));
+  }
+
+  const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #ddd', verticalAlign: 'top' };
+  const sorted = rows ? sortBatchRows(rows, sort.key, sort.descending) : [];
+
+  return (
+    <div
+      onDragOver={e => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={drop}
+      style={{ marginTop: 10, textAlign: 'left', border: `1px ${dragging ? 'dashed #1976d2' : 'solid #ccc'}`, borderRadius: 5, padding: 15, background: currentTheme.background }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+        <h3 style={{ color: currentTheme.button, margin: 0 }}>Batch Analysis</h3>
+        <span>
+          <button onClick={() => fileInputRef.current.click()} style={{ padding: '4px 10px', cursor: 'pointer' }}>Choose files</button>
+          <button onClick={() => downloadFile(batchToCsv(sorted), 'redshift-plan-ranking.csv', 'text/csv')} disabled={sorted.length === 0} style={{ marginLeft: 6, padding: '4px 10px', cursor: 'pointer' }}>
+            Export CSV
+          </button>
+          <input ref={fileInputRef} type="file" multiple accept=".txt,.sql,.csv,.log,text/plain" onChange={e => { analyze(e.target.files); e.target.value = ''; }} style={{ display: 'none' }} />
+        </span>
+      </div>
+      <p style={{ margin: '0 0 10px', fontSize: '0.9em', opacity: 0.8 }}>
+        Drop EXPLAIN files here. A file can hold several plans separated by <code>-- name</code> comment lines or repeated QUERY PLAN headers.
+      </p>
+      {error && <p style={{ color: '#d32f2f' }}>{error}</p>}
+      {rows && rows.length === 0 && <p style={{ opacity: 0.7 }}>No plans found in those files.</p>}
+      {sorted.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(column => (
+                <th key={column.key} style={{ ...cellStyle, whiteSpace: 'nowrap' }} aria-sort={sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : 'none'}>
+                  <button onClick={() => sortBy(column.key)} style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', fontWeight: 'bold', color: currentTheme.text }}>
+                    {column.label}{sort.key === column.key ? (sort.descending ? ' ▼' : ' ▲') : ''}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((row, index) => (
+              <tr key={`${row.name}-${index}`} onClick={() => !row.error && onOpen(row)} style={{ cursor: row.error ? 'default' : 'pointer' }}>
+                <td style={cellStyle}>{row.name}</td>
+                {row.error ? (
+                  <td colSpan={COLUMNS.length - 1} style={{ ...cellStyle, color: '#d32f2f' }}>{row.error}</td>
+                ) : (
+                  <>
+                    <td style={cellStyle}>{row.nodeCount}</td>
+                    <td style={cellStyle}>{row.rootCost.toFixed(2)}</td>
+                    <td style={cellStyle}>{row.maxExclusiveCost.toFixed(2)}</td>
+                    <td style={cellStyle}>{row.warningCount}</td>
+                    <td style={cellStyle}>
+                      {row.worstRule && (
+                        <span style={{ borderLeft: `4px solid ${SEVERITY_COLORS[row.worstRule.severity]}`, paddingLeft: 4 }}>
+                          {row.worstRule.title}{row.worstRule.count > 1 ? ` ×${row.worstRule.count}` : ''}
+                        </span>
+                      )}
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default BatchPanel;
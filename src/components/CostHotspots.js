@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from "react";
+import { costByOperator, costByTable, costLevel, topCostNodes } from "../plan/costBreakdown";
+
+const LEVEL_COLORS = { high: '#f44336', medium: '#ffc107', low: '#4caf50' };
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = 24;
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+// Bars of the top nodes' self cost, most expensive first, under the line of their
+// cumulative share of the plan's total cost (right-hand axis)
+function ParetoChart({ plan, rows, selectedNodeId, onSelect, currentTheme }) {
+  if (rows.length === 0) {
+    return null;
+  }
+  const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING;
+  const slot = plotWidth / rows.length;
+  const maxCost = rows[0].exclusiveCost;
+  const line = rows.map((row, index) => `${CHART_PADDING + slot * (index + 0.5)},${plotHeight * (1 - row.cumulativeShare) + 4}`).join(' ');
+
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} role="img" aria-label="Pareto chart of self cost" style={{ display: 'block' }}>
+      {rows.map((row, index) => {
+        const height = (row.exclusiveCost / maxCost) * (plotHeight - 4);
+        return (
+          <rect
+            key={row.id}
+            x={CHART_PADDING + slot * index + 2}
+            y={plotHeight - height + 4}
+            width={Math.max(slot - 4, 1)}
+            height={height}
+            fill={LEVEL_COLORS[costLevel(plan, plan.nodes[row.id])]}
+            stroke={row.id === selectedNodeId ? currentTheme.text : 'none'}
+            strokeWidth={2}
+            onClick={() => onSelect(row.id)}
+            style={{ cursor: 'pointer' }}
+          >
+            <title>{`${row.name}: ${row.exclusiveCost.toFixed(2)} (${formatShare(row.share)}, cumulative ${formatShare(row.cumulativeShare)})`}</title>
+          </rect>
+        );
+      })}
+      <polyline points={line} fill="none" stroke="#1976d2" strokeWidth={2} />
+      {[0, 0.5, 1].map(share => (
+        <text key={share} x={CHART_WIDTH - CHART_PADDING + 4} y={plotHeight * (1 - share) + 8} fontSize="10" fill={currentTheme.text}>
+          {share * 100}%
+        </text>
+      ))}
+      <line x1={CHART_PADDING} y1={plotHeight + 4} x2={CHART_WIDTH - CHART_PADDING} y2={plotHeight + 4} stroke={currentTheme.text} />
+      <text x={CHART_PADDING} y={CHART_HEIGHT - 4} fontSize="10" fill={currentTheme.text}>Top nodes by self cost</text>
+    </svg>
+  );
+}
+
+function ShareRow({ label, share, active, onClick, color, currentTheme }) {
+  return (
+    <li>
+      <button
+        onClick={onClick}
+        title={label}
+        style={{ width: '100%', display: 'block', textAlign: 'left', padding: '3px 4px', marginBottom: 2, border: active ? '1px solid #1976d2' : '1px solid transparent', borderRadius: 3, background: 'none', color: currentTheme.text, cursor: 'pointer', fontSize: '0.85em' }}
+      >
+        <span style={{ display: 'flex', justifyContent: 'space-between' }}>
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{label}</span>
+          <span style={{ marginLeft: 6 }}>{formatShare(share)}</span>
+        </span>
+        <span style={{ display: 'block', height: 4, marginTop: 2, width: `${Math.min(share, 1) * 100}%`, background: color }} />
+      </button>
+    </li>
+  );
+}
+
+// Panel next to the diagram listing where the cost goes: the most expensive nodes,
+// a Pareto chart of them, and self cost per operator type and per table. Every entry
+// selects its node (for groups, the group's most expensive node).
+function CostHotspots({ plan, selectedNodeId, onSelect, currentTheme }) {
+  const [limit, setLimit] = useState(10);
+  const top = useMemo(() => topCostNodes(plan, limit), [plan, limit]);
+  const byOperator = useMemo(() => costByOperator(plan), [plan]);
+  const byTable = useMemo(() => costByTable(plan), [plan]);
+  const listStyle = { listStyle: 'none', margin: 0, padding: 0 };
+  const headingStyle = { margin: '12px 0 4px', fontSize: '0.95em', color: currentTheme.button };
+
+  return (
+    <div style={{ width: CHART_WIDTH + 20, flexShrink: 0, textAlign: 'left', border: '1px solid #ccc', borderRadius: 5, padding: 10, background: currentTheme.background, maxHeight: 800, overflowY: 'auto' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ color: currentTheme.button, margin: 0, fontSize: '1em' }}>Cost Hotspots</h3>
+        <label style={{ fontSize: '0.85em' }}>
+          Top{' '}
+          <input type="number" min="1" value={limit} onChange={e => setLimit(Math.max(1, parseInt(e.target.value, 10) || 1))} style={{ width: 45 }} />
+        </label>
+      </div>
+      <ParetoChart plan={plan} rows={top} selectedNodeId={selectedNodeId} onSelect={onSelect} currentTheme={currentTheme} />
+
+      <h4 style={headingStyle}>Top nodes by self cost</h4>
+      {top.length === 0 && <p style={{ fontSize: '0.85em', opacity: 0.7 }}>No node has a self cost.</p>}
+      <ol style={listStyle}>
+        {top.map(row => (
+          <ShareRow
+            key={row.id}
+            label={`${row.name} (${row.exclusiveCost.toFixed(2)})`}
+            share={row.share}
+            active={row.id === selectedNodeId}
+            onClick={() => onSelect(row.id)}
+            color={LEVEL_COLORS[costLevel(plan, plan.nodes[row.id])]}
+            currentTheme={currentTheme}
+          />
+        ))}
+      </ol>
+
+      <h4 style={headingStyle}>By operator</h4>
+      <ul style={listStyle}>
+        {byOperator.map(group => (
+          <ShareRow
+            key={group.key}
+            label={`${group.key} ×${group.nodeIds.length}`}
+            share={group.share}
+            active={group.nodeIds.includes(selectedNodeId)}
+            onClick={() => onSelect(group.nodeIds[0])}
+            color="#1976d2"
+            currentTheme={currentTheme}
+          />
+        ))}
+      </ul>
+
+      <h4 style={headingStyle}>By table</h4>
+      {byTable.length === 0 && <p style={{ fontSize: '0.85em', opacity: 0.7 }}>The plan scans no tables.</p>}
+      <ul style={listStyle}>
+        {byTable.map(group => (
+          <ShareRow
+            key={group.key}
+            label={`${group.key}${group.nodeIds.length > 1 ? ` ×${group.nodeIds.length}` : ''}`}
+            share={group.share}
+            active={group.nodeIds.includes(selectedNodeId)}
+            onClick={() => onSelect(group.nodeIds[0])}
+            color="#9c27b0"
+            currentTheme={currentTheme}
+          />
+        ))}
+      </ul>
+      <p style={{ fontSize: '0.75em', opacity: 0.7, marginBottom: 0 }}>Shares are of the root's total cost. Per-table figures count the self cost of the steps that read each table.</p>
+    </div>
+  );
+}
+
+export default CostHotspots;
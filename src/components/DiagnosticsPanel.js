@@ -0,0 +1,55 @@
+import React from "react";
+
+const FORMAT_LABELS = {
+  psql: 'psql output',
+  'query-editor': 'query editor output',
+  csv: 'a CSV export',
+  plain: 'plain EXPLAIN text',
+};
+
+// What the input normalizer detected and repaired, the lines the parser could not
+// place under a node, and any error that stopped the diagram from being generated.
+// `sections` is a list of { title, format, notes, diagnostics }, one per plan.
+function DiagnosticsPanel({ error, sections, onDismiss, currentTheme }) {
+  const shown = sections.filter(section => section.notes.length > 0 || section.diagnostics.length > 0);
+  if (!error && shown.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      role={error ? 'alert' : 'status'}
+      style={{ marginTop: 10, textAlign: 'left', padding: 10, borderRadius: 3, background: error ? currentTheme.warnings.high : currentTheme.warnings.info, borderLeft: `4px solid ${error ? '#f44336' : '#2196f3'}` }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>Input Diagnostics</strong>
+        <button onClick={onDismiss} style={{ cursor: 'pointer' }}>Dismiss</button>
+      </div>
+      {error && <p style={{ margin: '6px 0' }}>{error}</p>}
+      {shown.map(section => (
+        <div key={section.title} style={{ marginTop: 6, fontSize: '0.9em' }}>
+          <div>{section.title}: read as {FORMAT_LABELS[section.format]}</div>
+          {section.notes.length > 0 && (
+            <ul style={{ margin: '4px 0' }}>
+              {section.notes.map(note => <li key={note}>{note}</li>)}
+            </ul>
+          )}
+          {section.diagnostics.length > 0 && (
+            <>
+              <div>Lines not attached to a node:</div>
+              <ul style={{ margin: '4px 0' }}>
+                {section.diagnostics.map(diagnostic => (
+                  <li key={diagnostic.line}>
+                    Line {diagnostic.line}: <code>{diagnostic.text}</code> — {diagnostic.message}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,36 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS } from "../export/exportPlan";
+
+const SCALES = [1, 2, 3, 4];
+
+// Export buttons for every format, plus the scale PNG and PDF are rasterized at.
+// Formats built from the plan model are disabled while a comparison is shown.
+function ExportPanel({ onExport, planAvailable, currentTheme }) {
+  const [scale, setScale] = useState(2);
+
+  return (
+    <div style={{ marginTop: 10, textAlign: 'left', border: '1px solid #ccc', borderRadius: 5, padding: 15, background: currentTheme.background }}>
+      <h3 style={{ color: currentTheme.button, margin: '0 0 10px' }}>Export</h3>
+      <div>
+        {EXPORT_FORMATS.map(format => (
+          <button
+            key={format.id}
+            onClick={() => onExport(format.id, scale)}
+            disabled={format.needsPlan && !planAvailable}
+            style={{ marginRight: 6, marginBottom: 6, padding: '4px 10px', cursor: 'pointer' }}
+          >
+            {format.label}
+          </button>
+        ))}
+      </div>
+      <label style={{ fontSize: '0.9em' }}>
+        PNG/PDF scale{' '}
+        <select value={scale} onChange={e => setScale(Number(e.target.value))}>
+          {SCALES.map(value => <option key={value} value={value}>{value}x</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default ExportPanel;
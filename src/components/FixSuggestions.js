@@ -0,0 +1,46 @@
+import React, { useState } from "react";
+
+// Remediation suggestions under a Performance Analysis warning: the statement or
+// rewrite built from the plan's own table and column names, a copy button, and what
+// the change does to the plan.
+function FixSuggestions({ fixes, currentTheme }) {
+  const [copied, setCopied] = useState(null); // { index, failed } of the last copy
+
+  if (!fixes || fixes.length === 0) {
+    return null;
+  }
+
+  function copy(e, index) {
+    // Keep the click from selecting the warning's node
+    e.stopPropagation();
+    // The clipboard is refused on insecure pages, without permission and in unfocused frames
+    navigator.clipboard.writeText(fixes[index].sql).then(
+      () => setCopied({ index, failed: false }),
+      () => setCopied({ index, failed: true })
+    );
+  }
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      {fixes.map((fix, index) => (
+        <div key={index} style={{ marginTop: 6 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.9em', fontWeight: 'bold' }}>
+            <span>🔧 {fix.title}</span>
+            {navigator.clipboard && (
+              <button onClick={e => copy(e, index)} style={{ padding: '2px 8px', cursor: 'pointer' }}>
+                {copied && copied.index === index && !copied.failed ? 'Copied' : 'Copy'}
+              </button>
+            )}
+          </div>
+          {copied && copied.index === index && copied.failed && (
+            <div role="alert" style={{ fontSize: '0.85em', color: '#f44336' }}>Copy failed, select the SQL below and copy it manually.</div>
+          )}
+          <pre style={{ margin: '4px 0', padding: 6, background: currentTheme.background, color: currentTheme.text, whiteSpace: 'pre-wrap', cursor: 'text' }} onClick={e => e.stopPropagation()}>{fix.sql}</pre>
+          <div style={{ fontSize: '0.85em', opacity: 0.8 }}>{fix.explanation}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default FixSuggestions;
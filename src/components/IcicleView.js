@@ -0,0 +1,125 @@
+import React, { useMemo, useState } from "react";
+import { layoutIcicle, pathToNode } from "../plan/icicleLayout";
+import { nodeLabel } from "../plan/parsePlan";
+
+const VIEW_WIDTH = 760;
+const ROW_HEIGHT = 34;
+
+// Icicle chart of the plan drawn as plain SVG: width follows total cost and the fill
+// gets darker with the node's exclusive cost. Click selects a node, double-click
+// zooms into its subtree. Nodes outside `matchedNodeIds` (when given) are dimmed.
+function IcicleView({ plan, selectedNodeId, onSelect, matchedNodeIds = null, theme, currentTheme }) {
+  const [zoomRootId, setZoomRootId] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  // Drop a zoom that points into a different plan
+  const rootId = zoomRootId && plan.nodes[zoomRootId] ? zoomRootId : plan.root;
+  const { cells, depth } = useMemo(() => layoutIcicle(plan, rootId), [plan, rootId]);
+  const maxExclusiveShare = Math.max(...cells.map(cell => cell.exclusiveShare), 0);
+
+  function fillFor(cell) {
+    const intensity = maxExclusiveShare > 0 ? cell.exclusiveShare / maxExclusiveShare : 0;
+    return theme === 'dark'
+      ? `hsl(0, 60%, ${22 + intensity * 20}%)`
+      : `hsl(${50 - intensity * 50}, 90%, ${92 - intensity * 32}%)`;
+  }
+
+  function showTooltip(event, cell) {
+    const bounds = event.currentTarget.ownerSVGElement.getBoundingClientRect();
+    setHover({ cell, left: event.clientX - bounds.left + 12, top: event.clientY - bounds.top + 12 });
+  }
+
+  if (cells.length === 0) {
+    return null;
+  }
+
+  const hoveredNode = hover && plan.nodes[hover.cell.id];
+
+  return (
+    <div style={{ position: 'relative', textAlign: 'left' }}>
+      <div style={{ marginBottom: 6, fontSize: '0.9em' }}>
+        {pathToNode(plan, rootId).map((id, index) => (
+          <React.Fragment key={id}>
+            {index > 0 && ' › '}
+            <button
+              onClick={() => setZoomRootId(id === plan.root ? null : id)}
+              disabled={id === rootId}
+              style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: id === rootId ? currentTheme.text : '#1976d2' }}
+            >
+              {nodeLabel(plan.nodes[id])}
+            </button>
+          </React.Fragment>
+        ))}
+        <span style={{ marginLeft: 10, opacity: 0.7 }}>Double-click a block to zoom into it</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${VIEW_WIDTH} ${depth * ROW_HEIGHT}`}
+        width="100%"
+        data-testid="icicle-view"
+        style={{ display: 'block', fontFamily: 'Arial, sans-serif', fontSize: 11 }}
+        onMouseLeave={() => setHover(null)}
+      >
+        {cells.map(cell => {
+          const node = plan.nodes[cell.id];
+          const x = cell.x * VIEW_WIDTH;
+          // Keep zero-cost nodes clickable
+          const width = Math.max(cell.width * VIEW_WIDTH, 1);
+          const y = cell.depth * ROW_HEIGHT;
+          const label = nodeLabel(node);
+          const maxChars = Math.floor((width - 6) / 6.5);
+          const selected = cell.id === selectedNodeId;
+          return (
+            <g
+              key={cell.id}
+              onClick={() => onSelect(cell.id)}
+              onDoubleClick={() => setZoomRootId(cell.id)}
+              onMouseMove={event => showTooltip(event, cell)}
+              style={{ cursor: 'pointer', opacity: matchedNodeIds && !matchedNodeIds.includes(cell.id) ? 0.25 : 1 }}
+            >
+              <rect
+                x={x}
+                y={y}
+                width={width}
+                height={ROW_HEIGHT - 2}
+                fill={fillFor(cell)}
+                stroke={selected ? '#1976d2' : currentTheme.background}
+                strokeWidth={selected ? 3 : 1}
+              />
+              {maxChars >= 4 && (
+                <text x={x + 4} y={y + ROW_HEIGHT / 2 + 3} fill={currentTheme.text} pointerEvents="none">
+                  {label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {hoveredNode && (
+        <div
+          style={{
+            position: 'absolute',
+            left: hover.left,
+            top: hover.top,
+            background: currentTheme.background,
+            color: currentTheme.text,
+            border: '1px solid #999',
+            borderRadius: 4,
+            padding: '6px 8px',
+            fontSize: '0.85em',
+            pointerEvents: 'none',
+            whiteSpace: 'nowrap',
+            boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+          }}
+        >
+          <strong>{nodeLabel(hoveredNode)}</strong>
+          {hoveredNode.distribution && <div>{hoveredNode.distribution}</div>}
+          <div>Total cost: {hoveredNode.totalCost.toFixed(2)} ({(hover.cell.costShare * 100).toFixed(1)}%)</div>
+          <div>Self cost: {hoveredNode.exclusiveCost.toFixed(2)} ({(hover.cell.exclusiveShare * 100).toFixed(1)}%)</div>
+          <div>Rows: {hoveredNode.rows.toLocaleString()}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default IcicleView;
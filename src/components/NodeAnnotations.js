@@ -0,0 +1,57 @@
+import React, { useState } from "react";
+import { loadReviewerName, saveReviewerName } from "../storage/reviewer";
+
+// Review notes on the selected node with a form to add one. Notes can be marked
+// resolved (and reopened) or deleted.
+function NodeAnnotations({ annotations, onAdd, onToggleResolved, onDelete, currentTheme }) {
+  const [author, setAuthor] = useState(loadReviewerName);
+  const [text, setText] = useState('');
+
+  function add(e) {
+    e.preventDefault();
+    if (!text.trim()) {
+      return;
+    }
+    saveReviewerName(author.trim());
+    onAdd({ author, text });
+    setText('');
+  }
+
+  const inputStyle = { boxSizing: 'border-box', padding: 4, background: currentTheme.textarea, color: currentTheme.text, border: '1px solid #ccc' };
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <h4 style={{ color: currentTheme.text, margin: '0 0 6px' }}>Review Notes</h4>
+      {annotations.length === 0 && <p style={{ margin: '0 0 6px', opacity: 0.7 }}>No notes on this node yet.</p>}
+      {annotations.map(annotation => (
+        <div
+          key={annotation.id}
+          style={{ marginBottom: 6, padding: 6, background: currentTheme.background, borderLeft: `4px solid ${annotation.resolved ? '#9e9e9e' : '#ff9800'}`, opacity: annotation.resolved ? 0.7 : 1 }}
+        >
+          <div style={{ fontSize: '0.85em' }}>
+            <strong>{annotation.author}</strong> · {new Date(annotation.createdAt).toLocaleString()} · {annotation.resolved ? 'Resolved' : 'Open'}
+          </div>
+          <div style={{ whiteSpace: 'pre-wrap', textDecoration: annotation.resolved ? 'line-through' : 'none' }}>{annotation.text}</div>
+          <button onClick={() => onToggleResolved(annotation.id)} style={{ marginTop: 4, cursor: 'pointer' }}>
+            {annotation.resolved ? 'Reopen' : 'Resolve'}
+          </button>
+          <button onClick={() => onDelete(annotation.id)} style={{ marginTop: 4, marginLeft: 4, cursor: 'pointer', color: '#d32f2f' }}>Delete</button>
+        </div>
+      ))}
+      <form onSubmit={add} style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+        <input value={author} onChange={e => setAuthor(e.target.value)} placeholder="Your name" aria-label="Note author" style={{ ...inputStyle, width: 140 }} />
+        <textarea
+          value={text}
+          onChange={e => setText(e.target.value)}
+          placeholder="e.g. fix: redistribute on order_id"
+          aria-label="Note text"
+          rows={2}
+          style={{ ...inputStyle, flex: 1, minWidth: 200 }}
+        />
+        <button type="submit" disabled={!text.trim()} style={{ cursor: 'pointer' }}>Add note</button>
+      </form>
+    </div>
+  );
+}
+
+export default NodeAnnotations;
@@ -0,0 +1,34 @@
+import React from "react";
+import { describeRuntime } from "../plan/runtimeStats";
+import { describeTable, lookupTable } from "../plan/tableMetadata";
+
+// Selected Node Details: the node's detail lines, self cost, runtime statistics and
+// table metadata, with a collapse toggle when `onToggleCollapse` is given. Anything
+// passed as children (the review notes in the app) goes underneath.
+function NodeDetails({ node, tableMetadata, collapsed, onToggleCollapse, detailsRef, currentTheme, children }) {
+  const table = lookupTable(tableMetadata, node.relation);
+
+  return (
+    <div ref={detailsRef} tabIndex={-1} aria-label="Selected Node Details" style={{ marginTop: 20, textAlign: 'left', background: currentTheme.warnings.info, padding: 15, borderRadius: 5, borderLeft: '4px solid #0d47a1' }}>
+      <h3 style={{ color: currentTheme.text, marginBottom: 10 }}>Selected Node Details</h3>
+      {onToggleCollapse && node.children.length > 0 && (
+        <button onClick={onToggleCollapse} style={{ marginBottom: 10, cursor: 'pointer' }}>
+          {collapsed ? 'Expand subtree' : 'Collapse subtree'}
+        </button>
+      )}
+      <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', color: currentTheme.text }}>
+        {node.details.join('\n')}
+        {node.network && <><br/><i>{node.network}</i></>}
+        <br/>
+        <strong>Self Cost: {node.exclusiveCost.toFixed(2)}</strong>
+        {describeRuntime(node).map(line => <React.Fragment key={line}><br/>{line}</React.Fragment>)}
+        {table && (
+          <><br/>Table {describeTable(table)}</>
+        )}
+      </pre>
+      {children}
+    </div>
+  );
+}
+
+export default NodeDetails;
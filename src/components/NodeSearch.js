@@ -0,0 +1,52 @@
+import React from "react";
+import { nodeLabel } from "../plan/parsePlan";
+
+const MAX_RESULTS = 100;
+
+// Search bar over the plan nodes with a list of the matches. `matches` is null when
+// the query is empty, and `error` holds the message of a query that does not parse.
+function NodeSearch({ plan, query, onQueryChange, matches, error, selectedNodeId, onSelect, currentTheme }) {
+  return (
+    <div style={{ marginTop: 10, textAlign: 'left' }}>
+      <input
+        type="search"
+        value={query}
+        onChange={e => onQueryChange(e.target.value)}
+        placeholder='Find nodes, e.g. op:"seq scan" table:fact_orders rows>1M'
+        aria-label="Find plan nodes"
+        style={{ width: '100%', boxSizing: 'border-box', padding: 6, backgroundColor: currentTheme.textarea, color: currentTheme.text, border: '1px solid #ccc' }}
+      />
+      <div style={{ fontSize: '0.8em', opacity: 0.7, marginTop: 2 }}>
+        Fields: op, table, dist, pred (text: <code>:</code> contains, <code>=</code> equals) and rows, cost, self, width
+        (<code>&gt; &gt;= &lt; &lt;= =</code>, with k/M/B suffixes). Prefix a term with <code>-</code> to exclude it.
+      </div>
+      {error && <div role="alert" style={{ marginTop: 4, color: '#d32f2f' }}>{error}</div>}
+      {matches && !error && (
+        <div style={{ marginTop: 4, fontSize: '0.9em' }}>
+          {matches.length === 0 ? 'No matching nodes' : `${matches.length} matching node${matches.length === 1 ? '' : 's'}`}
+          {matches.length > 0 && (
+            <ul style={{ margin: '4px 0', paddingLeft: 20, maxHeight: 180, overflowY: 'auto' }}>
+              {matches.slice(0, MAX_RESULTS).map(id => {
+                const node = plan.nodes[id];
+                return (
+                  <li key={id}>
+                    <button
+                      onClick={() => onSelect(id)}
+                      style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', textAlign: 'left', color: id === selectedNodeId ? currentTheme.text : '#1976d2', fontWeight: id === selectedNodeId ? 'bold' : 'normal' }}
+                    >
+                      Line {node.line}: {nodeLabel(node)}
+                    </button>
+                    {' '}— rows {node.rows.toLocaleString()}, cost {node.totalCost.toFixed(2)}
+                  </li>
+                );
+              })}
+              {matches.length > MAX_RESULTS && <li>… and {matches.length - MAX_RESULTS} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NodeSearch;
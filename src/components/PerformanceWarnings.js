@@ -0,0 +1,89 @@
+import React from "react";
+import FixSuggestions from "./FixSuggestions";
+
+// Helper function to render markdown links
+function renderMessageWithLinks(message) {
+  const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = linkRegex.exec(message)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push(message.substring(lastIndex, match.index));
+    }
+    const [fullMatch, linkText, linkUrl] = match;
+    parts.push({ text: linkText, url: linkUrl, isLink: true });
+    lastIndex = match.index + fullMatch.length;
+  }
+
+  if (lastIndex < message.length) {
+    parts.push(message.substring(lastIndex));
+  }
+
+  return (
+    <>{parts.map((part, index) => {
+      if (part.isLink) {
+        return <a key={index} href={part.url} target="_blank" rel="noopener noreferrer" style={{color: '#0d47a1'}}>{part.text}</a>;
+      }
+      return <React.Fragment key={index}>{part}</React.Fragment>;
+    })}</>
+  );
+}
+
+// Background (key into the theme's warning colours) and border colour per severity
+const SEVERITY_STYLES = {
+  high: { background: 'high', border: '#f44336' },
+  medium: { background: 'medium', border: '#ff9800' },
+  low: { background: 'info', border: '#2196f3' },
+  info: { background: 'info', border: '#2196f3' },
+};
+
+// The Performance Analysis list. Clicking a warning selects its node; Enter on a
+// focused warning opens the node's details.
+function PerformanceWarnings({ warnings, onSelect, onOpen, currentTheme }) {
+  if (warnings.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={{ marginTop: 20, textAlign: 'left' }}>
+      <h3 style={{ color: currentTheme.button, marginBottom: 10 }}>Performance Analysis</h3>
+      <div style={{ background: currentTheme.background, padding: 15, borderRadius: 5 }}>
+        {warnings.map((warning, index) => (
+          <div 
+            key={index} 
+            style={{ 
+              marginBottom: 10, 
+              padding: 10, 
+              background: currentTheme.warnings[SEVERITY_STYLES[warning.severity].background],
+              borderLeft: `4px solid ${SEVERITY_STYLES[warning.severity].border}`, 
+              borderRadius: 3,
+              cursor: 'pointer'
+            }}
+            onClick={() => {
+              if (warning.nodeId) {
+                onSelect(warning.nodeId);
+              }
+            }}
+            tabIndex={warning.nodeId ? 0 : undefined}
+            onKeyDown={e => {
+              // Enter on the warning itself, not on a link or copy button inside it
+              if (e.key === 'Enter' && e.target === e.currentTarget && warning.nodeId) {
+                onOpen(warning.nodeId);
+              }
+            }}
+          >
+            <div style={{ fontWeight: 'bold', marginBottom: 5 }}>
+              {warning.type === 'warning' ? '⚠️ Warning' : 'ℹ️ Info'}
+            </div>
+            <div>{renderMessageWithLinks(warning.message)}</div>
+            <FixSuggestions fixes={warning.fixes} currentTheme={currentTheme} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PerformanceWarnings;
@@ -0,0 +1,113 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import mermaid from "mermaid";
+import { findNodeElement, nodeIdFromElementId } from "../plan/mermaid";
+import { describeSvgNodes } from "../plan/accessibility";
+import { mermaidThemeName } from "./themes";
+import "./PlanDiagram.css";
+
+// Renders Mermaid source into an SVG and reports clicks on its nodes by plan node id.
+// `markedNodes` maps a CSS class (highlighted-node, sql-linked-node, search-match,
+// search-dimmed) to the node ids that get it; `plan`, when given, is used for the
+// nodes' text alternatives. Pass `containerRef` to reach the rendered SVG.
+function PlanDiagram({ mermaidCode, theme, plan, warnings = [], markedNodes = {}, hidden = false, onNodeClick, onRenderingChange, containerRef, currentTheme, style }) {
+  const ownRef = useRef(null);
+  const ref = containerRef || ownRef;
+  const [renderCount, setRenderCount] = useState(0);
+  // Each diagram on the page needs its own id for mermaid.render
+  const renderId = `diagram-${useId().replace(/[^\w-]/g, '')}`;
+  // A new callback on each render of the parent should not re-render the diagram
+  const onRenderingChangeRef = useRef(onRenderingChange);
+  onRenderingChangeRef.current = onRenderingChange;
+
+  useEffect(() => {
+    let cancelled = false;
+    const reportRendering = rendering => {
+      if (onRenderingChangeRef.current) {
+        onRenderingChangeRef.current(rendering);
+      }
+    };
+    const renderMermaid = async () => {
+      if (!mermaidCode) {
+        if (ref.current) {
+          ref.current.innerHTML = "";
+        }
+        reportRendering(false);
+        return;
+      }
+
+      reportRendering(true);
+      // Let the "Rendering" notice paint before Mermaid takes over the main thread
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (cancelled) {
+        return;
+      }
+      try {
+        // Mermaid's configuration is global, so set this diagram's theme right before rendering it.
+        // Raise Mermaid's size limits, which large ETL plans exceed even when collapsed
+        mermaid.initialize({ startOnLoad: false, theme: mermaidThemeName(theme), maxTextSize: 2000000, maxEdges: 5000 });
+        const { svg } = await mermaid.render(renderId, mermaidCode);
+        if (ref.current && !cancelled) {
+          ref.current.innerHTML = svg;
+          setRenderCount(count => count + 1);
+        }
+      } catch (e) {
+        if (ref.current && !cancelled) {
+          const errorMessage = e instanceof Error ? e.message : String(e);
+          ref.current.innerHTML = `<pre style="color:red;">${errorMessage}</pre>`;
+        }
+      }
+      if (!cancelled) {
+        reportRendering(false);
+      }
+    };
+
+    renderMermaid();
+    return () => {
+      cancelled = true;
+    };
+  }, [ref, mermaidCode, theme, renderId]);
+
+  // Mark nodes again after every render, since each render replaces the SVG
+  useEffect(() => {
+    const svgElement = ref.current && ref.current.querySelector('svg');
+    if (!svgElement) {
+      return;
+    }
+    Object.entries(markedNodes).forEach(([className, nodeIds]) => {
+      svgElement.querySelectorAll(`.${className}`).forEach(nodeElement => nodeElement.classList.remove(className));
+      nodeIds.forEach(nodeId => {
+        const nodeElement = findNodeElement(svgElement, nodeId);
+        if (nodeElement) {
+          nodeElement.classList.add(className);
+        }
+      });
+    });
+  }, [ref, renderCount, markedNodes]);
+
+  // Text alternatives on every diagram node for screen readers
+  useEffect(() => {
+    const svgElement = ref.current && ref.current.querySelector('svg');
+    if (svgElement && plan) {
+      describeSvgNodes(svgElement, plan, warnings);
+    }
+  }, [ref, renderCount, plan, warnings]);
+
+  // One listener on the container handles clicks on every diagram node
+  function clickNode(event) {
+    const nodeElement = event.target.closest('.node');
+    if (nodeElement && onNodeClick) {
+      onNodeClick(nodeIdFromElementId(nodeElement.id));
+    }
+  }
+
+  return (
+    <div
+      ref={ref}
+      data-testid="diagram-container"
+      onClick={clickNode}
+      style={{ display: hidden ? "none" : "block", border: "1px solid #ccc", padding: 10, minHeight: 200, backgroundColor: currentTheme.diagramContainer, ...style }}
+    />
+  );
+}
+
+export default PlanDiagram;
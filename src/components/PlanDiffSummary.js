@@ -0,0 +1,68 @@
+import React from "react";
+import { formatDelta } from "../plan/diffPlans";
+
+const STATUS_COLORS = {
+  added: '#2196F3',
+  removed: '#f44336',
+  changed: '#FFC107',
+  unchanged: '#4CAF50',
+};
+
+// Summary of a plan comparison: counts per status and a per-node table of the
+// cost and row deltas. Unchanged nodes are left out of the table.
+function PlanDiffSummary({ diff, leftPlan, rightPlan, onSelect, currentTheme }) {
+  const rows = diff.entries.filter(entry => entry.status !== 'unchanged');
+  const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #ddd', verticalAlign: 'top' };
+
+  function describe(entry) {
+    const node = entry.rightId ? rightPlan.nodes[entry.rightId] : leftPlan.nodes[entry.leftId];
+    return node.details[0];
+  }
+
+  return (
+    <div style={{ marginTop: 20, textAlign: 'left' }}>
+      <h3 style={{ color: currentTheme.button, marginBottom: 10 }}>Comparison Results</h3>
+      <p>
+        {['added', 'removed', 'changed', 'unchanged'].map(status => (
+          <span key={status} style={{ marginRight: 15, borderLeft: `4px solid ${STATUS_COLORS[status]}`, paddingLeft: 6 }}>
+            {status[0].toUpperCase() + status.slice(1)}: <strong>{diff.summary[status]}</strong>
+          </span>
+        ))}
+      </p>
+      <p>Root total cost: {diff.totalCost.before.toFixed(2)} → {diff.totalCost.after.toFixed(2)} ({formatDelta(diff.totalCost)})</p>
+      {rows.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}>Node</th>
+              <th style={cellStyle}>Total cost Δ</th>
+              <th style={cellStyle}>Self cost Δ</th>
+              <th style={cellStyle}>Rows Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((entry, index) => (
+              <tr
+                key={index}
+                onClick={() => onSelect(entry.rightId ? `b_${entry.rightId}` : `a_${entry.leftId}`)}
+                style={{ cursor: 'pointer' }}
+              >
+                <td style={{ ...cellStyle, color: STATUS_COLORS[entry.status], fontWeight: 'bold' }}>
+                  {entry.status}
+                  {entry.changes.length > 0 && <div style={{ fontWeight: 'normal', fontSize: '0.85em' }}>{entry.changes.join(', ')}</div>}
+                </td>
+                <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{describe(entry)}</td>
+                <td style={cellStyle}>{entry.deltas ? formatDelta(entry.deltas.totalCost) : '—'}</td>
+                <td style={cellStyle}>{entry.deltas ? formatDelta(entry.deltas.exclusiveCost) : '—'}</td>
+                <td style={cellStyle}>{entry.deltas ? formatDelta(entry.deltas.rows, 0) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default PlanDiffSummary;
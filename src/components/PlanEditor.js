@@ -0,0 +1,37 @@
+import React from "react";
+import Editor from "react-simple-code-editor";
+import { highlight, languages } from "prismjs";
+import "prismjs/components/prism-sql"; // Import SQL language for highlighting
+import "prismjs/themes/prism.css"; // Default Prism theme
+
+// Style shared by the plan editors and the SQL pane
+export function editorStyle(currentTheme, minHeight = '200px') {
+  return {
+    fontFamily: '"Fira code", "Fira Mono", monospace',
+    fontSize: 14,
+    width: '100%',
+    boxSizing: 'border-box',
+    marginBottom: 10,
+    backgroundColor: currentTheme.textarea,
+    color: currentTheme.text,
+    border: '1px solid #ccc',
+    minHeight,
+    textAlign: 'left'
+  };
+}
+
+// Text editor with SQL highlighting for EXPLAIN output, runtime statistics and DDL
+function PlanEditor({ value, onValueChange, placeholder, minHeight, currentTheme }) {
+  return (
+    <Editor
+      value={value}
+      onValueChange={onValueChange}
+      highlight={code => highlight(code, languages.sql, 'sql')}
+      padding={10}
+      placeholder={placeholder}
+      style={editorStyle(currentTheme, minHeight)}
+    />
+  );
+}
+
+export default PlanEditor;
@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from "react";
+import { deletePlan, importLibrary, listPlans, parseTags, searchPlans, serializeLibrary, updatePlan } from "../storage/planLibrary";
+import { downloadFile } from "../export/exportPlan";
+
+// Saved plans with search, inline name and tag editing, delete, and buttons that
+// load a plan into the first or second editor. `refreshKey` changes whenever the
+// app saves a plan so the list reloads.
+function PlanLibrary({ refreshKey, onLoad, currentTheme }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  function reload() {
+    return listPlans().then(setEntries, e => setError(e.message));
+  }
+
+  useEffect(() => {
+    reload();
+  }, [refreshKey]);
+
+  async function run(action, successMessage) {
+    try {
+      const result = await action();
+      setError(null);
+      setMessage(successMessage ? successMessage(result) : null);
+      await reload();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  function exportAll() {
+    downloadFile(serializeLibrary(entries), 'redshift-plan-library.json', 'application/json');
+  }
+
+  function importFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      run(async () => importLibrary(await file.text()), count => `Imported ${count} plan${count === 1 ? '' : 's'}.`);
+    }
+  }
+
+  const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #ddd', verticalAlign: 'top' };
+  const inputStyle = { width: '100%', boxSizing: 'border-box', background: currentTheme.textarea, color: currentTheme.text, border: '1px solid #ccc' };
+  const visible = searchPlans(entries, query);
+
+  return (
+    <div style={{ marginTop: 10, textAlign: 'left', border: '1px solid #ccc', borderRadius: 5, padding: 15, background: currentTheme.background }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+        <h3 style={{ color: currentTheme.button, margin: 0 }}>Plan Library</h3>
+        <span>
+          <button onClick={exportAll} disabled={entries.length === 0} style={{ padding: '4px 10px', cursor: 'pointer' }}>Export library</button>
+          <button onClick={() => fileInputRef.current.click()} style={{ marginLeft: 6, padding: '4px 10px', cursor: 'pointer' }}>Import library</button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importFile} style={{ display: 'none' }} />
+        </span>
+      </div>
+      <input
+        type="search"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        placeholder="Search names, tags and plan text"
+        style={{ ...inputStyle, padding: 6, marginBottom: 10 }}
+      />
+      {error && <p style={{ color: '#d32f2f' }}>{error}</p>}
+      {message && <p>{message}</p>}
+      {visible.length === 0 ? (
+        <p style={{ opacity: 0.7 }}>{entries.length === 0 ? 'Generated plans are saved here automatically.' : 'No saved plans match the search.'}</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Name</th>
+              <th style={cellStyle}>Tags</th>
+              <th style={cellStyle}>Saved</th>
+              <th style={cellStyle}>Warnings</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(entry => (
+              <tr key={`${entry.id}-${entry.updatedAt}`}>
+                <td style={cellStyle}>
+                  <input
+                    defaultValue={entry.name}
+                    onBlur={e => e.target.value !== entry.name && run(() => updatePlan(entry.id, { name: e.target.value }))}
+                    style={inputStyle}
+                  />
+                  <div style={{ fontSize: '0.85em', opacity: 0.7 }}>{entry.nodeCount} nodes</div>
+                </td>
+                <td style={cellStyle}>
+                  <input
+                    defaultValue={entry.tags.join(', ')}
+                    placeholder="job, cluster"
+                    onBlur={e => e.target.value !== entry.tags.join(', ') && run(() => updatePlan(entry.id, { tags: parseTags(e.target.value) }))}
+                    style={inputStyle}
+                  />
+                </td>
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{new Date(entry.createdAt).toLocaleString()}</td>
+                <td style={cellStyle}>{entry.warningCount}</td>
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                  <button onClick={() => onLoad(entry, 1)} style={{ cursor: 'pointer' }}>Editor 1</button>
+                  <button onClick={() => onLoad(entry, 2)} style={{ marginLeft: 4, cursor: 'pointer' }}>Editor 2</button>
+                  <button
+                    onClick={() => window.confirm(`Delete "${entry.name}" from the library?`) && run(() => deletePlan(entry.id))}
+                    style={{ marginLeft: 4, cursor: 'pointer', color: '#d32f2f' }}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default PlanLibrary;
@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import { isScan } from "../plan/joins";
+import { analyzeStatements, missingStatisticsFor } from "../plan/planMetadata";
+
+// Redshift's footer lines for the plan, with the tables missing statistics linked to
+// the scans that read them and the ANALYZE statements to fix them.
+function PlanMetadataBanner({ plan, onSelect, currentTheme }) {
+  const [copyState, setCopyState] = useState(null); // 'copied' or 'failed'
+
+  if (!plan.metadata) {
+    return null;
+  }
+  const { footers, missingStatistics } = plan.metadata;
+  const statements = analyzeStatements(missingStatistics);
+  const scansOf = table => plan.order.filter(id => isScan(plan.nodes[id]) && missingStatisticsFor(plan, plan.nodes[id].relation) === table);
+
+  return (
+    <div
+      role="status"
+      style={{ marginTop: 10, textAlign: 'left', padding: 10, borderRadius: 3, background: missingStatistics.length > 0 ? currentTheme.warnings.high : currentTheme.warnings.info, borderLeft: `4px solid ${missingStatistics.length > 0 ? '#f44336' : '#2196f3'}` }}
+    >
+      {footers.map(footer => <div key={footer}>{footer}</div>)}
+      {missingStatistics.length > 0 && (
+        <>
+          <div style={{ marginTop: 6, fontSize: '0.9em' }}>
+            Scans on these tables:{' '}
+            {missingStatistics.map(table => (
+              <React.Fragment key={table}>
+                {scansOf(table).map(id => (
+                  <button key={id} onClick={() => onSelect(id)} style={{ marginRight: 6, cursor: 'pointer' }}>
+                    {table} (line {plan.nodes[id].line})
+                  </button>
+                ))}
+              </React.Fragment>
+            ))}
+          </div>
+          <pre style={{ margin: '6px 0', padding: 6, background: currentTheme.background, color: currentTheme.text, whiteSpace: 'pre-wrap' }}>{statements}</pre>
+          {navigator.clipboard && (
+            <button
+              onClick={() => navigator.clipboard.writeText(statements).then(() => setCopyState('copied'), () => setCopyState('failed'))}
+              style={{ cursor: 'pointer' }}
+            >
+              {copyState === 'copied' ? 'Copied' : 'Copy ANALYZE statements'}
+            </button>
+          )}
+          {copyState === 'failed' && (
+            <span role="alert" style={{ marginLeft: 8, fontSize: '0.9em' }}>Copy failed, select the statements above and copy them manually.</span>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PlanMetadataBanner;
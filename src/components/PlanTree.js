@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { hiddenNodes } from "../plan/collapse";
+import { nodeLabel } from "../plan/parsePlan";
+import { nextWarningNodeId, nodeDescription, warningCounts } from "../plan/accessibility";
+
+// Keyboard and screen-reader view of the plan as an ARIA tree, sharing the selected
+// node and the collapsed subtrees with the flowchart.
+//   ↑ / ↓          previous / next visible node
+//   → / ←          expand, or go to the first child / collapse, or go to the parent
+//   Home / End     first / last node
+//   Enter          open the node's details
+//   W / Shift+W    next / previous node with a warning
+function PlanTree({ plan, collapsed, selectedNodeId, warnings, onSelect, onToggle, onOpen, currentTheme }) {
+  const treeRef = useRef(null);
+  const itemRefs = useRef({});
+
+  const hidden = useMemo(() => hiddenNodes(plan, collapsed), [plan, collapsed]);
+  const visible = useMemo(() => plan.order.filter(id => !hidden.has(id)), [plan, hidden]);
+  const counts = useMemo(() => warningCounts(warnings), [warnings]);
+  const focusId = selectedNodeId && visible.includes(selectedNodeId) ? selectedNodeId : plan.root;
+
+  // Follow selections made elsewhere (diagram, search, warnings) while the tree has focus
+  useEffect(() => {
+    const item = itemRefs.current[focusId];
+    if (item && treeRef.current && treeRef.current.contains(document.activeElement) && document.activeElement !== item) {
+      item.focus();
+    }
+    // Scroll the list only, not the page
+    const list = treeRef.current;
+    if (item && list) {
+      if (item.offsetTop < list.scrollTop) {
+        list.scrollTop = item.offsetTop;
+      } else if (item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) {
+        list.scrollTop = item.offsetTop + item.offsetHeight - list.clientHeight;
+      }
+    }
+  }, [focusId]);
+
+  function jumpToWarning(step) {
+    const id = nextWarningNodeId(plan, warnings, focusId, step);
+    if (id) {
+      onSelect(id);
+    }
+  }
+
+  function handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) {
+      return;
+    }
+    const node = plan.nodes[focusId];
+    const index = visible.indexOf(focusId);
+    const hasChildren = node.children.length > 0;
+    const isCollapsed = collapsed.has(focusId);
+    let target = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        target = visible[index + 1];
+        break;
+      case 'ArrowUp':
+        target = visible[index - 1];
+        break;
+      case 'ArrowRight':
+        if (hasChildren && isCollapsed) {
+          onToggle(focusId);
+        } else if (hasChildren) {
+          target = node.children[0];
+        }
+        break;
+      case 'ArrowLeft':
+        if (hasChildren && !isCollapsed) {
+          onToggle(focusId);
+        } else {
+          target = node.parentId;
+        }
+        break;
+      case 'Home':
+        target = visible[0];
+        break;
+      case 'End':
+        target = visible[visible.length - 1];
+        break;
+      case 'Enter':
+        onOpen(focusId);
+        break;
+      case 'w':
+      case 'W':
+        jumpToWarning(e.shiftKey ? -1 : 1);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (target) {
+      onSelect(target);
+      if (itemRefs.current[target]) {
+        itemRefs.current[target].focus();
+      }
+    }
+  }
+
+  // Position of each node among its siblings, for aria-posinset / aria-setsize
+  function siblingsOf(node) {
+    return node.parentId ? plan.nodes[node.parentId].children : [plan.root];
+  }
+
+  return (
+    <div style={{ textAlign: 'left', border: '1px solid #ccc', borderRadius: 5, padding: 10, background: currentTheme.background, marginBottom: 10 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 }}>
+        <h3 id="plan-tree-heading" style={{ color: currentTheme.button, margin: 0, fontSize: '1em' }}>Plan Tree</h3>
+        <button onClick={() => jumpToWarning(1)} disabled={warnings.length === 0} aria-keyshortcuts="W" style={{ cursor: 'pointer', fontSize: '0.85em' }}>
+          Next warning (W)
+        </button>
+      </div>
+      <ul
+        ref={treeRef}
+        role="tree"
+        aria-labelledby="plan-tree-heading"
+        onKeyDown={handleKeyDown}
+        style={{ position: 'relative', listStyle: 'none', margin: 0, padding: 0, maxHeight: 320, overflowY: 'auto', fontSize: '0.85em' }}
+      >
+        {visible.map(id => {
+          const node = plan.nodes[id];
+          const siblings = siblingsOf(node);
+          const selected = id === selectedNodeId;
+          const descriptionId = `plan-tree-desc-${id}`;
+          return (
+            <li
+              key={id}
+              ref={element => { itemRefs.current[id] = element; }}
+              role="treeitem"
+              aria-level={node.depth + 1}
+              aria-setsize={siblings.length}
+              aria-posinset={siblings.indexOf(id) + 1}
+              aria-expanded={node.children.length > 0 ? !collapsed.has(id) : undefined}
+              aria-selected={selected}
+              aria-describedby={descriptionId}
+              tabIndex={id === focusId ? 0 : -1}
+              onClick={() => onSelect(id)}
+              onDoubleClick={() => onOpen(id)}
+              style={{
+                padding: `2px 4px 2px ${4 + node.depth * 12}px`,
+                cursor: 'pointer',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                background: selected ? '#1976d2' : 'transparent',
+                color: selected ? 'white' : currentTheme.text,
+                outlineOffset: -2,
+              }}
+            >
+              <span aria-hidden="true">{node.children.length > 0 ? (collapsed.has(id) ? '▸ ' : '▾ ') : '• '}</span>
+              {nodeLabel(node)}
+              {counts[id] > 0 && <span aria-hidden="true"> ⚠️{counts[id]}</span>}
+              <span id={descriptionId} style={{ display: 'none' }}>{nodeDescription(plan, node, counts[id])}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default PlanTree;
@@ -0,0 +1,255 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
+import { diffPlans } from "../plan/diffPlans";
+import { diffToMermaid, planMermaidSource } from "../plan/mermaid";
+import { collapseBelowDepth, expandPathTo, toggleCollapsed } from "../plan/collapse";
+import { runPlanTask } from "../workers/planWorkerClient";
+import PlanDiagram from "./PlanDiagram";
+import PerformanceWarnings from "./PerformanceWarnings";
+import NodeDetails from "./NodeDetails";
+import { resolveTheme } from "./themes";
+
+// Shared across renders, so an unchanged default does not look like new settings
+const DEFAULT_RULES = {};
+const NO_WARNINGS = [];
+const NO_ANNOTATIONS = [];
+const NO_MARKS = {};
+
+// EXPLAIN text is parsed in the plan worker; parsed plans are used as they are
+function useParsedPlan(input) {
+  const [parsed, setParsed] = useState({ text: null, plan: null, error: null });
+  const isText = typeof input === 'string' && input.trim() !== '';
+
+  useEffect(() => {
+    if (!isText) {
+      return undefined;
+    }
+    return runPlanTask('load', { planText: input, statsText: '', tablesText: '' }, {
+      onResult: result => setParsed({ text: input, plan: result.plan, error: null }),
+      onError: e => setParsed({ text: input, plan: null, error: e.message }),
+    });
+  }, [input, isText]);
+
+  if (!isText) {
+    return { plan: input && typeof input === 'object' ? input : null, error: null };
+  }
+  // Until the current text is parsed there is nothing to show, rather than the previous plan
+  return parsed.text === input ? parsed : { plan: null, error: null };
+}
+
+// The plan diagram with its warnings and the selected node's details, for embedding in
+// other applications.
+//   plan, compareWith   EXPLAIN text or a parsed plan; with `compareWith` both are drawn side by side
+//   theme               'light', 'dark' or colours over the light theme
+//   rules               rule settings as saved by the Rule Settings panel
+//   tables              table metadata from parseTableMetadata, for the table design rules
+//   selectedNodeId      the selected node, when the host controls it (null for none)
+//   onNodeSelect        called with (nodeId, node) when the user selects a node
+//   onAnalysis          called with { plan, warnings, comparison, error } after each analysis
+//   collapsed           ids of the collapsed nodes, when the host controls them; the host then
+//                       also expands the path to the nodes it selects
+//   onCollapsedChange   called with the new set when a node is expanded or collapsed here
+//   annotations         review notes, counted on the nodes they belong to
+//   markedNodes         more CSS classes for diagram nodes, as PlanDiagram takes them
+//   alternateView       shown in place of the diagram, which stays mounted so its SVG survives
+//   aside               shown beside the diagram
+//   children            shown between the diagram and the node details
+//   renderDetails       called with the selected node for more content in its details
+// The ref exposes getAnalysis(), selectNode(nodeId), openNode(nodeId) (select and focus its
+// details), getSvgElement() and getMermaidCode().
+const PlanVisualizer = forwardRef(function PlanVisualizer({
+  plan: planInput,
+  compareWith,
+  theme = 'light',
+  rules = DEFAULT_RULES,
+  tables = null,
+  selectedNodeId,
+  onNodeSelect,
+  onAnalysis,
+  collapseDepth = 6,
+  collapsed: collapsedNodes,
+  onCollapsedChange,
+  annotations = NO_ANNOTATIONS,
+  markedNodes: extraMarkedNodes = NO_MARKS,
+  onRenderingChange,
+  alternateView = null,
+  aside = null,
+  renderDetails,
+  showWarnings = true,
+  showDetails = true,
+  style,
+  children,
+}, ref) {
+  const left = useParsedPlan(planInput);
+  const right = useParsedPlan(compareWith);
+  const [ownCollapsed, setOwnCollapsed] = useState(new Set());
+  const [warnings, setWarnings] = useState({ plan: null, list: [] });
+  const [ownSelectedId, setOwnSelectedId] = useState(null);
+  const containerRef = useRef(null);
+  const detailsRef = useRef(null);
+  const currentTheme = resolveTheme(theme);
+  const themeName = typeof theme === 'string' ? theme : 'light';
+
+  const comparing = Boolean(compareWith);
+  const plan = comparing ? null : left.plan;
+  const error = left.error || right.error;
+
+  // Node ids in the comparison diagram are prefixed per side so they stay unique
+  const comparison = useMemo(() => {
+    if (!comparing || !left.plan || !right.plan) {
+      return null;
+    }
+    const nodes = {};
+    left.plan.order.forEach(id => { nodes[`a_${id}`] = left.plan.nodes[id]; });
+    right.plan.order.forEach(id => { nodes[`b_${id}`] = right.plan.nodes[id]; });
+    return { diff: diffPlans(left.plan, right.plan), leftPlan: left.plan, rightPlan: right.plan, nodes };
+  }, [comparing, left.plan, right.plan]);
+  const nodes = comparison ? comparison.nodes : (plan ? plan.nodes : {});
+
+  const collapsed = collapsedNodes !== undefined ? collapsedNodes : ownCollapsed;
+
+  useEffect(() => {
+    setOwnCollapsed(plan ? collapseBelowDepth(plan, collapseDepth) : new Set());
+  }, [plan, collapseDepth]);
+
+  function changeCollapsed(next) {
+    if (collapsedNodes === undefined) {
+      setOwnCollapsed(next);
+    }
+    if (onCollapsedChange) {
+      onCollapsedChange(next);
+    }
+  }
+
+  useEffect(() => {
+    if (!plan) {
+      return undefined;
+    }
+    return runPlanTask('analyze', { plan, settings: rules, tables }, {
+      onResult: list => setWarnings({ plan, list }),
+      onError: () => setWarnings({ plan, list: [] }),
+    });
+  }, [plan, rules, tables]);
+
+  // Warnings left over from an earlier plan are not shown
+  const currentWarnings = plan && warnings.plan === plan ? warnings.list : NO_WARNINGS;
+  const analysis = useMemo(() => {
+    if (error) {
+      return { plan: null, warnings: NO_WARNINGS, comparison: null, error };
+    }
+    if (comparison) {
+      return { plan: null, warnings: NO_WARNINGS, comparison: { diff: comparison.diff, leftPlan: comparison.leftPlan, rightPlan: comparison.rightPlan }, error: null };
+    }
+    return plan && warnings.plan === plan ? { plan, warnings: warnings.list, comparison: null, error: null } : null;
+  }, [error, comparison, plan, warnings]);
+
+  const onAnalysisRef = useRef(onAnalysis);
+  onAnalysisRef.current = onAnalysis;
+  useEffect(() => {
+    if (analysis && onAnalysisRef.current) {
+      onAnalysisRef.current(analysis);
+    }
+  }, [analysis]);
+
+  const controlled = selectedNodeId !== undefined;
+  const selectedId = controlled ? selectedNodeId : ownSelectedId;
+  const selectedNode = selectedId && nodes[selectedId] ? nodes[selectedId] : null;
+
+  // Keep the selected node visible, however it was selected
+  useEffect(() => {
+    if (plan && selectedId && plan.nodes[selectedId]) {
+      setOwnCollapsed(current => expandPathTo(plan, current, selectedId));
+    }
+  }, [plan, selectedId]);
+
+  function selectNode(nodeId) {
+    if (!nodes[nodeId]) {
+      return;
+    }
+    if (!controlled) {
+      setOwnSelectedId(nodeId);
+    }
+    if (onNodeSelect) {
+      onNodeSelect(nodeId, nodes[nodeId]);
+    }
+  }
+
+  // Selects the node and moves focus to its details, for keyboard users
+  function openNode(nodeId) {
+    selectNode(nodeId);
+    setTimeout(() => detailsRef.current && detailsRef.current.focus(), 0);
+  }
+
+  // A click on a collapsed node also expands it
+  function clickNode(nodeId) {
+    if (plan && collapsed.has(nodeId)) {
+      changeCollapsed(toggleCollapsed(collapsed, nodeId));
+    }
+    selectNode(nodeId);
+  }
+
+  const mermaidCode = useMemo(() => {
+    if (comparison) {
+      return diffToMermaid(comparison.diff, comparison.leftPlan, comparison.rightPlan);
+    }
+    return plan && plan.order.length > 0 ? planMermaidSource(plan, themeName, collapsed, annotations) : "";
+  }, [comparison, plan, themeName, collapsed, annotations]);
+
+  useImperativeHandle(ref, () => ({
+    getAnalysis: () => analysis,
+    selectNode,
+    openNode,
+    getSvgElement: () => containerRef.current && containerRef.current.querySelector('svg'),
+    getMermaidCode: () => (error ? "" : mermaidCode),
+  }));
+
+  const markedNodes = useMemo(
+    () => ({ ...extraMarkedNodes, 'highlighted-node': selectedNode ? [selectedId] : [] }),
+    [extraMarkedNodes, selectedNode, selectedId]
+  );
+
+  return (
+    <div style={{ fontFamily: "Arial, sans-serif", backgroundColor: currentTheme.background, color: currentTheme.text, ...style }}>
+      {error && (
+        <div role="alert" style={{ marginBottom: 10, textAlign: 'left', padding: 10, background: currentTheme.warnings.high, borderLeft: '4px solid #f44336', borderRadius: 3 }}>
+          Parse error: {error}
+        </div>
+      )}
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: 10 }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <PlanDiagram
+            containerRef={containerRef}
+            mermaidCode={error ? "" : mermaidCode}
+            theme={themeName}
+            plan={plan}
+            warnings={currentWarnings}
+            markedNodes={markedNodes}
+            hidden={Boolean(alternateView)}
+            onNodeClick={clickNode}
+            onRenderingChange={onRenderingChange}
+            currentTheme={currentTheme}
+          />
+          {alternateView}
+        </div>
+        {aside}
+      </div>
+      {children}
+      {showDetails && selectedNode && (
+        <NodeDetails
+          node={selectedNode}
+          tableMetadata={tables}
+          collapsed={collapsed.has(selectedId)}
+          onToggleCollapse={plan ? () => changeCollapsed(toggleCollapsed(collapsed, selectedId)) : null}
+          detailsRef={detailsRef}
+          currentTheme={currentTheme}
+        >
+          {renderDetails && renderDetails(selectedNode)}
+        </NodeDetails>
+      )}
+      {showWarnings && (
+        <PerformanceWarnings warnings={currentWarnings} onSelect={selectNode} onOpen={openNode} currentTheme={currentTheme} />
+      )}
+    </div>
+  );
+});
+
+export default PlanVisualizer;
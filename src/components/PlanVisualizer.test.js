@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import mermaid from 'mermaid';
+import PlanVisualizer from './PlanVisualizer';
+import { definePlanVisualizerElement } from './planVisualizerElement';
+
+// Mock mermaid to avoid errors in test environment
+jest.mock('mermaid', () => ({
+  initialize: jest.fn(),
+  render: jest.fn(),
+}));
+
+// The mock is reset before every test
+beforeEach(() => {
+  mermaid.render.mockResolvedValue({ svg: '<svg><g class="node" id="flowchart-node2-3"></g></svg>' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const PLAN = `XN Nested Loop DS_BCAST_INNER  (cost=0.00..9000.00 rows=1000000 width=8)
+  Join Filter: ("outer".a < "inner".b)
+  ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Seq Scan on b  (cost=0.00..59.00 rows=1000 width=4)`;
+
+describe('PlanVisualizer', () => {
+  test('reports the analysis and shows the details of the node the host selects', async () => {
+    const onAnalysis = jest.fn();
+    const { rerender } = render(<PlanVisualizer plan={PLAN} selectedNodeId={null} onAnalysis={onAnalysis} />);
+
+    await waitFor(() => expect(onAnalysis).toHaveBeenCalled());
+    const analysis = onAnalysis.mock.calls[0][0];
+    expect(analysis.plan.order).toEqual(['node0', 'node1', 'node2']);
+    expect(analysis.warnings.some(warning => warning.ruleId === 'nested-loop')).toBe(true);
+    expect(screen.getByText('Performance Analysis')).toBeInTheDocument();
+    expect(screen.queryByText('Selected Node Details')).not.toBeInTheDocument();
+
+    rerender(<PlanVisualizer plan={PLAN} selectedNodeId="node2" onAnalysis={onAnalysis} />);
+    expect(screen.getByText('Selected Node Details')).toBeInTheDocument();
+  });
+
+  test('reports selections without changing a controlled selection', async () => {
+    const onNodeSelect = jest.fn();
+    render(<PlanVisualizer plan={PLAN} selectedNodeId={null} onNodeSelect={onNodeSelect} />);
+
+    const [warning] = await screen.findAllByText('⚠️ Warning');
+    fireEvent.click(warning);
+    expect(onNodeSelect).toHaveBeenCalledWith('node0', expect.objectContaining({ operator: 'Nested Loop' }));
+    expect(screen.queryByText('Selected Node Details')).not.toBeInTheDocument();
+  });
+
+  test('leaves the collapsed nodes to a host that controls them and adds its content to the details', async () => {
+    mermaid.render.mockResolvedValue({ svg: '<svg><g class="node" id="flowchart-node0-0"><text>Join step</text></g></svg>' });
+    const onCollapsedChange = jest.fn();
+    const onNodeSelect = jest.fn();
+    render(
+      <PlanVisualizer
+        plan={PLAN}
+        selectedNodeId="node0"
+        onNodeSelect={onNodeSelect}
+        collapsed={new Set(['node0'])}
+        onCollapsedChange={onCollapsedChange}
+        renderDetails={node => <p>Notes for {node.id}</p>}
+      />
+    );
+
+    fireEvent.click(await screen.findByText('Join step'));
+    expect(onCollapsedChange).toHaveBeenCalledWith(new Set());
+    expect(onNodeSelect).toHaveBeenCalledWith('node0', expect.objectContaining({ operator: 'Nested Loop' }));
+    expect(screen.getByText('Notes for node0')).toBeInTheDocument();
+    expect(screen.getByText('Expand subtree')).toBeInTheDocument();
+  });
+
+  test('handles clicks on a large diagram with one listener on the container', async () => {
+    const largePlan = fs.readFileSync(path.join(__dirname, '..', 'plan', '__fixtures__', 'large-plan.txt'), 'utf8');
+    // One node group per node in the Mermaid source, as Mermaid draws them
+    mermaid.render.mockImplementation(async (id, source) => {
+      const nodeIds = new Set([...source.matchAll(/\b(node\d+)\[/g)].map(match => match[1]));
+      return { svg: `<svg>${[...nodeIds].map((nodeId, index) => `<g class="node" id="flowchart-${nodeId}-${index}"><text>Step ${nodeId}</text></g>`).join('')}</svg>` };
+    });
+    const addEventListener = jest.spyOn(EventTarget.prototype, 'addEventListener');
+    const onNodeSelect = jest.fn();
+    render(<PlanVisualizer plan={largePlan} onNodeSelect={onNodeSelect} />);
+
+    // Collapsed below the default depth of 6
+    await waitFor(() => expect(screen.getAllByText(/^Step node/).length).toBeLessThan(300), { timeout: 5000 });
+    fireEvent.click(screen.getByText('Step node0'));
+    expect(onNodeSelect).toHaveBeenCalledWith('node0', expect.objectContaining({ depth: 0 }));
+    expect(addEventListener.mock.instances.filter(target => target instanceof Element && target.classList.contains('node'))).toEqual([]);
+  });
+});
+
+describe('<plan-visualizer>', () => {
+  test('takes the plan as an attribute, selects nodes and exposes the analysis', async () => {
+    definePlanVisualizerElement();
+    const element = document.createElement('plan-visualizer');
+    element.setAttribute('plan', PLAN);
+    const analysisListener = jest.fn();
+    element.addEventListener('analysis', analysisListener);
+    act(() => { document.body.appendChild(element); });
+
+    await waitFor(() => expect(analysisListener).toHaveBeenCalled());
+    expect(element.analysis.warnings.length).toBeGreaterThan(0);
+
+    const selections = [];
+    element.addEventListener('node-select', e => selections.push(e.detail.nodeId));
+    act(() => element.selectNode('node1'));
+    expect(selections).toEqual(['node1']);
+    expect(element.selectedNodeId).toBe('node1');
+    await waitFor(() => expect(element.textContent).toContain('Selected Node Details'));
+
+    // Cancelling the event keeps the current selection
+    element.addEventListener('node-select', e => e.preventDefault());
+    act(() => element.selectNode('node2'));
+    expect(element.selectedNodeId).toBe('node1');
+
+    act(() => { element.remove(); });
+  });
+});
@@ -0,0 +1,205 @@
+import React, { useMemo, useRef, useState } from "react";
+import { QMR_ACTIONS, QMR_METRICS, QMR_OPERATORS, createQmrRule, decisiveResult, evaluateQmrRules, parseWlmConfig } from "../plan/qmr";
+
+// WLM allows at most three predicates per rule
+const MAX_PREDICATES = 3;
+
+const STATUS_STYLES = {
+  fires: { label: 'Fires', color: '#f44336' },
+  clear: { label: 'Clear', color: '#4caf50' },
+  unknown: { label: 'Cannot tell', color: '#9e9e9e' },
+};
+
+function formatValue(value) {
+  return value === null ? 'n/a' : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function describeAction(rule) {
+  return rule.action === 'change_query_priority' && rule.priority ? `change priority to ${rule.priority}` : rule.action;
+}
+
+// Editor for WLM query monitoring rules and what they would do to the current plan,
+// measured from its estimates or from the runtime statistics attached to it
+function QmrSimulator({ plan, rules, onChange, onSelect, selectedNodeId, currentTheme }) {
+  const [source, setSource] = useState('estimates');
+  const [configInput, setConfigInput] = useState('');
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const hasRuntime = Boolean(plan) && plan.order.some(id => plan.nodes[id].actual);
+  const activeSource = hasRuntime ? source : 'estimates';
+  const results = useMemo(() => (plan ? evaluateQmrRules(plan, rules, activeSource) : []), [plan, rules, activeSource]);
+  const decisive = decisiveResult(results);
+
+  function updateRule(index, changes) {
+    onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  }
+
+  function updatePredicate(ruleIndex, predicateIndex, changes) {
+    const rule = rules[ruleIndex];
+    updateRule(ruleIndex, { predicates: rule.predicates.map((predicate, i) => (i === predicateIndex ? { ...predicate, ...changes } : predicate)) });
+  }
+
+  function importConfig(text) {
+    try {
+      onChange(parseWlmConfig(text));
+      setImportError(null);
+      setConfigInput('');
+    } catch (e) {
+      setImportError(e.message);
+    }
+  }
+
+  const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #ddd', verticalAlign: 'top' };
+
+  return (
+    <div style={{ marginTop: 10, textAlign: 'left', border: '1px solid #ccc', borderRadius: 5, padding: 15, background: currentTheme.background }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+        <h3 style={{ color: currentTheme.button, margin: 0 }}>QMR Simulator</h3>
+        <span style={{ fontSize: '0.9em' }}>
+          Measure from{' '}
+          <select value={activeSource} onChange={e => setSource(e.target.value)} disabled={!hasRuntime}>
+            <option value="estimates">plan estimates</option>
+            <option value="runtime">runtime statistics</option>
+          </select>
+          <button onClick={() => onChange([...rules, createQmrRule(`rule_${rules.length + 1}`)])} style={{ marginLeft: 10, padding: '4px 10px', cursor: 'pointer' }}>
+            Add rule
+          </button>
+        </span>
+      </div>
+      {!hasRuntime && (
+        <p style={{ margin: '0 0 10px', fontSize: '0.85em', opacity: 0.8 }}>
+          Paste SVL_QUERY_SUMMARY output under Runtime Statistics to test the rules against what the query actually did.
+        </p>
+      )}
+      {plan && plan.dialect === 'postgres' && (
+        <p style={{ margin: '0 0 10px', fontSize: '0.85em', opacity: 0.8 }}>Query monitoring rules are a Redshift feature; this is a PostgreSQL plan.</p>
+      )}
+
+      {rules.length === 0 && <p style={{ opacity: 0.7 }}>No rules yet. Add one or import a WLM configuration below.</p>}
+      {rules.map((rule, ruleIndex) => (
+        <div key={ruleIndex} style={{ padding: '8px 0', borderBottom: '1px solid #eee', fontSize: '0.9em' }}>
+          <input value={rule.name} onChange={e => updateRule(ruleIndex, { name: e.target.value })} aria-label="Rule name" style={{ fontWeight: 'bold', width: 180 }} />
+          {rule.queue && <span style={{ marginLeft: 8, fontSize: '0.85em', opacity: 0.7 }}>{rule.queue}</span>}
+          <label style={{ marginLeft: 15 }}>
+            Action{' '}
+            <select value={rule.action} onChange={e => updateRule(ruleIndex, { action: e.target.value })}>
+              {QMR_ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+            </select>
+          </label>
+          {rule.action === 'change_query_priority' && (
+            <input value={rule.priority || ''} onChange={e => updateRule(ruleIndex, { priority: e.target.value || null })} placeholder="priority" aria-label="Priority" style={{ marginLeft: 6, width: 90 }} />
+          )}
+          <button onClick={() => onChange(rules.filter((_, i) => i !== ruleIndex))} style={{ marginLeft: 10, cursor: 'pointer' }}>Remove</button>
+          {rule.predicates.map((predicate, predicateIndex) => (
+            <div key={predicateIndex} style={{ marginTop: 4, marginLeft: 22 }}>
+              {predicateIndex > 0 ? 'and ' : 'when '}
+              <select value={predicate.metric} onChange={e => updatePredicate(ruleIndex, predicateIndex, { metric: e.target.value })} aria-label="Metric">
+                {!QMR_METRICS[predicate.metric] && <option value={predicate.metric}>{predicate.metric}</option>}
+                {Object.entries(QMR_METRICS).map(([metric, { label }]) => <option key={metric} value={metric}>{label}</option>)}
+              </select>{' '}
+              <select value={predicate.operator} onChange={e => updatePredicate(ruleIndex, predicateIndex, { operator: e.target.value })} aria-label="Operator">
+                {QMR_OPERATORS.map(operator => <option key={operator} value={operator}>{operator}</option>)}
+              </select>{' '}
+              <input
+                type="number"
+                min="0"
+                value={predicate.value}
+                onChange={e => updatePredicate(ruleIndex, predicateIndex, { value: parseFloat(e.target.value) || 0 })}
+                aria-label="Value"
+                style={{ width: 110 }}
+              />
+              {rule.predicates.length > 1 && (
+                <button onClick={() => updateRule(ruleIndex, { predicates: rule.predicates.filter((_, i) => i !== predicateIndex) })} aria-label="Remove condition" style={{ marginLeft: 6, cursor: 'pointer' }}>×</button>
+              )}
+            </div>
+          ))}
+          {rule.predicates.length < MAX_PREDICATES && (
+            <button
+              onClick={() => updateRule(ruleIndex, { predicates: [...rule.predicates, { metric: 'return_row_count', operator: '>', value: 1000000 }] })}
+              style={{ marginTop: 4, marginLeft: 22, cursor: 'pointer', fontSize: '0.9em' }}
+            >
+              Add condition
+            </button>
+          )}
+        </div>
+      ))}
+
+      <details style={{ marginTop: 10 }}>
+        <summary style={{ cursor: 'pointer' }}>Import from WLM configuration</summary>
+        <p style={{ fontSize: '0.85em', opacity: 0.8 }}>
+          Paste the <code>wlm_json_configuration</code> parameter value; the rules of every queue replace the ones above.
+        </p>
+        <textarea value={configInput} onChange={e => setConfigInput(e.target.value)} rows={6} style={{ width: '100%', fontFamily: 'monospace' }} />
+        <button onClick={() => importConfig(configInput)} disabled={!configInput.trim()} style={{ padding: '4px 10px', cursor: 'pointer' }}>Import</button>
+        <button onClick={() => fileInputRef.current.click()} style={{ marginLeft: 6, padding: '4px 10px', cursor: 'pointer' }}>Choose file</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json,text/plain"
+          onChange={e => {
+            if (e.target.files.length > 0) {
+              e.target.files[0].text().then(importConfig);
+            }
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+        {importError && (
+          <div role="alert" style={{ marginTop: 6, padding: 6, background: currentTheme.warnings.high, borderLeft: '4px solid #f44336' }}>{importError}</div>
+        )}
+      </details>
+
+      {!plan && rules.length > 0 && <p style={{ opacity: 0.7 }}>Generate a diagram to test the rules against a plan.</p>}
+      {plan && results.length > 0 && (
+        <>
+          <p role="status" style={{ margin: '12px 0 6px', fontWeight: 'bold' }}>
+            {decisive
+              ? `WLM would ${describeAction(decisive.rule)} this query (rule ${decisive.rule.name}).`
+              : 'No rule would fire on this query.'}
+          </p>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+            <thead>
+              <tr>
+                {['Rule', 'Result', 'Action', 'Conditions', 'Node'].map(label => <th key={label} style={cellStyle}>{label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result, index) => (
+                <tr key={index}>
+                  <td style={cellStyle}>{result.rule.name}</td>
+                  <td style={{ ...cellStyle, color: STATUS_STYLES[result.status].color, fontWeight: 'bold' }}>{STATUS_STYLES[result.status].label}</td>
+                  <td style={cellStyle}>{describeAction(result.rule)}</td>
+                  <td style={cellStyle}>
+                    {result.predicates.map((predicate, i) => (
+                      <div key={i}>
+                        {predicate.met === null ? '?' : predicate.met ? '✓' : '✗'}{' '}
+                        {QMR_METRICS[predicate.metric] ? QMR_METRICS[predicate.metric].label : predicate.metric} {predicate.operator} {formatValue(predicate.value)}
+                        <span style={{ opacity: 0.7 }}> (measured {predicate.met === null ? 'n/a' : formatValue(predicate.measured)})</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td style={cellStyle}>
+                    {result.nodeId && (
+                      <button
+                        onClick={() => onSelect(result.nodeId)}
+                        style={{ cursor: 'pointer', fontWeight: result.nodeId === selectedNodeId ? 'bold' : 'normal' }}
+                      >
+                        {plan.nodes[result.nodeId].operator}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '0.75em', opacity: 0.7, marginBottom: 0 }}>
+            Estimated scan rows count the rows left after filters, so they understate what Redshift counts. Metrics such as CPU time, queue time and skew are only known to the cluster.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QmrSimulator;
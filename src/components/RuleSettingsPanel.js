@@ -0,0 +1,72 @@
+import React from "react";
+import { SEVERITIES, getRules, resolveRuleSettings, ruleDialect } from "../plan/ruleEngine";
+
+// Lets the user switch rules on and off, change their severity and tune thresholds.
+function RuleSettingsPanel({ settings, onChange, currentTheme }) {
+  function updateRule(ruleId, changes) {
+    const current = settings[ruleId] || {};
+    onChange({
+      ...settings,
+      [ruleId]: { ...current, ...changes, params: { ...current.params, ...changes.params } },
+    });
+  }
+
+  return (
+    <div style={{ marginTop: 10, textAlign: 'left', border: '1px solid #ccc', borderRadius: 5, padding: 15, background: currentTheme.background }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ color: currentTheme.button, margin: 0 }}>Rule Settings</h3>
+        <button onClick={() => onChange({})} style={{ padding: '4px 10px', cursor: 'pointer' }}>
+          Reset to defaults
+        </button>
+      </div>
+      {getRules().map(rule => {
+        const resolved = resolveRuleSettings(rule, settings);
+        return (
+          <div key={rule.id} style={{ padding: '8px 0', borderBottom: '1px solid #eee' }}>
+            <label style={{ fontWeight: 'bold' }}>
+              <input
+                type="checkbox"
+                checked={resolved.enabled}
+                onChange={e => updateRule(rule.id, { enabled: e.target.checked })}
+                style={{ marginRight: 6 }}
+              />
+              {rule.title}
+            </label>
+            <span style={{ marginLeft: 8, fontSize: '0.8em', opacity: 0.7 }}>{rule.id}{ruleDialect(rule) === 'postgres' ? ' · PostgreSQL plans' : ''}</span>
+            <div style={{ marginTop: 4, marginLeft: 22, fontSize: '0.9em' }}>
+              <label>
+                Severity{' '}
+                <select
+                  value={resolved.severity}
+                  disabled={!resolved.enabled}
+                  onChange={e => updateRule(rule.id, { severity: e.target.value })}
+                >
+                  {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                </select>
+              </label>
+              {Object.entries(rule.params).map(([name, param]) => (
+                <label key={name} style={{ marginLeft: 15 }}>
+                  {param.label}{' '}
+                  <input
+                    type="number"
+                    min={param.min || 0}
+                    value={resolved.params[name]}
+                    disabled={!resolved.enabled}
+                    onChange={e => {
+                      // Typed or pasted values skip the `min` attribute, so hold them to it here
+                      const value = parseFloat(e.target.value);
+                      updateRule(rule.id, { params: { [name]: Number.isNaN(value) ? param.default : Math.max(value, param.min || 0) } });
+                    }}
+                    style={{ width: 100 }}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RuleSettingsPanel;
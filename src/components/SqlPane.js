@@ -0,0 +1,54 @@
+import React from "react";
+import Editor from "react-simple-code-editor";
+import { highlight, languages } from "prismjs";
+
+function highlightSql(code) {
+  return highlight(code, languages.sql, 'sql');
+}
+
+// Prism-highlights the SQL and wraps the given character ranges in <mark>.
+// Each piece is highlighted on its own, so a token cut by a range boundary may lose its colour.
+export function highlightWithRanges(code, ranges) {
+  if (ranges.length === 0) {
+    return highlightSql(code);
+  }
+  const merged = [];
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  });
+
+  let html = '';
+  let position = 0;
+  merged.forEach(({ start, end }) => {
+    html += highlightSql(code.slice(position, start));
+    html += `<mark class="sql-link-highlight">${highlightSql(code.slice(start, end))}</mark>`;
+    position = end;
+  });
+  return html + highlightSql(code.slice(position));
+}
+
+// SQL editor whose highlighted ranges follow the selected plan node, and which
+// reports the user's text selection so the matching nodes can be highlighted.
+function SqlPane({ value, onValueChange, highlights, onSelectionChange, style }) {
+  const reportSelection = e => onSelectionChange(e.target.selectionStart, e.target.selectionEnd);
+
+  return (
+    <Editor
+      value={value}
+      onValueChange={onValueChange}
+      highlight={code => highlightWithRanges(code, highlights)}
+      padding={10}
+      onClick={reportSelection}
+      onKeyUp={reportSelection}
+      placeholder="Paste the SQL query the plan was generated from"
+      style={style}
+    />
+  );
+}
+
+export default SqlPane;
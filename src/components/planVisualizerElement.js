@@ -0,0 +1,120 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import PlanVisualizer from "./PlanVisualizer";
+
+// Attributes of the element and the PlanVisualizer props they set
+const ATTRIBUTE_PROPS = {
+  plan: 'plan',
+  'compare-with': 'compareWith',
+  theme: 'theme',
+  'selected-node': 'selectedNodeId',
+};
+
+// Properties that can also take objects (parsed plans, rule settings, table metadata)
+const PROPERTIES = ['plan', 'compareWith', 'theme', 'rules', 'tables', 'selectedNodeId'];
+
+// Registers <plan-visualizer> (or `tagName`), a PlanVisualizer for pages without React:
+//
+//   <plan-visualizer theme="dark" plan="XN Hash Join ..."></plan-visualizer>
+//   element.rules = { 'nested-loop': { severity: 'high' } };
+//   element.selectedNodeId = 'node2';
+//   element.addEventListener('node-select', e => console.log(e.detail.nodeId, e.detail.node));
+//   element.addEventListener('analysis', e => console.log(e.detail.warnings));
+//
+// The element keeps the selected node itself; `node-select` fires before a selection made
+// in the diagram is applied, and calling preventDefault() on it keeps the current one.
+// `analysis` holds the latest { plan, warnings, comparison, error }.
+export function definePlanVisualizerElement(tagName = 'plan-visualizer') {
+  const existing = window.customElements.get(tagName);
+  if (existing) {
+    return existing;
+  }
+
+  class PlanVisualizerElement extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(ATTRIBUTE_PROPS);
+    }
+
+    constructor() {
+      super();
+      this.props = { selectedNodeId: null };
+      this.latestAnalysis = null;
+      this.handle = null;
+      this.root = null;
+    }
+
+    connectedCallback() {
+      if (!this.root) {
+        this.root = createRoot(this);
+      }
+      this.renderVisualizer();
+    }
+
+    disconnectedCallback() {
+      if (this.root) {
+        this.root.unmount();
+        this.root = null;
+      }
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      this.update({ [ATTRIBUTE_PROPS[name]]: name === 'selected-node' ? value || null : value || undefined });
+    }
+
+    get analysis() {
+      return this.latestAnalysis;
+    }
+
+    get svgElement() {
+      return this.handle ? this.handle.getSvgElement() : null;
+    }
+
+    // Selects a node as if it were clicked, including the `node-select` event
+    selectNode(nodeId) {
+      if (this.handle) {
+        this.handle.selectNode(nodeId);
+      }
+    }
+
+    update(changes) {
+      this.props = { ...this.props, ...changes };
+      this.renderVisualizer();
+    }
+
+    renderVisualizer() {
+      if (!this.root) {
+        return;
+      }
+      this.root.render(
+        <PlanVisualizer
+          {...this.props}
+          ref={handle => { this.handle = handle; }}
+          onNodeSelect={(nodeId, node) => {
+            const event = new CustomEvent('node-select', { detail: { nodeId, node }, bubbles: true, cancelable: true });
+            if (this.dispatchEvent(event)) {
+              this.update({ selectedNodeId: nodeId });
+            }
+          }}
+          onAnalysis={analysis => {
+            this.latestAnalysis = analysis;
+            this.dispatchEvent(new CustomEvent('analysis', { detail: analysis, bubbles: true }));
+          }}
+        />
+      );
+    }
+  }
+
+  PROPERTIES.forEach(name => {
+    Object.defineProperty(PlanVisualizerElement.prototype, name, {
+      get() {
+        return this.props[name];
+      },
+      set(value) {
+        this.update({ [name]: value });
+      },
+    });
+  });
+
+  window.customElements.define(tagName, PlanVisualizerElement);
+  return PlanVisualizerElement;
+}
@@ -0,0 +1,43 @@
+// Colours of the light and dark themes, handed to every panel as `currentTheme`
+
+export const THEMES = {
+  light: {
+    background: '#ffffff',
+    text: '#000000',
+    button: '#d32f2f',
+    buttonText: '#ffffff',
+    textarea: '#ffffff',
+    diagramContainer: '#ffffff',
+    warnings: {
+      high: '#ffebee',
+      medium: '#fff3e0',
+      info: '#e3f2fd'
+    }
+  },
+  dark: {
+    background: '#121212',
+    text: '#ffffff',
+    button: '#d32f2f',
+    buttonText: '#ffffff',
+    textarea: '#333333',
+    diagramContainer: '#333333',
+    warnings: {
+      high: '#4a148c',
+      medium: '#e65100',
+      info: '#01579b'
+    }
+  },
+};
+
+// A theme name, or colours to use over the light theme's
+export function resolveTheme(theme) {
+  if (theme && typeof theme === 'object') {
+    return { ...THEMES.light, ...theme, warnings: { ...THEMES.light.warnings, ...theme.warnings } };
+  }
+  return THEMES[theme] || THEMES.light;
+}
+
+// The Mermaid theme that goes with a theme
+export function mermaidThemeName(theme) {
+  return theme === 'dark' ? 'dark' : 'default';
+}
@@ -0,0 +1,11 @@
+// Entry point for embedding the visualizer in other applications: the PlanVisualizer
+// React component, the parts it and the app are built from, and the <plan-visualizer>
+// custom element for pages without React. The plan library itself is src/plan/index.js.
+
+export { default as PlanVisualizer } from "./components/PlanVisualizer";
+export { default as PlanEditor } from "./components/PlanEditor";
+export { default as PlanDiagram } from "./components/PlanDiagram";
+export { default as PerformanceWarnings } from "./components/PerformanceWarnings";
+export { default as NodeDetails } from "./components/NodeDetails";
+export { THEMES, resolveTheme } from "./components/themes";
+export { definePlanVisualizerElement } from "./components/planVisualizerElement";
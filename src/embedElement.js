@@ -0,0 +1,5 @@
+// Entry of the standalone <plan-visualizer> bundle: React and everything else is bundled
+// in, and the element is registered as soon as the script loads.
+import { definePlanVisualizerElement } from "./components/planVisualizerElement";
+
+definePlanVisualizerElement();
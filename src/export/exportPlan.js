@@ -0,0 +1,134 @@
+import { buildHtmlReport, buildMarkdownReport, buildPlanJson } from './report';
+import { buildImagePdf } from './pdf';
+
+// Browser side of the exports: serializing and rasterizing the rendered diagram
+// and handing the result to the user as a download. Nothing leaves the page.
+
+export const EXPORT_FORMATS = [
+  { id: 'svg', label: 'SVG' },
+  { id: 'png', label: 'PNG' },
+  { id: 'pdf', label: 'PDF' },
+  { id: 'mermaid', label: 'Mermaid source' },
+  { id: 'json', label: 'JSON (plan + warnings)', needsPlan: true },
+  { id: 'html', label: 'HTML report', needsPlan: true },
+  { id: 'markdown', label: 'Markdown report', needsPlan: true },
+];
+
+// Browsers refuse canvases much larger than this in either dimension
+const MAX_CANVAS_SIZE = 16384;
+const FILE_NAME = 'redshift-explain-plan';
+const REPORT_TITLE = 'Redshift Query Plan Report';
+
+export function downloadFile(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Standalone markup with explicit pixel size; Mermaid's own SVG is sized by CSS (width 100%)
+function serializeSvg(svgElement) {
+  const box = svgElement.viewBox && svgElement.viewBox.baseVal;
+  const bounds = svgElement.getBoundingClientRect();
+  const width = Math.ceil((box && box.width) || bounds.width);
+  const height = Math.ceil((box && box.height) || bounds.height);
+  const clone = svgElement.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.style.maxWidth = '';
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The diagram could not be loaded as an image.'));
+    image.src = url;
+  });
+}
+
+async function rasterize(svgElement, scale, background) {
+  const { markup, width, height } = serializeSvg(svgElement);
+  const usedScale = Math.min(scale, MAX_CANVAS_SIZE / width, MAX_CANVAS_SIZE / height);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  try {
+    const image = await loadImage(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * usedScale);
+    canvas.height = Math.round(height * usedScale);
+    const context = canvas.getContext('2d');
+    // PNG keeps transparency, but the diagram is unreadable without the page background
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return { canvas, width, height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    try {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the image.'))), type, quality);
+    } catch (e) {
+      // Some browsers taint canvases that drew SVG <foreignObject> labels
+      reject(new Error(`This browser does not allow exporting the diagram as an image (${e.message}). Export as SVG instead.`));
+    }
+  });
+}
+
+// `source` holds what the formats need: svgElement, mermaidCode, plan, planText,
+// warnings, annotations; `options` the PNG/PDF scale and background colour.
+export async function exportAs(format, source, { scale = 2, background = '#ffffff' } = {}) {
+  const { svgElement, mermaidCode, plan, planText, warnings, annotations = [] } = source;
+  const needsDiagram = ['svg', 'png', 'pdf'].includes(format);
+  if ((needsDiagram && !svgElement) || (format === 'mermaid' && !mermaidCode)) {
+    throw new Error('Generate a diagram before exporting it.');
+  }
+  if (EXPORT_FORMATS.some(candidate => candidate.id === format && candidate.needsPlan) && !plan) {
+    throw new Error('Reports cover a single plan; generate one instead of a comparison to export it.');
+  }
+
+  switch (format) {
+    case 'svg':
+      downloadFile(serializeSvg(svgElement).markup, `${FILE_NAME}.svg`, 'image/svg+xml');
+      break;
+    case 'png': {
+      const { canvas } = await rasterize(svgElement, scale, background);
+      downloadFile(await canvasToBlob(canvas, 'image/png'), `${FILE_NAME}.png`);
+      break;
+    }
+    case 'pdf': {
+      const { canvas, width, height } = await rasterize(svgElement, scale, background);
+      const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+      // 96 CSS pixels per inch, 72 points per inch
+      const pdf = buildImagePdf(jpeg, canvas.width, canvas.height, width * 0.75, height * 0.75);
+      downloadFile(pdf, `${FILE_NAME}.pdf`, 'application/pdf');
+      break;
+    }
+    case 'mermaid':
+      downloadFile(mermaidCode, `${FILE_NAME}.mmd`, 'text/plain');
+      break;
+    case 'json':
+      downloadFile(buildPlanJson({ plan, warnings, planText, annotations }), `${FILE_NAME}.json`, 'application/json');
+      break;
+    case 'html': {
+      const svg = svgElement ? serializeSvg(svgElement).markup : null;
+      downloadFile(buildHtmlReport({ title: REPORT_TITLE, plan, planText, warnings, svg, annotations }), `${FILE_NAME}-report.html`, 'text/html');
+      break;
+    }
+    case 'markdown':
+      downloadFile(buildMarkdownReport({ title: REPORT_TITLE, plan, planText, warnings, mermaidCode, annotations }), `${FILE_NAME}-report.md`, 'text/markdown');
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,12 @@
+import { EXPORT_FORMATS, exportAs } from './exportPlan';
+
+describe('exportAs', () => {
+  test('refuses plan reports without a single plan, as under a comparison', async () => {
+    const source = { svgElement: null, mermaidCode: 'flowchart TD', plan: null, planText: '', warnings: [] };
+    const planFormats = EXPORT_FORMATS.filter(format => format.needsPlan).map(format => format.id);
+    expect(planFormats).toEqual(['json', 'html', 'markdown']);
+    for (const format of planFormats) {
+      await expect(exportAs(format, source)).rejects.toThrow('Reports cover a single plan');
+    }
+  });
+});
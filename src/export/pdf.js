@@ -0,0 +1,48 @@
+// Minimal single-page PDF writer: the page shows one JPEG image, which PDF can
+// embed as is (DCTDecode), so no PDF library is needed to export the diagram.
+
+function asciiBytes(text) {
+  return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+// `jpeg` is the image file as bytes; the page is pageWidth x pageHeight points
+export function buildImagePdf(jpeg, imageWidth, imageHeight, pageWidth, pageHeight) {
+  const content = `q\n${pageWidth} 0 0 ${pageHeight} 0 0 cm\n/Im0 Do\nQ\n`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+    [`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, '\nendstream'],
+    `<< /Length ${content.length} >>\nstream\n${content}endstream`,
+  ];
+
+  const parts = [];
+  let length = 0;
+  const push = part => {
+    const bytes = typeof part === 'string' ? asciiBytes(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+
+  push('%PDF-1.4\n');
+  const offsets = objects.map((object, index) => {
+    const offset = length;
+    push(`${index + 1} 0 obj\n`);
+    (Array.isArray(object) ? object : [object]).forEach(push);
+    push('\nendobj\n');
+    return offset;
+  });
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  parts.forEach(bytes => {
+    pdf.set(bytes, position);
+    position += bytes.length;
+  });
+  return pdf;
+}
@@ -0,0 +1,26 @@
+import { buildImagePdf } from './pdf';
+
+function text(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+describe('buildImagePdf', () => {
+  test('embeds the JPEG bytes on a page of the given size with a valid cross-reference table', () => {
+    const jpeg = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0xff, 0xd9]);
+    const pdf = text(buildImagePdf(jpeg, 400, 200, 300, 150));
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf).toContain('/MediaBox [0 0 300 150]');
+    expect(pdf).toContain('/Width 400 /Height 200');
+    expect(pdf).toContain(`/Length 8 >>\nstream\n${text(jpeg)}\nendstream`);
+
+    // Every xref entry points at the start of its object
+    const xrefOffset = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const offsets = [...pdf.slice(xrefOffset).matchAll(/(\d{10}) 00000 n/g)].map(match => parseInt(match[1], 10));
+    expect(offsets).toHaveLength(5);
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset, offset + 8)).toBe(`${index + 1} 0 obj\n`);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import { describeRuntime } from '../plan/runtimeStats';
+import { nodeLabel } from '../plan/parsePlan';
+
+// Export formats built from the plan model: the JSON model, and a Markdown or
+// self-contained HTML report with the diagram, plan text, per-node cost table and
+// the Performance Analysis list with its suggested fixes. Everything here is plain string building so it
+// runs (and is tested) without a DOM.
+
+const LINK_REGEX = /\[([^\]]+)\]\(([^)]+)\)/g;
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+export function buildPlanJson({ plan, warnings, planText, annotations = [] }) {
+  return JSON.stringify({ version: EXPORT_FORMAT_VERSION, planText, plan, warnings, annotations }, null, 2);
+}
+
+// One row per node in plan order, with its share of the root's total cost
+export function nodeCostRows(plan) {
+  const rootCost = plan.root ? plan.nodes[plan.root].totalCost : 0;
+  return plan.order.map(id => {
+    const node = plan.nodes[id];
+    return {
+      id,
+      depth: node.depth,
+      name: nodeLabel(node),
+      distribution: node.distribution || '',
+      totalCost: node.totalCost,
+      exclusiveCost: node.exclusiveCost,
+      share: rootCost > 0 ? node.exclusiveCost / rootCost : 0,
+      rows: node.rows,
+      actualRows: node.actual ? node.actual.rows : null,
+    };
+  });
+}
+
+function annotationStatus(annotation) {
+  return annotation.resolved ? 'resolved' : 'open';
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Markdown table cells cannot contain pipes or line breaks
+function escapeMarkdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function hasRuntime(rows) {
+  return rows.some(row => row.actualRows !== null);
+}
+
+export function buildMarkdownReport({ title, plan, planText, warnings, mermaidCode, annotations = [] }) {
+  const rows = nodeCostRows(plan);
+  const runtime = hasRuntime(rows);
+  const lines = [`# ${title}`, ''];
+
+  if (mermaidCode) {
+    lines.push('## Diagram', '', '```mermaid', mermaidCode, '```', '');
+  }
+
+  lines.push('## Plan', '', '```', planText.trim(), '```', '');
+
+  lines.push('## Node Costs', '');
+  const header = ['Node', 'Distribution', 'Total cost', 'Self cost', 'Self share', 'Rows', ...(runtime ? ['Actual rows'] : [])];
+  lines.push(`| ${header.join(' | ')} |`, `|${header.map(() => ' --- ').join('|')}|`);
+  rows.forEach(row => {
+    const cells = [
+      `${'&nbsp;&nbsp;'.repeat(row.depth)}${escapeMarkdownCell(row.name)}`,
+      row.distribution,
+      row.totalCost.toFixed(2),
+      row.exclusiveCost.toFixed(2),
+      formatShare(row.share),
+      row.rows.toLocaleString(),
+      ...(runtime ? [row.actualRows === null ? '' : row.actualRows.toLocaleString()] : []),
+    ];
+    lines.push(`| ${cells.join(' | ')} |`);
+  });
+  lines.push('');
+
+  lines.push('## Performance Analysis', '');
+  if (warnings.length === 0) {
+    lines.push('No warnings.');
+  }
+  warnings.forEach(warning => {
+    const node = warning.nodeId && plan.nodes[warning.nodeId];
+    lines.push(`- **${warning.severity}**${node ? ` (${escapeMarkdownCell(nodeLabel(node))})` : ''}: ${warning.message}`);
+    (warning.fixes || []).forEach(fix => {
+      lines.push(`  - Fix: ${fix.title}. ${fix.explanation}`, '', '    ```sql', ...fix.sql.split('\n').map(line => `    ${line}`), '    ```', '');
+    });
+  });
+
+  if (annotations.length > 0) {
+    lines.push('', '## Review Notes', '');
+    annotations.forEach(annotation => {
+      const node = plan.nodes[annotation.nodeId];
+      lines.push(`- **${escapeMarkdownCell(annotation.author)}** on ${node ? `${escapeMarkdownCell(nodeLabel(node))} (line ${node.line})` : 'a removed node'}, ${annotationStatus(annotation)}: ${escapeMarkdownCell(annotation.text)}`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function renderLinks(message) {
+  let html = '';
+  let lastIndex = 0;
+  let match;
+  LINK_REGEX.lastIndex = 0;
+  while ((match = LINK_REGEX.exec(message)) !== null) {
+    html += escapeHtml(message.slice(lastIndex, match.index));
+    html += `<a href="${escapeHtml(match[2])}">${escapeHtml(match[1])}</a>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return html + escapeHtml(message.slice(lastIndex));
+}
+
+const SEVERITY_COLORS = { high: '#f44336', medium: '#ff9800', low: '#2196f3', info: '#2196f3' };
+
+// `svg` is the rendered diagram markup, embedded as is so the report needs no scripts
+export function buildHtmlReport({ title, plan, planText, warnings, svg, annotations = [] }) {
+  const rows = nodeCostRows(plan);
+  const runtime = hasRuntime(rows);
+  const cell = 'style="padding:4px 8px;border-bottom:1px solid #ddd;text-align:left"';
+  const number = 'style="padding:4px 8px;border-bottom:1px solid #ddd;text-align:right"';
+
+  const tableRows = rows.map(row => `<tr>
+<td ${cell}><span style="padding-left:${row.depth * 12}px">${escapeHtml(row.name)}</span></td>
+<td ${cell}>${escapeHtml(row.distribution)}</td>
+<td ${number}>${row.totalCost.toFixed(2)}</td>
+<td ${number}>${row.exclusiveCost.toFixed(2)}</td>
+<td ${number}>${formatShare(row.share)}</td>
+<td ${number}>${row.rows.toLocaleString()}</td>${runtime ? `
+<td ${number}>${row.actualRows === null ? '' : row.actualRows.toLocaleString()}</td>` : ''}
+</tr>`).join('\n');
+
+  const warningItems = warnings.map(warning => {
+    const node = warning.nodeId && plan.nodes[warning.nodeId];
+    const runtimeLines = node ? describeRuntime(node) : [];
+    const fixes = (warning.fixes || []).map(fix => `<div style="margin-top:6px"><strong>Fix: ${escapeHtml(fix.title)}</strong>
+<pre style="background:#f5f5f5;padding:6px;margin:4px 0;white-space:pre-wrap">${escapeHtml(fix.sql)}</pre>
+<small>${escapeHtml(fix.explanation)}</small></div>`).join('\n');
+    return `<li style="margin-bottom:8px;padding:6px 10px;border-left:4px solid ${SEVERITY_COLORS[warning.severity]}">
+<strong>${escapeHtml(warning.severity)}</strong>${node ? ` (${escapeHtml(nodeLabel(node))})` : ''}: ${renderLinks(warning.message)}${runtimeLines.length > 0 ? `<br/><small>${runtimeLines.map(escapeHtml).join('<br/>')}</small>` : ''}${fixes ? `\n${fixes}` : ''}
+</li>`;
+  }).join('\n');
+
+  const annotationItems = annotations.map(annotation => {
+    const node = plan.nodes[annotation.nodeId];
+    return `<li><strong>${escapeHtml(annotation.author)}</strong> on ${node ? `${escapeHtml(nodeLabel(node))} (line ${node.line})` : 'a removed node'}, ${annotationStatus(annotation)}: ${escapeHtml(annotation.text)}</li>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family:Arial,sans-serif;max-width:1000px;margin:0 auto;padding:20px">
+<h1>${escapeHtml(title)}</h1>
+${svg ? `<h2>Diagram</h2>\n<div style="overflow:auto;border:1px solid #ccc;padding:10px">${svg}</div>` : ''}
+<h2>Plan</h2>
+<pre style="background:#f5f5f5;padding:10px;overflow:auto">${escapeHtml(planText.trim())}</pre>
+<h2>Node Costs</h2>
+<table style="border-collapse:collapse;width:100%;font-size:0.9em">
+<thead><tr><th ${cell}>Node</th><th ${cell}>Distribution</th><th ${number}>Total cost</th><th ${number}>Self cost</th><th ${number}>Self share</th><th ${number}>Rows</th>${runtime ? `<th ${number}>Actual rows</th>` : ''}</tr></thead>
+<tbody>
+${tableRows}
+</tbody>
+</table>
+<h2>Performance Analysis</h2>
+${warnings.length > 0 ? `<ul style="list-style:none;padding:0">\n${warningItems}\n</ul>` : '<p>No warnings.</p>'}
+${annotations.length > 0 ? `<h2>Review Notes</h2>\n<ul>\n${annotationItems}\n</ul>` : ''}
+</body>
+</html>
+`;
+}
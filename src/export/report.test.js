@@ -0,0 +1,102 @@
+import { parsePlan } from '../plan/parsePlan';
+import { buildHtmlReport, buildMarkdownReport, buildPlanJson, nodeCostRows } from './report';
+
+const PLAN_TEXT = `XN Hash Join DS_BCAST_INNER  (cost=0.00..200.00 rows=1000 width=8)
+  Hash Cond: (a.id = b.id)
+  ->  XN Seq Scan on a  (cost=0.00..60.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..100.00 rows=1000 width=4)
+        ->  XN Seq Scan on b  (cost=0.00..100.00 rows=1000 width=4)`;
+
+const WARNINGS = [{
+  ruleId: 'dist-ds-bcast-inner',
+  type: 'warning',
+  severity: 'medium',
+  message: 'Inner table <b> is broadcast. See [Join types](https://docs.aws.amazon.com/redshift/latest/dg/c_data_redistribution.html).',
+  nodeId: 'node0',
+}];
+
+describe('nodeCostRows', () => {
+  test('lists nodes in plan order with their share of the root cost', () => {
+    const rows = nodeCostRows(parsePlan(PLAN_TEXT));
+    expect(rows.map(row => [row.name, row.depth, row.exclusiveCost, row.share])).toEqual([
+      ['Hash Join', 0, 40, 0.2],
+      ['Seq Scan on a', 1, 60, 0.3],
+      ['Hash', 1, 0, 0],
+      ['Seq Scan on b', 2, 100, 0.5],
+    ]);
+  });
+});
+
+describe('reports', () => {
+  test('exports the plan model and warnings as JSON', () => {
+    const plan = parsePlan(PLAN_TEXT);
+    const exported = JSON.parse(buildPlanJson({ plan, warnings: WARNINGS, planText: PLAN_TEXT }));
+    expect(exported.version).toBe(1);
+    expect(exported.plan).toEqual(plan);
+    expect(exported.warnings).toEqual(WARNINGS);
+  });
+
+  test('builds a Markdown report with the diagram, plan, cost table and warnings', () => {
+    const report = buildMarkdownReport({
+      title: 'Report',
+      plan: parsePlan(PLAN_TEXT),
+      planText: PLAN_TEXT,
+      warnings: WARNINGS,
+      mermaidCode: 'graph TD\nnode0 --> node1',
+    });
+    expect(report).toContain('```mermaid\ngraph TD\nnode0 --> node1\n```');
+    expect(report).toContain('XN Seq Scan on b  (cost=0.00..100.00 rows=1000 width=4)');
+    expect(report).toContain('| &nbsp;&nbsp;&nbsp;&nbsp;Seq Scan on b |  | 100.00 | 100.00 | 50.0% | 1,000 |');
+    expect(report).toContain('- **medium** (Hash Join): Inner table <b> is broadcast. See [Join types](https://docs.aws.amazon.com/redshift/latest/dg/c_data_redistribution.html).');
+  });
+
+  test('builds a self-contained HTML report with escaped text and working links', () => {
+    const report = buildHtmlReport({
+      title: 'Report',
+      plan: parsePlan(PLAN_TEXT),
+      planText: PLAN_TEXT,
+      warnings: WARNINGS,
+      svg: '<svg id="diagram"></svg>',
+    });
+    expect(report).toMatch(/^<!DOCTYPE html>/);
+    expect(report).toContain('<svg id="diagram"></svg>');
+    expect(report).toContain('Inner table &lt;b&gt; is broadcast. See <a href="https://docs.aws.amazon.com/redshift/latest/dg/c_data_redistribution.html">Join types</a>.');
+    expect(report).toContain('<td style="padding:4px 8px;border-bottom:1px solid #ddd;text-align:right">50.0%</td>');
+    expect(report).not.toContain('<script');
+  });
+
+  test('adds an actual rows column when runtime statistics are attached', () => {
+    const plan = parsePlan(PLAN_TEXT);
+    plan.nodes.node1.actual = { rows: 4200, bytes: 0, elapsedMicros: 0, diskBased: false, segment: 0, step: 0 };
+    const report = buildMarkdownReport({ title: 'Report', plan, planText: PLAN_TEXT, warnings: [], mermaidCode: '' });
+    expect(report).toContain('| Actual rows |');
+    expect(report).toContain('| 1,000 | 4,200 |');
+    expect(report).toContain('No warnings.');
+    expect(report).not.toContain('```mermaid');
+  });
+
+  test('lists review notes with their author and state', () => {
+    const annotations = [
+      { id: 'note-1', nodeId: 'node1', author: 'Sam', text: 'fix: <filter> first', resolved: false, createdAt: '2024-05-01T10:00:00.000Z' },
+      { id: 'note-2', nodeId: 'node9', author: 'Kim', text: 'gone', resolved: true, createdAt: '2024-05-01T11:00:00.000Z' },
+    ];
+    const plan = parsePlan(PLAN_TEXT);
+    const markdown = buildMarkdownReport({ title: 'Report', plan, planText: PLAN_TEXT, warnings: [], mermaidCode: '', annotations });
+    expect(markdown).toContain('## Review Notes\n\n- **Sam** on Seq Scan on a (line 3), open: fix: <filter> first\n- **Kim** on a removed node, resolved: gone');
+    const html = buildHtmlReport({ title: 'Report', plan, planText: PLAN_TEXT, warnings: [], svg: null, annotations });
+    expect(html).toContain('<li><strong>Sam</strong> on Seq Scan on a (line 3), open: fix: &lt;filter&gt; first</li>');
+    expect(JSON.parse(buildPlanJson({ plan, warnings: [], planText: PLAN_TEXT, annotations })).annotations).toEqual(annotations);
+  });
+
+  test('adds the suggested fixes under their warning', () => {
+    const plan = parsePlan(PLAN_TEXT);
+    const warnings = [{
+      ...WARNINGS[0],
+      fixes: [{ title: 'Use DISTSTYLE ALL for b', sql: 'ALTER TABLE b ALTER DISTSTYLE ALL;', explanation: 'Copies <b> to every node.' }],
+    }];
+    const markdown = buildMarkdownReport({ title: 'Report', plan, planText: PLAN_TEXT, warnings, mermaidCode: '' });
+    expect(markdown).toContain('  - Fix: Use DISTSTYLE ALL for b. Copies <b> to every node.\n\n    ```sql\n    ALTER TABLE b ALTER DISTSTYLE ALL;\n    ```');
+    const html = buildHtmlReport({ title: 'Report', plan, planText: PLAN_TEXT, warnings, svg: null });
+    expect(html).toContain('ALTER TABLE b ALTER DISTSTYLE ALL;</pre>\n<small>Copies &lt;b&gt; to every node.</small>');
+  });
+});
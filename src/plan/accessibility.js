@@ -0,0 +1,70 @@
+import { describeRuntime } from './runtimeStats.js';
+import { costShare } from './costBreakdown.js';
+import { nodeIdFromElementId } from './mermaid.js';
+import { nodeLabel } from './parsePlan.js';
+
+// Text alternatives for plan nodes, shared by the keyboard tree view and the
+// <title>/<desc> elements added to the rendered diagram, and the walk from one
+// node with warnings to the next.
+
+// { [nodeId]: number of warnings on the node }
+export function warningCounts(warnings) {
+  const counts = {};
+  warnings.forEach(warning => {
+    if (warning.nodeId) {
+      counts[warning.nodeId] = (counts[warning.nodeId] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+export function nodeDescription(plan, node, warningCount = 0) {
+  const parts = [
+    `Self cost ${node.exclusiveCost.toFixed(2)} (${(costShare(plan, node.exclusiveCost) * 100).toFixed(1)}% of total)`,
+    `total cost ${node.totalCost.toFixed(2)}`,
+    `${node.rows.toLocaleString()} estimated rows`,
+  ];
+  if (node.distribution) {
+    parts.push(node.distribution);
+  }
+  parts.push(...describeRuntime(node));
+  if (warningCount > 0) {
+    parts.push(`${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+  }
+  return `${parts.join(', ')}.`;
+}
+
+// The next node in plan order (after `fromId`, wrapping around) that has a warning;
+// `step` -1 walks backwards. Returns null when no node has one.
+export function nextWarningNodeId(plan, warnings, fromId, step = 1) {
+  const flagged = new Set(warnings.map(warning => warning.nodeId).filter(Boolean));
+  const count = plan.order.length;
+  const start = fromId ? plan.order.indexOf(fromId) : (step > 0 ? -1 : count);
+  for (let offset = 1; offset <= count; offset++) {
+    const id = plan.order[(((start + step * offset) % count) + count) % count];
+    if (flagged.has(id)) {
+      return id;
+    }
+  }
+  return null;
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Gives every node of a rendered plan diagram (<g id="flowchart-node3-12">) a <title>
+// and <desc>, replacing the ones from an earlier call
+export function describeSvgNodes(svgElement, plan, warnings) {
+  const counts = warningCounts(warnings);
+  svgElement.querySelectorAll('g.node').forEach(nodeElement => {
+    const node = plan.nodes[nodeIdFromElementId(nodeElement.id)];
+    if (!node) {
+      return;
+    }
+    [...nodeElement.children].filter(child => child.tagName === 'title' || child.tagName === 'desc').forEach(element => element.remove());
+    const title = svgElement.ownerDocument.createElementNS(SVG_NS, 'title');
+    title.textContent = nodeLabel(node);
+    const desc = svgElement.ownerDocument.createElementNS(SVG_NS, 'desc');
+    desc.textContent = nodeDescription(plan, node, counts[node.id]);
+    nodeElement.prepend(title, desc);
+  });
+}
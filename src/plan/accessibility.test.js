@@ -0,0 +1,47 @@
+import { nodeLabel, parsePlan } from './parsePlan.js';
+import { describeSvgNodes, nextWarningNodeId, nodeDescription, warningCounts } from './accessibility.js';
+
+const PLAN = `XN Hash Join DS_BCAST_INNER  (cost=0.00..200.00 rows=1000 width=8)
+  Hash Cond: (a.id = b.id)
+  ->  XN Seq Scan on a  (cost=0.00..60.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..100.00 rows=1000 width=4)
+        ->  XN Seq Scan on b  (cost=0.00..100.00 rows=1000 width=4)`;
+
+const WARNINGS = [
+  { ruleId: 'dist-ds-bcast-inner', nodeId: 'node0' },
+  { ruleId: 'large-seq-scan', nodeId: 'node3' },
+  { ruleId: 'missing-statistics', nodeId: 'node3' },
+];
+
+describe('node text alternatives', () => {
+  const plan = parsePlan(PLAN);
+
+  test('describe a node with its costs, rows and warnings', () => {
+    expect(nodeLabel(plan.nodes.node3)).toBe('Seq Scan on b');
+    expect(nodeDescription(plan, plan.nodes.node0, warningCounts(WARNINGS).node0))
+      .toBe('Self cost 40.00 (20.0% of total), total cost 200.00, 1,000 estimated rows, DS_BCAST_INNER, 1 warning.');
+    expect(nodeDescription(plan, plan.nodes.node1)).toBe('Self cost 60.00 (30.0% of total), total cost 60.00, 1,000 estimated rows.');
+  });
+
+  test('walk to the next node with a warning, wrapping around', () => {
+    expect(nextWarningNodeId(plan, WARNINGS, null)).toBe('node0');
+    expect(nextWarningNodeId(plan, WARNINGS, 'node0')).toBe('node3');
+    expect(nextWarningNodeId(plan, WARNINGS, 'node3')).toBe('node0');
+    expect(nextWarningNodeId(plan, WARNINGS, 'node1', -1)).toBe('node0');
+    expect(nextWarningNodeId(plan, WARNINGS, 'node0', -1)).toBe('node3');
+    expect(nextWarningNodeId(plan, [], 'node0')).toBeNull();
+  });
+
+  test('add a title and description to every rendered node once', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<svg><g class="node" id="flowchart-node3-7"><rect></rect></g><g class="node" id="flowchart-missing-8"></g></svg>';
+    const svg = container.querySelector('svg');
+    describeSvgNodes(svg, plan, WARNINGS);
+    describeSvgNodes(svg, plan, WARNINGS);
+    const node = svg.querySelector('#flowchart-node3-7');
+    expect([...node.children].map(child => child.tagName)).toEqual(['title', 'desc', 'rect']);
+    expect(node.querySelector('title').textContent).toBe('Seq Scan on b');
+    expect(node.querySelector('desc').textContent).toMatch(/2 warnings\.$/);
+    expect(svg.querySelector('#flowchart-missing-8').children).toHaveLength(0);
+  });
+});
@@ -0,0 +1,69 @@
+import { diffPlans } from './diffPlans.js';
+
+// Review notes on plan nodes, as { id, nodeId, author, text, resolved, createdAt }.
+//
+// Notes point at plan node ids (node0, node1, ...), which shift when the plan text
+// changes, so after re-pasting a plan the notes are moved to the matching nodes of
+// the new plan through diffPlans.
+
+export function createAnnotation({ nodeId, author, text }, now = new Date()) {
+  return {
+    id: `note-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    nodeId,
+    author: author.trim() || 'Anonymous',
+    text: text.trim(),
+    resolved: false,
+    createdAt: now.toISOString(),
+  };
+}
+
+export function annotationsFor(annotations, nodeId) {
+  return annotations.filter(annotation => annotation.nodeId === nodeId);
+}
+
+// { [nodeId]: { open, resolved } }
+export function annotationCounts(annotations) {
+  const counts = {};
+  annotations.forEach(annotation => {
+    const count = counts[annotation.nodeId] || (counts[annotation.nodeId] = { open: 0, resolved: 0 });
+    count[annotation.resolved ? 'resolved' : 'open'] += 1;
+  });
+  return counts;
+}
+
+// Text of the badge drawn on an annotated node
+export function annotationBadge({ open, resolved }) {
+  const parts = [];
+  if (open > 0) parts.push(`${open} open`);
+  if (resolved > 0) parts.push(`${resolved} resolved`);
+  return `💬 ${parts.join(', ')}`;
+}
+
+// Moves notes from the nodes of `fromPlan` to the matching nodes of `toPlan`.
+// Returns { annotations, lost } where `lost` are notes whose node has no match.
+// When less than `minMatchedShare` of the larger plan's nodes match, `toPlan` is
+// taken to be a different query and no note is carried over.
+export function carryOverAnnotations(annotations, fromPlan, toPlan, minMatchedShare = 0.5) {
+  if (annotations.length === 0) {
+    return { annotations, lost: [] };
+  }
+  const matches = {};
+  diffPlans(fromPlan, toPlan).entries.forEach(entry => {
+    if (entry.leftId && entry.rightId) {
+      matches[entry.leftId] = entry.rightId;
+    }
+  });
+  if (Object.keys(matches).length < minMatchedShare * Math.max(fromPlan.order.length, toPlan.order.length)) {
+    return { annotations: [], lost: annotations };
+  }
+  const carried = [];
+  const lost = [];
+  annotations.forEach(annotation => {
+    if (matches[annotation.nodeId]) {
+      carried.push({ ...annotation, nodeId: matches[annotation.nodeId] });
+    } else {
+      lost.push(annotation);
+    }
+  });
+  return { annotations: carried, lost };
+}
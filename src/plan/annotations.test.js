@@ -0,0 +1,55 @@
+import { parsePlan } from './parsePlan.js';
+import { planToMermaid } from './mermaid.js';
+import { annotationBadge, annotationCounts, carryOverAnnotations, createAnnotation } from './annotations.js';
+
+const BEFORE = `XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)
+  Hash Cond: (o.customer_id = c.id)
+  ->  XN Seq Scan on orders o  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
+        ->  XN Seq Scan on customer c  (cost=0.00..59.00 rows=1000 width=4)`;
+
+// Wrapped in a subquery scan, so the roots no longer line up
+const UNRELATED = `XN Subquery Scan volt_dt_0  (cost=0.00..130.00 rows=900 width=8)
+  ->  XN Hash Join DS_BCAST_INNER  (cost=0.00..120.00 rows=900 width=8)
+        Hash Cond: (o.customer_id = c.id)
+        ->  XN Seq Scan on orders o  (cost=0.00..61.00 rows=1100 width=4)
+        ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
+              ->  XN Seq Scan on customer c  (cost=0.00..59.00 rows=1000 width=4)`;
+
+function note(nodeId, text, resolved = false) {
+  return { ...createAnnotation({ nodeId, author: ' Sam ', text }, new Date('2024-05-01T10:00:00Z')), resolved };
+}
+
+describe('annotations', () => {
+  test('creates notes with a trimmed author and open state', () => {
+    const annotation = createAnnotation({ nodeId: 'node1', author: '  ', text: ' fix: redistribute on order_id ' });
+    expect(annotation).toMatchObject({ nodeId: 'node1', author: 'Anonymous', text: 'fix: redistribute on order_id', resolved: false });
+  });
+
+  test('draws a badge counting open and resolved notes', () => {
+    const annotations = [note('node3', 'customer dim, fine', true), note('node3', 'check sort key'), note('node1', 'big scan')];
+    expect(annotationCounts(annotations)).toEqual({ node3: { open: 1, resolved: 1 }, node1: { open: 1, resolved: 0 } });
+    expect(annotationBadge({ open: 1, resolved: 1 })).toBe('💬 1 open, 1 resolved');
+    const { nodes } = planToMermaid(parsePlan(BEFORE), 'light', new Set(), annotations);
+    expect(nodes[3]).toContain('<b>💬 1 open, 1 resolved</b>');
+    expect(nodes[2]).not.toContain('💬');
+  });
+
+  test('carries notes over to the matching nodes of a changed plan', () => {
+    const annotations = [note('node0', 'broadcast is the customer dim, fine'), note('node3', 'needs ANALYZE')];
+    const result = carryOverAnnotations(annotations, parsePlan(BEFORE), parsePlan(BEFORE.replace('rows=1000 width=4)\n  ->  XN Hash', 'rows=1200 width=4)\n  ->  XN Hash')));
+    expect(result.annotations.map(annotation => annotation.nodeId)).toEqual(['node0', 'node3']);
+    expect(result.lost).toEqual([]);
+  });
+
+  test('reports notes whose node is gone and ignores unrelated plans', () => {
+    const annotations = [note('node1', 'orders scan'), note('node3', 'customer scan')];
+    const changed = carryOverAnnotations(annotations, parsePlan(BEFORE), parsePlan(BEFORE.split('\n').slice(0, 3).join('\n')), 0.4);
+    expect(changed.annotations.map(annotation => annotation.nodeId)).toEqual(['node1']);
+    expect(changed.lost.map(annotation => annotation.text)).toEqual(['customer scan']);
+
+    const unrelated = carryOverAnnotations(annotations, parsePlan(BEFORE), parsePlan(UNRELATED));
+    expect(unrelated.annotations).toEqual([]);
+    expect(unrelated.lost).toHaveLength(2);
+  });
+});
@@ -0,0 +1,149 @@
+import { parseExplain } from './parsePlan.js';
+import { detectDialect } from './postgresPlan.js';
+import { normalizePlanInput } from './normalizeInput.js';
+import { SEVERITIES, analyzePerformanceWarnings, getRules } from './ruleEngine.js';
+
+// Batch analysis: split files holding several EXPLAIN outputs into single plans,
+// analyze each one and rank them.
+//
+// Plans in one file are separated by a `-- name` comment line (which also names the
+// plan), a repeated QUERY PLAN header, or a new top-level node line.
+
+const COMMENT_REGEX = /^\s*--\s+(\S.*?)\s*$/;
+const HEADER_REGEX = /^\s*"?\s*QUERY PLAN\s*"?\s*$/i;
+const COST_REGEX = /\(cost=[\d.]+\.\.[\d.]+\s+rows=\d+\s+width=\d+\)/;
+
+function indentationOf(line) {
+  return line.search(/\S|$/);
+}
+
+// [{ name, text }] for every plan in `text`; `fileName` names the unnamed ones
+export function splitPlans(text, fileName = 'Plan') {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  // Top-level node lines sit at the smallest indentation any node line has
+  // (CSV rows start with a quote, which is not indentation)
+  const bare = lines.map(line => line.replace(/^"/, ''));
+  const nodeIndents = bare.filter(line => COST_REGEX.test(line)).map(indentationOf);
+  const topIndent = nodeIndents.length > 0 ? Math.min(...nodeIndents) : 0;
+
+  const blocks = [];
+  let current = null;
+  const start = name => {
+    current = { name, lines: [], hasNode: false };
+    blocks.push(current);
+  };
+
+  lines.forEach((line, index) => {
+    const comment = line.match(COMMENT_REGEX);
+    if (comment) {
+      start(comment[1]);
+      return;
+    }
+    const isTopNode = COST_REGEX.test(line) && indentationOf(bare[index]) === topIndent && !bare[index].trim().startsWith('->');
+    if (!current || (current.hasNode && (HEADER_REGEX.test(line) || isTopNode))) {
+      start(null);
+    }
+    current.lines.push(line);
+    current.hasNode = current.hasNode || isTopNode;
+  });
+
+  const plans = blocks
+    .map(block => ({ name: block.name, text: block.lines.join('\n').trim() }))
+    .filter(block => block.text !== '');
+  return plans.map((plan, index) => ({
+    name: plan.name || (plans.length > 1 ? `${fileName} #${index + 1}` : fileName),
+    text: plan.text,
+  }));
+}
+
+// The highest-severity rule that fired, with how often it fired
+function worstRuleHit(warnings) {
+  const worst = warnings.reduce((best, warning) =>
+    !best || SEVERITIES.indexOf(warning.severity) > SEVERITIES.indexOf(best.severity) ? warning : best, null);
+  if (!worst) {
+    return null;
+  }
+  const rule = getRules().find(candidate => candidate.id === worst.ruleId);
+  return {
+    ruleId: worst.ruleId,
+    title: rule ? rule.title : worst.ruleId,
+    severity: worst.severity,
+    count: warnings.filter(warning => warning.ruleId === worst.ruleId).length,
+  };
+}
+
+// One ranking row per plan. Plans that fail to parse keep a row with `error` set.
+export function analyzePlanBatch(entries, settings = {}, onPlan = () => {}) {
+  return entries.map((entry, index) => {
+    onPlan(entry, index);
+    const row = {
+      name: entry.name,
+      text: entry.text,
+      nodeCount: 0,
+      rootCost: 0,
+      maxExclusiveCost: 0,
+      warningCount: 0,
+      worstRule: null,
+      error: null,
+    };
+    try {
+      const text = normalizePlanInput(entry.text).text;
+      const plan = parseExplain(text);
+      // Any text parses into some node, so require at least one cost figure (or a JSON plan)
+      if (!plan.root || (detectDialect(text) !== 'postgres-json' && !COST_REGEX.test(text))) {
+        return { ...row, error: 'No plan nodes found' };
+      }
+      const warnings = analyzePerformanceWarnings(plan, settings);
+      return {
+        ...row,
+        nodeCount: plan.order.length,
+        rootCost: plan.nodes[plan.root].totalCost,
+        maxExclusiveCost: Math.max(...plan.order.map(id => plan.nodes[id].exclusiveCost)),
+        warningCount: warnings.length,
+        worstRule: worstRuleHit(warnings),
+      };
+    } catch (e) {
+      return { ...row, error: e.message };
+    }
+  });
+}
+
+// Sort keys for the ranking table; the worst rule sorts by severity, then hits
+export const BATCH_SORT_KEYS = {
+  name: row => row.name.toLowerCase(),
+  nodeCount: row => row.nodeCount,
+  rootCost: row => row.rootCost,
+  maxExclusiveCost: row => row.maxExclusiveCost,
+  warningCount: row => row.warningCount,
+  worstRule: row => (row.worstRule ? SEVERITIES.indexOf(row.worstRule.severity) * 1e6 + row.worstRule.count : -1),
+};
+
+export function sortBatchRows(rows, key, descending = true) {
+  const value = BATCH_SORT_KEYS[key];
+  return [...rows].sort((a, b) => {
+    const [left, right] = [value(a), value(b)];
+    const order = left < right ? -1 : left > right ? 1 : 0;
+    return descending ? -order : order;
+  });
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function batchToCsv(rows) {
+  const header = ['Plan', 'Nodes', 'Root total cost', 'Max exclusive cost', 'Warnings', 'Worst rule', 'Worst severity', 'Worst rule hits', 'Error'];
+  const lines = rows.map(row => [
+    row.name,
+    row.nodeCount,
+    row.rootCost.toFixed(2),
+    row.maxExclusiveCost.toFixed(2),
+    row.warningCount,
+    row.worstRule ? row.worstRule.ruleId : '',
+    row.worstRule ? row.worstRule.severity : '',
+    row.worstRule ? row.worstRule.count : '',
+    row.error,
+  ].map(csvField).join(','));
+  return `${[header.join(','), ...lines].join('\n')}\n`;
+}
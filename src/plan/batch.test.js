@@ -0,0 +1,54 @@
+import { analyzePlanBatch, batchToCsv, sortBatchRows, splitPlans } from './batch.js';
+
+const NESTED_LOOP_PLAN = `XN Nested Loop DS_BCAST_INNER  (cost=0.00..900000.00 rows=100000 width=8)
+  ->  XN Seq Scan on a  (cost=0.00..10.00 rows=1000 width=4)
+  ->  XN Seq Scan on b  (cost=0.00..10.00 rows=100 width=4)`;
+
+const SMALL_PLAN = `XN Seq Scan on c  (cost=0.00..5.00 rows=50 width=4)`;
+
+describe('splitPlans', () => {
+  test('splits on comment names and new top-level nodes', () => {
+    const plans = splitPlans(`-- nightly_load\n${NESTED_LOOP_PLAN}\n\n-- "report, daily"\n${SMALL_PLAN}\n${SMALL_PLAN}`, 'jobs.txt');
+    expect(plans.map(plan => plan.name)).toEqual(['nightly_load', '"report, daily"', 'jobs.txt #3']);
+    expect(plans[0].text).toBe(NESTED_LOOP_PLAN);
+    expect(plans[2].text).toBe(SMALL_PLAN);
+  });
+
+  test('splits repeated psql output on its headers', () => {
+    const psql = plan => ` QUERY PLAN\n------------\n${plan.split('\n').map(line => ` ${line}`).join('\n')}\n(1 row)\n`;
+    const plans = splitPlans(psql(NESTED_LOOP_PLAN) + psql(SMALL_PLAN), 'out.txt');
+    expect(plans).toHaveLength(2);
+    expect(plans[1].text.startsWith('QUERY PLAN')).toBe(true);
+  });
+
+  test('names a single plan after its file', () => {
+    expect(splitPlans(SMALL_PLAN, 'one.txt')).toEqual([{ name: 'one.txt', text: SMALL_PLAN }]);
+  });
+});
+
+describe('analyzePlanBatch', () => {
+  const rows = analyzePlanBatch([
+    { name: 'small', text: SMALL_PLAN },
+    { name: 'loop', text: NESTED_LOOP_PLAN },
+    { name: 'empty', text: 'nothing here' },
+  ]);
+
+  test('ranks plans by cost, warnings and worst rule', () => {
+    expect(rows[1]).toMatchObject({ nodeCount: 3, rootCost: 900000, warningCount: 2 });
+    expect(rows[1].maxExclusiveCost).toBeCloseTo(899980);
+    expect(rows[1].worstRule).toMatchObject({ ruleId: 'nested-loop', severity: 'high', count: 1 });
+    expect(rows[0].worstRule).toBeNull();
+    expect(sortBatchRows(rows, 'rootCost').map(row => row.name)).toEqual(['loop', 'small', 'empty']);
+    expect(sortBatchRows(rows, 'worstRule', false).map(row => row.name)).toEqual(['small', 'empty', 'loop']);
+  });
+
+  test('keeps a row for plans without nodes', () => {
+    expect(rows[2].error).toBe('No plan nodes found');
+  });
+
+  test('exports the ranking as CSV', () => {
+    const csv = batchToCsv([{ ...rows[1], name: 'loop, "main"' }]).split('\n');
+    expect(csv[0]).toBe('Plan,Nodes,Root total cost,Max exclusive cost,Warnings,Worst rule,Worst severity,Worst rule hits,Error');
+    expect(csv[1]).toBe('"loop, ""main""",3,900000.00,899980.00,2,nested-loop,high,1,');
+  });
+});
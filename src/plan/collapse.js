@@ -0,0 +1,50 @@
+// Collapsed subtrees for large plans. The collapsed state is a Set of node ids
+// whose descendants are hidden from the flowchart.
+
+// Every node at or below `depth` that has children, so expanding one node
+// reveals only its direct children
+export function collapseBelowDepth(plan, depth) {
+  return new Set(plan.order.filter(id => plan.nodes[id].depth >= depth && plan.nodes[id].children.length > 0));
+}
+
+export function countDescendants(plan, nodeId) {
+  return plan.nodes[nodeId].children.reduce((count, childId) => count + 1 + countDescendants(plan, childId), 0);
+}
+
+// Ids hidden because one of their ancestors is collapsed
+export function hiddenNodes(plan, collapsed) {
+  const hidden = new Set();
+  // plan.order lists parents before their children
+  plan.order.forEach(id => {
+    const { parentId } = plan.nodes[id];
+    if (parentId && (hidden.has(parentId) || collapsed.has(parentId))) {
+      hidden.add(id);
+    }
+  });
+  return hidden;
+}
+
+// Expands every ancestor of the node so it is visible. Returns the same Set when
+// nothing changes, so callers can skip re-rendering.
+export function expandPathTo(plan, collapsed, nodeId) {
+  const ancestors = [];
+  for (let id = plan.nodes[nodeId].parentId; id; id = plan.nodes[id].parentId) {
+    ancestors.push(id);
+  }
+  if (!ancestors.some(id => collapsed.has(id))) {
+    return collapsed;
+  }
+  const expanded = new Set(collapsed);
+  ancestors.forEach(id => expanded.delete(id));
+  return expanded;
+}
+
+export function toggleCollapsed(collapsed, nodeId) {
+  const next = new Set(collapsed);
+  if (next.has(nodeId)) {
+    next.delete(nodeId);
+  } else {
+    next.add(nodeId);
+  }
+  return next;
+}
@@ -0,0 +1,39 @@
+import { parsePlan } from './parsePlan.js';
+import { collapseBelowDepth, countDescendants, expandPathTo, hiddenNodes, toggleCollapsed } from './collapse.js';
+import { planToMermaid } from './mermaid.js';
+
+const PLAN = `XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)
+  Hash Cond: (a.id = b.id)
+  ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
+        ->  XN Seq Scan on b  (cost=0.00..59.00 rows=1000 width=4)`;
+
+describe('collapsed subtrees', () => {
+  test('collapses every node with children at or below the depth', () => {
+    const plan = parsePlan(PLAN);
+    expect([...collapseBelowDepth(plan, 1)]).toEqual(['node2']);
+    expect([...collapseBelowDepth(plan, 0)]).toEqual(['node0', 'node2']);
+    expect(countDescendants(plan, 'node0')).toBe(3);
+  });
+
+  test('hides descendants of collapsed nodes and marks the collapsed node in the diagram', () => {
+    const plan = parsePlan(PLAN);
+    const collapsed = new Set(['node2']);
+    expect([...hiddenNodes(plan, collapsed)]).toEqual(['node3']);
+
+    const { nodes, edges } = planToMermaid(plan, 'light', collapsed);
+    expect(nodes).toHaveLength(3);
+    expect(nodes[2]).toContain('+ 1 hidden nodes (click to expand)');
+    expect(edges).toEqual(['node0 --> node1', 'node0 --> node2']);
+  });
+
+  test('expands the ancestors of a node and keeps the same set when nothing changes', () => {
+    const plan = parsePlan(PLAN);
+    const collapsed = new Set(['node0', 'node2']);
+    expect([...expandPathTo(plan, collapsed, 'node3')]).toEqual([]);
+    const visible = new Set(['node2']);
+    expect(expandPathTo(plan, visible, 'node1')).toBe(visible);
+    expect([...toggleCollapsed(visible, 'node2')]).toEqual([]);
+    expect([...toggleCollapsed(visible, 'node0')]).toEqual(['node2', 'node0']);
+  });
+});
@@ -0,0 +1,96 @@
+import { nodeLabel } from './parsePlan.js';
+
+// Where a plan's cost goes: the nodes with the highest exclusive (self) cost and
+// that cost summed per operator type and per scanned table. Shares are fractions of
+// the root's total cost, which is what the exclusive costs of all nodes add up to.
+
+// Nodes whose self cost is at least this share of the root total are drawn red, or yellow
+export const HIGH_COST_SHARE = 0.2;
+export const MEDIUM_COST_SHARE = 0.05;
+
+function rootCost(plan) {
+  return plan.root ? plan.nodes[plan.root].totalCost : 0;
+}
+
+export function costShare(plan, cost) {
+  const total = rootCost(plan);
+  return total > 0 ? cost / total : 0;
+}
+
+// 'high', 'medium' or 'low' for a node with any self cost, else null
+export function costLevel(plan, node) {
+  if (node.exclusiveCost <= 0) {
+    return null;
+  }
+  const share = costShare(plan, node.exclusiveCost);
+  if (share >= HIGH_COST_SHARE) {
+    return 'high';
+  }
+  return share >= MEDIUM_COST_SHARE ? 'medium' : 'low';
+}
+
+// The top `limit` nodes by self cost, with their share and the running total of the
+// shares (the Pareto line)
+export function topCostNodes(plan, limit = 10) {
+  let cumulativeShare = 0;
+  return plan.order
+    .map(id => plan.nodes[id])
+    .filter(node => node.exclusiveCost > 0)
+    .sort((a, b) => b.exclusiveCost - a.exclusiveCost)
+    .slice(0, limit)
+    .map(node => {
+      const share = costShare(plan, node.exclusiveCost);
+      cumulativeShare += share;
+      return { id: node.id, name: nodeLabel(node), exclusiveCost: node.exclusiveCost, share, cumulativeShare };
+    });
+}
+
+// Operator type a node is counted under: join variants (Left, Anti, ...) and
+// aggregation strategies fold into their base operator
+export function operatorGroup(node) {
+  const operator = node.operator.replace(/^Parallel /, '');
+  if (/Aggregate$/.test(operator)) {
+    return 'Aggregate';
+  }
+  if (operator.startsWith('Nested Loop')) {
+    return 'Nested Loop';
+  }
+  const join = operator.match(/^(\w+) .*Join$/);
+  if (join) {
+    return `${join[1]} Join`;
+  }
+  return operator;
+}
+
+function groupCosts(plan, keyOf) {
+  const groups = new Map();
+  plan.order.forEach(id => {
+    const node = plan.nodes[id];
+    const key = keyOf(node);
+    if (!key) {
+      return;
+    }
+    const group = groups.get(key) || { key, exclusiveCost: 0, nodeIds: [] };
+    group.exclusiveCost += node.exclusiveCost;
+    group.nodeIds.push(id);
+    groups.set(key, group);
+  });
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      share: costShare(plan, group.exclusiveCost),
+      // Most expensive node first, so selecting a group selects its biggest contributor
+      nodeIds: group.nodeIds.sort((a, b) => plan.nodes[b].exclusiveCost - plan.nodes[a].exclusiveCost),
+    }))
+    .sort((a, b) => b.exclusiveCost - a.exclusiveCost);
+}
+
+// [{ key, exclusiveCost, share, nodeIds }] per operator type
+export function costByOperator(plan) {
+  return groupCosts(plan, operatorGroup);
+}
+
+// The same per table, from the self cost of the steps that name a table (scans)
+export function costByTable(plan) {
+  return groupCosts(plan, node => node.operator !== 'Subquery Scan' && node.relation);
+}
@@ -0,0 +1,49 @@
+import { parsePlan } from './parsePlan.js';
+import { costByOperator, costByTable, costLevel, operatorGroup, topCostNodes } from './costBreakdown.js';
+import { planToMermaid } from './mermaid.js';
+
+const PLAN = `XN HashAggregate  (cost=0.00..1000.00 rows=10 width=8)
+  ->  XN Hash Left Join DS_DIST_NONE  (cost=0.00..920.00 rows=1000 width=8)
+        Hash Cond: ("outer".id = "inner".id)
+        ->  XN Seq Scan on sales  (cost=0.00..500.00 rows=50000 width=4)
+        ->  XN Hash  (cost=0.00..300.00 rows=20000 width=4)
+              ->  XN Merge Join DS_DIST_NONE  (cost=0.00..280.00 rows=20000 width=4)
+                    Merge Cond: ("outer".id = "inner".id)
+                    ->  XN Seq Scan on event  (cost=0.00..200.00 rows=20000 width=4)
+                    ->  XN Seq Scan on sales  (cost=0.00..40.00 rows=100 width=4)`;
+
+describe('cost breakdown', () => {
+  const plan = parsePlan(PLAN);
+
+  test('ranks nodes by self cost with their share and the running total', () => {
+    expect(topCostNodes(plan, 3)).toEqual([
+      { id: 'node2', name: 'Seq Scan on sales', exclusiveCost: 500, share: 0.5, cumulativeShare: 0.5 },
+      { id: 'node5', name: 'Seq Scan on event', exclusiveCost: 200, share: 0.2, cumulativeShare: 0.7 },
+      { id: 'node1', name: 'Hash Left Join', exclusiveCost: 120, share: 0.12, cumulativeShare: 0.82 },
+    ]);
+  });
+
+  test('groups cost by operator type, folding join variants together', () => {
+    expect(operatorGroup({ operator: 'Hash Left Join' })).toBe('Hash Join');
+    expect(operatorGroup({ operator: 'Nested Loop Anti Join' })).toBe('Nested Loop');
+    expect(operatorGroup({ operator: 'GroupAggregate' })).toBe('Aggregate');
+    expect(operatorGroup({ operator: 'Parallel Seq Scan' })).toBe('Seq Scan');
+    const groups = costByOperator(plan);
+    expect(groups.map(group => group.key)).toEqual(['Seq Scan', 'Hash Join', 'Aggregate', 'Merge Join', 'Hash']);
+    expect(groups[0]).toMatchObject({ exclusiveCost: 740, share: 0.74, nodeIds: ['node2', 'node5', 'node6'] });
+  });
+
+  test('groups scan cost by table, most expensive scan first', () => {
+    expect(costByTable(plan).map(({ key, exclusiveCost, nodeIds }) => ({ key, exclusiveCost, nodeIds }))).toEqual([
+      { key: 'sales', exclusiveCost: 540, nodeIds: ['node2', 'node6'] },
+      { key: 'event', exclusiveCost: 200, nodeIds: ['node5'] },
+    ]);
+  });
+
+  test('colours nodes by their share of the total cost', () => {
+    expect(['node2', 'node5', 'node1', 'node0', 'node4'].map(id => costLevel(plan, plan.nodes[id]))).toEqual(['high', 'high', 'medium', 'medium', 'low']);
+    // More than one node can be red, not only the single most expensive one
+    const { styles } = planToMermaid(plan, 'light');
+    expect(styles.filter(style => style.includes('fill:#ffcccc'))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,132 @@
+// Structural diff of two plan trees.
+//
+// Roots are compared first, then each matched node's children are aligned: an LCS
+// over children with the same operator and relation anchors the alignment, and
+// leftovers between anchors are paired by position when they are the same kind
+// of step (e.g. a Hash Join rewritten as a Merge Join). Whatever is left is an
+// added or removed subtree.
+
+function exactKey(node) {
+  return `${node.operator}|${node.relation || ''}`;
+}
+
+function operatorKind(node) {
+  if (/Join$/.test(node.operator) || node.operator.startsWith('Nested Loop')) return 'join';
+  if (/Scan$/.test(node.operator)) return 'scan';
+  if (/Aggregate$/.test(node.operator)) return 'aggregate';
+  return node.operator;
+}
+
+function looselyMatches(a, b) {
+  return (a.relation && a.relation === b.relation) || operatorKind(a) === operatorKind(b);
+}
+
+function longestCommonSubsequence(left, right, equals) {
+  const table = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      table[i][j] = equals(left[i], right[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (equals(left[i], right[j])) {
+      pairs.push([i++, j++]);
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+function delta(before, after) {
+  const abs = after - before;
+  // A percentage has no meaning when something grows from zero
+  const pct = before !== 0 ? (abs / before) * 100 : (abs === 0 ? 0 : null);
+  return { before, after, abs, pct };
+}
+
+function predicateText(node) {
+  return node.predicates.map(predicate => `${predicate.kind}: ${predicate.expression}`).join('\n');
+}
+
+function comparePair(left, right) {
+  const changes = [];
+  if (left.operator !== right.operator || left.relation !== right.relation) changes.push('operator');
+  if (left.distribution !== right.distribution) changes.push('distribution');
+  if (predicateText(left) !== predicateText(right)) changes.push('predicates');
+  if (left.totalCost !== right.totalCost || left.exclusiveCost !== right.exclusiveCost) changes.push('cost');
+  if (left.rows !== right.rows) changes.push('rows');
+  return {
+    status: changes.length > 0 ? 'changed' : 'unchanged',
+    leftId: left.id,
+    rightId: right.id,
+    changes,
+    deltas: {
+      totalCost: delta(left.totalCost, right.totalCost),
+      exclusiveCost: delta(left.exclusiveCost, right.exclusiveCost),
+      rows: delta(left.rows, right.rows),
+    },
+  };
+}
+
+function collectSubtree(plan, nodeId, status, side, entries) {
+  entries.push({ status, [side]: nodeId, changes: [], deltas: null });
+  plan.nodes[nodeId].children.forEach(childId => collectSubtree(plan, childId, status, side, entries));
+}
+
+export function diffPlans(leftPlan, rightPlan) {
+  const entries = [];
+
+  const removeSubtree = id => collectSubtree(leftPlan, id, 'removed', 'leftId', entries);
+  const addSubtree = id => collectSubtree(rightPlan, id, 'added', 'rightId', entries);
+
+  function matchNodes(leftId, rightId) {
+    const left = leftPlan.nodes[leftId];
+    const right = rightPlan.nodes[rightId];
+    entries.push(comparePair(left, right));
+    alignChildren(left.children, right.children);
+  }
+
+  function alignChildren(leftChildren, rightChildren) {
+    const anchors = longestCommonSubsequence(leftChildren, rightChildren,
+      (a, b) => exactKey(leftPlan.nodes[a]) === exactKey(rightPlan.nodes[b]));
+    let i = 0;
+    let j = 0;
+    // A sentinel anchor past the end flushes the trailing gap
+    [...anchors, [leftChildren.length, rightChildren.length]].forEach(([anchorLeft, anchorRight]) => {
+      while (i < anchorLeft && j < anchorRight && looselyMatches(leftPlan.nodes[leftChildren[i]], rightPlan.nodes[rightChildren[j]])) {
+        matchNodes(leftChildren[i++], rightChildren[j++]);
+      }
+      while (i < anchorLeft) removeSubtree(leftChildren[i++]);
+      while (j < anchorRight) addSubtree(rightChildren[j++]);
+      if (anchorLeft < leftChildren.length) {
+        matchNodes(leftChildren[i++], rightChildren[j++]);
+      }
+    });
+  }
+
+  if (leftPlan.root && rightPlan.root && looselyMatches(leftPlan.nodes[leftPlan.root], rightPlan.nodes[rightPlan.root])) {
+    matchNodes(leftPlan.root, rightPlan.root);
+  } else {
+    if (leftPlan.root) removeSubtree(leftPlan.root);
+    if (rightPlan.root) addSubtree(rightPlan.root);
+  }
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  entries.forEach(entry => summary[entry.status]++);
+  const rootLeft = leftPlan.root ? leftPlan.nodes[leftPlan.root].totalCost : 0;
+  const rootRight = rightPlan.root ? rightPlan.nodes[rightPlan.root].totalCost : 0;
+
+  return { entries, summary, totalCost: delta(rootLeft, rootRight) };
+}
+
+export function formatDelta({ abs, pct }, digits = 2) {
+  const sign = abs > 0 ? '+' : '';
+  const percent = pct === null ? 'new' : `${pct > 0 ? '+' : ''}${pct.toFixed(1)}%`;
+  return `${sign}${abs.toLocaleString(undefined, { maximumFractionDigits: digits })} (${percent})`;
+}
@@ -0,0 +1,54 @@
+import { parsePlan } from './parsePlan.js';
+import { diffPlans, formatDelta } from './diffPlans.js';
+import { diffToMermaid } from './mermaid.js';
+
+const BEFORE = `XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)
+  Hash Cond: (a.id = b.id)
+  ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
+        ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)`;
+
+const AFTER = `XN Merge Join DS_DIST_NONE  (cost=0.00..90.00 rows=800 width=8)
+  Merge Cond: (a.id = b.id)
+  ->  XN Seq Scan on a  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Seq Scan on a  (cost=0.00..30.00 rows=500 width=4)`;
+
+function statuses(diff) {
+  return diff.entries.map(entry => [entry.status, entry.leftId || null, entry.rightId || null]);
+}
+
+describe('diffPlans', () => {
+  test('matches identical plans node for node, including duplicate nodes', () => {
+    const diff = diffPlans(parsePlan(BEFORE), parsePlan(BEFORE));
+    expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 4 });
+    expect(statuses(diff)).toEqual([
+      ['unchanged', 'node0', 'node0'],
+      ['unchanged', 'node1', 'node1'],
+      ['unchanged', 'node2', 'node2'],
+      ['unchanged', 'node3', 'node3'],
+    ]);
+  });
+
+  test('pairs rewritten joins and reports added and removed subtrees', () => {
+    const diff = diffPlans(parsePlan(BEFORE), parsePlan(AFTER));
+    expect(statuses(diff)).toEqual([
+      ['changed', 'node0', 'node0'],
+      ['unchanged', 'node1', 'node1'],
+      ['removed', 'node2', null],
+      ['removed', 'node3', null],
+      ['added', null, 'node2'],
+    ]);
+    expect(diff.entries[0].changes).toEqual(['operator', 'distribution', 'predicates', 'cost', 'rows']);
+    expect(diff.entries[0].deltas.rows).toEqual({ before: 1000, after: 800, abs: -200, pct: -20 });
+    expect(formatDelta(diff.totalCost)).toBe('-28 (-23.7%)');
+  });
+
+  test('links matched nodes across the two subgraphs', () => {
+    const leftPlan = parsePlan(BEFORE);
+    const rightPlan = parsePlan(AFTER);
+    const mermaidCode = diffToMermaid(diffPlans(leftPlan, rightPlan), leftPlan, rightPlan);
+    expect(mermaidCode).toContain('a_node0 -.- b_node0');
+    expect(mermaidCode).toContain('a_node2 --> a_node3');
+    expect(mermaidCode).not.toContain('a_node2 -.-');
+  });
+});
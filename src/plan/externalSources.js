@@ -0,0 +1,45 @@
+// Steps that run outside the cluster: Redshift Spectrum (S3 ...) and federated
+// queries against PostgreSQL or MySQL (PG Query Scan, Remote ...). The Query Scan
+// step is where their rows enter the cluster.
+
+const SOURCE_NAMES = { s3: 'Amazon S3', remote: 'the remote database' };
+
+// 's3', 'remote' or null
+export function externalSource(node) {
+  if (/^S3 /.test(node.operator)) {
+    return 's3';
+  }
+  if (/^(PG|MySQL) Query Scan$/.test(node.operator) || /^Remote /.test(node.operator)) {
+    return 'remote';
+  }
+  return null;
+}
+
+export function describeSource(source) {
+  return SOURCE_NAMES[source];
+}
+
+// The step that brings external rows into the cluster
+export function isExternalBoundary(node) {
+  return /^(S3|PG|MySQL) Query Scan$/.test(node.operator);
+}
+
+export function isAggregate(node) {
+  return /Aggregate$/.test(node.operator);
+}
+
+export function subtreeIds(plan, nodeId) {
+  const node = plan.nodes[nodeId];
+  return [nodeId].concat(...node.children.map(childId => subtreeIds(plan, childId)));
+}
+
+// The `XN Seq Scan PartitionInfo` step that lists the partitions a Spectrum scan reads,
+// found next to the scan under its Partition Loop
+export function partitionInfoFor(plan, node) {
+  const parent = node.parentId && plan.nodes[node.parentId];
+  if (!parent) {
+    return null;
+  }
+  const siblingId = parent.children.find(id => plan.nodes[id].operator === 'Seq Scan PartitionInfo');
+  return siblingId ? plan.nodes[siblingId] : null;
+}
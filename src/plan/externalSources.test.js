@@ -0,0 +1,69 @@
+import { parsePlan } from './parsePlan.js';
+import { planToMermaid } from './mermaid.js';
+import { analyzePerformanceWarnings } from './ruleEngine.js';
+import { externalSource, partitionInfoFor } from './externalSources.js';
+
+const SPECTRUM_PLAN = `XN HashAggregate  (cost=1000000129720.00..1000000129720.50 rows=200 width=16)
+  ->  XN Hash Join DS_BCAST_INNER  (cost=112.50..1000000128720.00 rows=2000000 width=16)
+        Hash Cond: ("outer".eventid = "inner".eventid)
+        ->  XN S3 Query Scan sales  (cost=0.00..40000.00 rows=2000000 width=16)
+              ->  S3 Seq Scan spectrum.sales location:"s3://bucket/tickit/spectrum/sales" format:TEXT  (cost=0.00..20000.00 rows=2000000 width=16)
+                    Filter: (pricepaid > 30.00)
+        ->  XN Hash  (cost=2.00..2.00 rows=200 width=4)
+              ->  XN Seq Scan on event  (cost=0.00..2.00 rows=200 width=4)`;
+
+const PARTITIONED_PLAN = `XN S3 Query Scan sales_part  (cost=0.00..30000.00 rows=1000 width=16)
+  ->  S3 HashAggregate  (cost=0.00..30000.00 rows=1000 width=16)
+        ->  XN Partition Loop  (cost=0.00..20000.00 rows=3000000 width=16)
+              ->  XN Seq Scan PartitionInfo of spectrum.sales_part  (cost=0.00..0.01 rows=1 width=4)
+                    Filter: ((saledate)::text = '2008-01'::text)
+              ->  S3 Seq Scan spectrum.sales_part location:"s3://bucket/sales_part" format:PARQUET  (cost=0.00..20000.00 rows=3000000 width=16)`;
+
+const FEDERATED_PLAN = `XN PG Query Scan orders  (cost=0.00..5000000.00 rows=5000000 width=24)
+  ->  Remote PG Seq Scan public.orders  (cost=0.00..5000000.00 rows=5000000 width=24)`;
+
+function ruleIds(plan) {
+  return analyzePerformanceWarnings(plan).map(warning => `${warning.ruleId}:${warning.nodeId}`);
+}
+
+describe('external steps', () => {
+  test('parses Spectrum and federated operators with their relation and location', () => {
+    const plan = parsePlan(SPECTRUM_PLAN);
+    expect(plan.nodes.node2).toMatchObject({ prefix: 'XN', operator: 'S3 Query Scan', relation: 'sales' });
+    expect(plan.nodes.node3).toMatchObject({
+      operator: 'S3 Seq Scan',
+      relation: 'spectrum.sales',
+      location: 's3://bucket/tickit/spectrum/sales',
+      fileFormat: 'TEXT',
+    });
+    const federated = parsePlan(FEDERATED_PLAN);
+    expect(federated.nodes.node1).toMatchObject({ operator: 'Remote PG Seq Scan', relation: 'public.orders' });
+    expect(externalSource(federated.nodes.node0)).toBe('remote');
+    expect(externalSource(plan.nodes.node3)).toBe('s3');
+    expect(externalSource(plan.nodes.node5)).toBeNull();
+  });
+
+  test('draws external steps with their own shape and border', () => {
+    const { nodes, styles } = planToMermaid(parsePlan(SPECTRUM_PLAN), 'light');
+    expect(nodes[3]).toMatch(/^node3\[\(".*"\)\]$/);
+    expect(nodes[5]).toMatch(/^node5\["/);
+    expect(styles.find(style => style.startsWith('style node2 '))).toContain('stroke:#ff9900');
+    expect(planToMermaid(parsePlan(FEDERATED_PLAN), 'light').nodes[0]).toMatch(/^node0\[\["/);
+  });
+
+  test('flags unpruned scans, aggregation left in the cluster and large transfers', () => {
+    expect(ruleIds(parsePlan(SPECTRUM_PLAN))).toEqual(expect.arrayContaining([
+      'spectrum-partition-pruning:node3',
+      'spectrum-aggregation-not-pushed-down:node2',
+      'external-large-transfer:node2',
+    ]));
+    expect(ruleIds(parsePlan(SPECTRUM_PLAN))).not.toContain('large-seq-scan:node3');
+    expect(ruleIds(parsePlan(FEDERATED_PLAN))).toContain('external-large-transfer:node0');
+  });
+
+  test('accepts pruned partitions and aggregation pushed down to Spectrum', () => {
+    const plan = parsePlan(PARTITIONED_PLAN);
+    expect(partitionInfoFor(plan, plan.nodes.node4)).toBe(plan.nodes.node3);
+    expect(ruleIds(plan)).toEqual([]);
+  });
+});
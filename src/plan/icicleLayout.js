@@ -0,0 +1,49 @@
+// Icicle layout of a plan subtree in unit coordinates: the root spans [0, 1] and
+// each child gets a slice of its parent proportional to its total cost. What is
+// left of the parent's width after its children is the parent's exclusive cost.
+
+export function layoutIcicle(plan, rootId = plan.root) {
+  const cells = [];
+  if (!rootId) {
+    return { cells, depth: 0 };
+  }
+
+  const rootCost = plan.nodes[rootId].totalCost;
+  let maxDepth = 0;
+
+  function place(nodeId, x, width, depth) {
+    const node = plan.nodes[nodeId];
+    maxDepth = Math.max(maxDepth, depth);
+    cells.push({
+      id: nodeId,
+      x,
+      width,
+      depth,
+      costShare: rootCost > 0 ? node.totalCost / rootCost : 0,
+      exclusiveShare: rootCost > 0 ? node.exclusiveCost / rootCost : 0,
+    });
+
+    const children = node.children.map(childId => plan.nodes[childId]);
+    const childCost = children.reduce((sum, child) => sum + child.totalCost, 0);
+    // Children whose costs add up to more than their parent (or a zero-cost parent) share its full width
+    const scale = Math.max(node.totalCost, childCost);
+    let offset = x;
+    children.forEach(child => {
+      const childWidth = scale > 0 ? width * (child.totalCost / scale) : width / children.length;
+      place(child.id, offset, childWidth, depth + 1);
+      offset += childWidth;
+    });
+  }
+
+  place(rootId, 0, 1, 0);
+  return { cells, depth: maxDepth + 1 };
+}
+
+// Ids from the plan root down to the given node, for the zoom breadcrumb
+export function pathToNode(plan, nodeId) {
+  const path = [];
+  for (let id = nodeId; id; id = plan.nodes[id].parentId) {
+    path.unshift(id);
+  }
+  return path;
+}
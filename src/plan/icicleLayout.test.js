@@ -0,0 +1,48 @@
+import { parsePlan } from './parsePlan.js';
+import { layoutIcicle, pathToNode } from './icicleLayout.js';
+
+const PLAN = `XN Hash Join DS_BCAST_INNER  (cost=0.00..200.00 rows=1000 width=8)
+  Hash Cond: (a.id = b.id)
+  ->  XN Seq Scan on a  (cost=0.00..60.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..100.00 rows=1000 width=4)
+        ->  XN Seq Scan on b  (cost=0.00..80.00 rows=1000 width=4)`;
+
+function cellsById(layout) {
+  return Object.fromEntries(layout.cells.map(cell => [cell.id, cell]));
+}
+
+describe('layoutIcicle', () => {
+  test('gives each child a slice of its parent proportional to total cost', () => {
+    const layout = layoutIcicle(parsePlan(PLAN));
+    const cells = cellsById(layout);
+    expect(layout.depth).toBe(3);
+    expect(cells.node0).toMatchObject({ x: 0, width: 1, depth: 0, costShare: 1, exclusiveShare: 0.2 });
+    expect(cells.node1).toMatchObject({ x: 0, width: 0.3, depth: 1 });
+    expect(cells.node2).toMatchObject({ x: 0.3, width: 0.5, depth: 1, exclusiveShare: 0.1 });
+    expect(cells.node3.x).toBeCloseTo(0.3);
+    expect(cells.node3.width).toBeCloseTo(0.4);
+  });
+
+  test('lays out a zoomed subtree relative to its own root', () => {
+    const plan = parsePlan(PLAN);
+    const cells = cellsById(layoutIcicle(plan, 'node2'));
+    expect(Object.keys(cells)).toEqual(['node2', 'node3']);
+    expect(cells.node2).toMatchObject({ x: 0, width: 1, depth: 0, costShare: 1 });
+    expect(cells.node3).toMatchObject({ x: 0, width: 0.8, depth: 1, costShare: 0.8 });
+  });
+
+  test('splits a zero-cost parent evenly between its children', () => {
+    const plan = parsePlan(`XN Append  (cost=0.00..0.00 rows=2 width=4)
+  ->  XN Seq Scan on a  (cost=0.00..0.00 rows=1 width=4)
+  ->  XN Seq Scan on b  (cost=0.00..0.00 rows=1 width=4)`);
+    const cells = cellsById(layoutIcicle(plan));
+    expect(cells.node1).toMatchObject({ x: 0, width: 0.5, costShare: 0 });
+    expect(cells.node2).toMatchObject({ x: 0.5, width: 0.5 });
+  });
+});
+
+describe('pathToNode', () => {
+  test('lists the ids from the root down to the node', () => {
+    expect(pathToNode(parsePlan(PLAN), 'node3')).toEqual(['node0', 'node2', 'node3']);
+  });
+});
@@ -0,0 +1,24 @@
+// Public entry point of the plan library: parsing, analysis, comparison and
+// Mermaid output with no DOM or React dependency. The app, the plan worker and
+// the `redshift-explain` CLI (bin/redshift-explain.mjs) all build on these.
+//
+// The directory is an ES module package (see package.json next to this file), so
+// Node can import it directly: import { parsePlan } from './src/plan/index.js'.
+
+export { PREDICATE_KINDS, getPredicates, nodeLabel, parseExplain, parseNodeHeader, parsePlan } from './parsePlan.js';
+export { detectDialect, postgresJsonToText } from './postgresPlan.js';
+export { normalizePlanInput } from './normalizeInput.js';
+export { analyzeStatements, missingStatisticsFor } from './planMetadata.js';
+export { SEVERITIES, analyzePerformanceWarnings, defaultRuleSettings, formatMessage, getRules, registerRule, resolveRuleSettings, ruleDialect } from './ruleEngine.js';
+export { attachRuntimeStats, describeRuntime, formatBytes, parseQueryStats, rowEstimateError } from './runtimeStats.js';
+export { describeTable, lookupTable, parseTableMetadata } from './tableMetadata.js';
+export { diffPlans, formatDelta } from './diffPlans.js';
+export { describeJoin, isJoin, isScan, tablesUnder } from './joins.js';
+export { externalSource, isExternalBoundary } from './externalSources.js';
+export { costByOperator, costByTable, costLevel, operatorGroup, topCostNodes } from './costBreakdown.js';
+export { diffToMermaid, escapeMermaidLabel, parseExplainToMermaid, planMermaidSource, planToMermaid } from './mermaid.js';
+export { linkSqlToPlan } from './sqlLink.js';
+export { FILTER_FIELDS, findNodes, matchesNodeFilter, parseNodeFilter } from './nodeFilter.js';
+export { analyzePlanBatch, batchToCsv, sortBatchRows, splitPlans } from './batch.js';
+export { QMR_ACTIONS, QMR_METRICS, QMR_OPERATORS, createQmrRule, decisiveResult, evaluateQmrRules, parseWlmConfig } from './qmr.js';
+export { annotationBadge, annotationCounts, annotationsFor, carryOverAnnotations, createAnnotation } from './annotations.js';
@@ -0,0 +1,93 @@
+import { getPredicates } from './parsePlan.js';
+
+// Works out what a join node joins: the tables under its outer and inner inputs
+// and the column pairs in its Hash Cond / Merge Cond.
+
+export function isJoin(node) {
+  return /Join$/.test(node.operator) || node.operator.startsWith('Nested Loop');
+}
+
+export function isScan(node) {
+  return /Scan$/.test(node.operator);
+}
+
+// Scanned tables in a subtree, top-down, as { relation, alias }
+export function tablesUnder(plan, nodeId) {
+  const node = plan.nodes[nodeId];
+  const own = isScan(node) && node.relation ? [{ relation: node.relation, alias: node.alias }] : [];
+  return own.concat(...node.children.map(childId => tablesUnder(plan, childId)));
+}
+
+function splitColumn(reference) {
+  const parts = reference.replace(/"/g, '').split('.');
+  const column = parts.pop();
+  return { qualifier: parts.length > 0 ? parts.join('.') : null, column };
+}
+
+function tableNamed(tables, qualifier) {
+  return tables.find(table =>
+    table.alias === qualifier || table.relation === qualifier || table.relation.endsWith(`.${qualifier}`));
+}
+
+// Which side ('outer' / 'inner') a column reference belongs to, and its table when that can be told
+function resolveColumn(reference, outerTables, innerTables) {
+  const { qualifier, column } = splitColumn(reference);
+  if (qualifier === 'outer' || qualifier === 'inner') {
+    const tables = qualifier === 'outer' ? outerTables : innerTables;
+    return { side: qualifier, table: tables.length === 1 ? tables[0].relation : null, column };
+  }
+  if (qualifier) {
+    const outerTable = tableNamed(outerTables, qualifier);
+    if (outerTable) {
+      return { side: 'outer', table: outerTable.relation, column };
+    }
+    const innerTable = tableNamed(innerTables, qualifier);
+    if (innerTable) {
+      return { side: 'inner', table: innerTable.relation, column };
+    }
+  }
+  return { side: null, table: null, column };
+}
+
+export function parseJoinKeys(condition, outerTables, innerTables) {
+  const keys = [];
+  // Drop casts such as `::character varying(20)` and the parentheses around each side
+  const bare = condition.replace(/::[a-z_ ]+(\(\d+(?:,\s*\d+)?\))?/gi, '').replace(/[()]/g, '');
+  const equalityRegex = /((?:"?[\w$]+"?\.)*"?[\w$]+"?)\s*=\s*((?:"?[\w$]+"?\.)*"?[\w$]+"?)/g;
+  let match;
+  while ((match = equalityRegex.exec(bare)) !== null) {
+    const left = resolveColumn(match[1], outerTables, innerTables);
+    const right = resolveColumn(match[2], outerTables, innerTables);
+    const swapped = left.side === 'inner' || right.side === 'outer';
+    keys.push(swapped ? { outer: right, inner: left } : { outer: left, inner: right });
+  }
+  return keys;
+}
+
+export function describeJoin(plan, node) {
+  const [outerId, innerId] = node.children;
+  const outerTables = outerId ? tablesUnder(plan, outerId) : [];
+  const innerTables = innerId ? tablesUnder(plan, innerId) : [];
+  const conditions = [...getPredicates(node, 'Hash Cond'), ...getPredicates(node, 'Merge Cond')];
+  const keys = conditions.flatMap(condition => parseJoinKeys(condition, outerTables, innerTables));
+  return { outerTables, innerTables, keys };
+}
+
+function formatTables(tables) {
+  return tables.length > 0 ? [...new Set(tables.map(table => table.relation))].join(', ') : 'an intermediate result';
+}
+
+function formatColumn({ table, column }) {
+  return table ? `${table}.${column}` : column;
+}
+
+export function formatJoinKeys(join) {
+  if (join.keys.length === 0) {
+    return 'no equality join condition';
+  }
+  return join.keys.map(key => `${formatColumn(key.outer)} = ${formatColumn(key.inner)}`).join(' and ');
+}
+
+export function formatJoinSides(join) {
+  return { outer: formatTables(join.outerTables), inner: formatTables(join.innerTables) };
+}
@@ -0,0 +1,65 @@
+import { parsePlan } from './parsePlan.js';
+import { describeJoin, formatJoinKeys } from './joins.js';
+import { analyzePerformanceWarnings } from './ruleEngine.js';
+
+const PLAN = `XN Hash Join DS_DIST_BOTH  (cost=2.52..58653620.93 rows=8712 width=36)
+  Hash Cond: ("outer".customer_id = "inner".id)
+  ->  XN Seq Scan on orders o  (cost=0.00..87.98 rows=8798 width=24)
+  ->  XN Hash  (cost=2.02..2.02 rows=202 width=20)
+        ->  XN Seq Scan on customers c  (cost=0.00..2.02 rows=202 width=20)`;
+
+describe('describeJoin', () => {
+  test('resolves outer/inner column references to the scanned tables', () => {
+    const plan = parsePlan(PLAN);
+    const join = describeJoin(plan, plan.nodes.node0);
+    expect(join.outerTables).toEqual([{ relation: 'orders', alias: 'o' }]);
+    expect(join.innerTables).toEqual([{ relation: 'customers', alias: 'c' }]);
+    expect(formatJoinKeys(join)).toBe('orders.customer_id = customers.id');
+  });
+
+  test('resolves aliases, casts and reversed conditions', () => {
+    const plan = parsePlan(PLAN.replace('("outer".customer_id = "inner".id)', '((c.id)::text = (o.customer_id)::text)'));
+    const join = describeJoin(plan, plan.nodes.node0);
+    expect(join.keys).toEqual([{
+      outer: { side: 'outer', table: 'orders', column: 'customer_id' },
+      inner: { side: 'inner', table: 'customers', column: 'id' },
+    }]);
+  });
+});
+
+describe('data movement rules', () => {
+  test('names the join keys, both tables and the DISTKEY fix', () => {
+    const warnings = analyzePerformanceWarnings(parsePlan(PLAN)).filter(warning => warning.ruleId === 'dist-ds-dist-both');
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].severity).toBe('high');
+    expect(warnings[0].message).toContain('Join on orders.customer_id = customers.id between orders (outer) and customers (inner)');
+    expect(warnings[0].message).toContain('Use DISTKEY(customer_id) on orders and DISTKEY(id) on customers');
+  });
+
+  test('only redistributes the side the attribute names', () => {
+    const [warning] = analyzePerformanceWarnings(parsePlan(PLAN.replace('DS_DIST_BOTH', 'DS_DIST_INNER')))
+      .filter(candidate => candidate.ruleId === 'dist-ds-dist-inner');
+    expect(warning.severity).toBe('medium');
+    expect(warning.message).toContain('Use DISTKEY(id) on customers so');
+  });
+
+  test('leaves out the DISTKEY change for an input that is not a single table', () => {
+    const text = `XN Hash Join DS_DIST_BOTH  (cost=2.52..58653620.93 rows=8712 width=36)
+  Hash Cond: ("outer".customer_id = "inner".id)
+  ->  XN Seq Scan on orders o  (cost=0.00..87.98 rows=8798 width=24)
+  ->  XN Hash  (cost=4.04..4.04 rows=202 width=20)
+        ->  XN Hash Join DS_DIST_NONE  (cost=2.02..4.04 rows=202 width=20)
+              Hash Cond: ("outer".region_id = "inner".id)
+              ->  XN Seq Scan on customers c  (cost=0.00..2.02 rows=202 width=20)
+              ->  XN Hash  (cost=0.05..0.05 rows=5 width=4)
+                    ->  XN Seq Scan on regions r  (cost=0.00..0.05 rows=5 width=4)`;
+    const [both] = analyzePerformanceWarnings(parsePlan(text)).filter(warning => warning.ruleId === 'dist-ds-dist-both');
+    expect(both.message).toContain('Use DISTKEY(customer_id) on orders so matching rows share a slice.');
+    expect(both.fixes.map(fix => fix.sql)).toEqual(['ALTER TABLE orders ALTER DISTKEY customer_id;']);
+
+    const [inner] = analyzePerformanceWarnings(parsePlan(text.replace('DS_DIST_BOTH', 'DS_DIST_INNER')))
+      .filter(warning => warning.ruleId === 'dist-ds-dist-inner');
+    expect(inner.message).toContain('No DISTKEY change is suggested, since the moved input is not a single table: customers, regions (inner).');
+    expect(inner.fixes).toEqual([]);
+  });
+});
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { planTasks } from './planTasks.js';
+import { planToMermaid } from './mermaid.js';
+import { collapseBelowDepth, hiddenNodes } from './collapse.js';
+
+// The 1,500-line ETL plan fixture (54 UNION ALL branches of hash join chains) run
+// through the whole pipeline. Timings are left to `npm run benchmark`
+// (scripts/benchmark-large-plan.mjs); these check what the page depends on.
+const LARGE_PLAN = fs.readFileSync(path.join(__dirname, '__fixtures__', 'large-plan.txt'), 'utf8');
+
+const noProgress = () => {};
+
+describe('large plan', () => {
+  const { plan } = planTasks.load({ planText: LARGE_PLAN, statsText: '', tablesText: '' }, noProgress);
+
+  test('parses every node into one tree', () => {
+    expect(plan.order.length).toBe(973);
+    expect(plan.order.filter(id => !plan.nodes[id].parentId)).toEqual([plan.root]);
+    expect(Math.max(...plan.order.map(id => plan.nodes[id].depth))).toBeGreaterThan(6);
+  });
+
+  test('analyzes warnings', () => {
+    const warnings = planTasks.analyze({ plan, settings: {}, tables: null }, noProgress);
+    expect(warnings.length).toBeGreaterThan(100);
+    expect(warnings.every(warning => plan.nodes[warning.nodeId])).toBe(true);
+  });
+
+  test('draws every node, or only the nodes down to the collapse depth', () => {
+    const full = planToMermaid(plan, 'light');
+    expect(full.nodes.length).toBe(973);
+    expect(full.edges.length).toBe(972);
+
+    const collapsed = collapseBelowDepth(plan, 6);
+    const hidden = hiddenNodes(plan, collapsed);
+    const { nodes, edges } = planToMermaid(plan, 'light', collapsed);
+    expect(nodes.length).toBe(973 - hidden.size);
+    expect(nodes.length).toBeLessThan(300);
+    expect(edges.length).toBe(nodes.length - 1);
+    expect([...hidden].every(id => plan.nodes[id].depth > 6)).toBe(true);
+    expect(plan.order.filter(id => plan.nodes[id].depth <= 6).every(id => !hidden.has(id))).toBe(true);
+  });
+
+  test('compares the plan with itself', () => {
+    const { diff } = planTasks.compare({ leftText: LARGE_PLAN, rightText: LARGE_PLAN }, noProgress);
+    expect(diff.summary.unchanged).toBe(973);
+  });
+});
@@ -0,0 +1,147 @@
+import { parseExplain } from './parsePlan.js';
+import { normalizePlanInput } from './normalizeInput.js';
+import { describeRuntime } from './runtimeStats.js';
+import { formatDelta } from './diffPlans.js';
+import { countDescendants, hiddenNodes } from './collapse.js';
+import { externalSource } from './externalSources.js';
+import { annotationBadge, annotationCounts } from './annotations.js';
+import { costLevel } from './costBreakdown.js';
+
+// Mermaid treats quotes and angle brackets in labels as syntax, so use its entity codes.
+export function escapeMermaidLabel(text) {
+  return text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+}
+
+// Spectrum steps are drawn as cylinders and federated query steps as subroutine boxes
+const EXTERNAL_SHAPES = { s3: ['[("', '")]'], remote: ['[["', '"]]'] };
+const EXTERNAL_STROKES = { s3: 'stroke:#ff9900,stroke-width:3px', remote: 'stroke:#336791,stroke-width:3px' };
+
+const COST_FILLS = {
+  light: { high: '#ffcccc', medium: '#ffffcc', low: '#ccffcc' },
+  dark: { high: '#8B0000', medium: '#BDB76B', low: '#2E8B57' },
+};
+
+function nodeDefinition(id, node, label) {
+  const [open, close] = EXTERNAL_SHAPES[externalSource(node)] || ['["', '"]'];
+  return `${id}${open}${label}${close}`;
+}
+
+// 用遞迴解析 Plan，產生 Mermaid 節點與連線
+// `collapsed` is a Set of node ids whose subtrees are left out of the diagram;
+// nodes with review notes in `annotations` get a badge counting them
+export function planToMermaid(plan, theme, collapsed = new Set(), annotations = []) {
+  const nodes = [];
+  const edges = [];
+  const styles = [];
+  const hidden = hiddenNodes(plan, collapsed);
+  const noteCounts = annotationCounts(annotations);
+
+  for (const id of plan.order) {
+    if (hidden.has(id)) {
+      continue;
+    }
+    const node = plan.nodes[id];
+    const { details, exclusiveCost, children } = node;
+    const isCollapsed = collapsed.has(id) && children.length > 0;
+    const label = [
+      ...details.map(escapeMermaidLabel),
+      ...(node.network ? [`<i>${escapeMermaidLabel(node.network)}</i>`] : []),
+      `<b>Self Cost: ${exclusiveCost.toFixed(2)}</b>`,
+      ...describeRuntime(node).map(line => `<i>${escapeMermaidLabel(line)}</i>`),
+      ...(noteCounts[id] ? [`<b>${annotationBadge(noteCounts[id])}</b>`] : []),
+      ...(isCollapsed ? [`<b>+ ${countDescendants(plan, id)} hidden nodes (click to expand)</b>`] : []),
+    ].join('<br/>');
+    nodes.push(nodeDefinition(id, node, label));
+    if (!isCollapsed) {
+      children.forEach(childId => edges.push(`${id} --> ${childId}`));
+    }
+    // Steps that spilled to disk get a dashed red border on top of their cost colour,
+    // collapsed subtrees a thick double-width border and external steps their source's colour
+    const source = externalSource(node);
+    let stroke = 'stroke:#333,stroke-width:2px';
+    if (node.actual && node.actual.diskBased) {
+      stroke = 'stroke:#d32f2f,stroke-width:3px,stroke-dasharray:5 3';
+    } else if (isCollapsed) {
+      stroke = 'stroke:#333,stroke-width:4px';
+    } else if (source) {
+      stroke = EXTERNAL_STROKES[source];
+    }
+
+    // Fill by the node's share of the plan's total cost (see costBreakdown.js)
+    const level = costLevel(plan, node);
+    if (level) {
+      styles.push(`style ${id} fill:${COST_FILLS[theme === 'dark' ? 'dark' : 'light'][level]},${stroke}`);
+    } else if ((node.actual && node.actual.diskBased) || isCollapsed || source) {
+      styles.push(`style ${id} ${stroke}`);
+    }
+  }
+
+  return { nodes, edges, styles };
+}
+
+// The whole flowchart definition for a plan, as passed to mermaid.render
+export function planMermaidSource(plan, theme, collapsed = new Set(), annotations = []) {
+  const { nodes, edges, styles } = planToMermaid(plan, theme, collapsed, annotations);
+  return `graph TD\n${nodes.join('\n')}\n${edges.join('\n')}\n${styles.join('\n')}`;
+}
+
+export function parseExplainToMermaid(text, theme) {
+  const plan = parseExplain(normalizePlanInput(text).text);
+  return { plan, ...planToMermaid(plan, theme) };
+}
+
+export function findNodeElement(svgElement, nodeId) {
+  return svgElement.querySelector(`[id^="flowchart-${nodeId}-"]`);
+}
+
+// Mermaid renders node `node3` as <g id="flowchart-node3-12">; map it back to the plan id.
+export function nodeIdFromElementId(elementId) {
+  const match = elementId.match(/^(?:.*-)?flowchart-(.+)-\d+$/);
+  return match ? match[1] : elementId;
+}
+
+const DIFF_STYLES = {
+  removed: 'fill:#ffcccc,stroke:#f44336,stroke-width:2px',
+  unchanged: 'fill:#ccffcc,stroke:#4CAF50,stroke-width:2px',
+  added: 'fill:#cce0ff,stroke:#2196F3,stroke-width:2px',
+  changed: 'fill:#ffffcc,stroke:#FFC107,stroke-width:2px',
+};
+
+// Both plans side by side, each in its own subgraph with ids prefixed `a_` / `b_`,
+// and a dotted link between every pair of matched nodes.
+export function diffToMermaid(diff, leftPlan, rightPlan) {
+  const lines = ['graph LR'];
+  const statusById = {};
+  const deltasById = {};
+  diff.entries.forEach(entry => {
+    if (entry.leftId) statusById[`a_${entry.leftId}`] = entry.status;
+    if (entry.rightId) {
+      statusById[`b_${entry.rightId}`] = entry.status;
+      deltasById[`b_${entry.rightId}`] = entry.deltas;
+    }
+  });
+
+  [['a', 'Plan 1', leftPlan], ['b', 'Plan 2', rightPlan]].forEach(([prefix, title, plan]) => {
+    lines.push(`subgraph plan_${prefix}["${title}"]`, 'direction TB');
+    for (const id of plan.order) {
+      const node = plan.nodes[id];
+      const diagramId = `${prefix}_${id}`;
+      const status = statusById[diagramId];
+      const label = [`${status[0].toUpperCase()}${status.slice(1)}: ${escapeMermaidLabel(node.details[0])}`];
+      const deltas = deltasById[diagramId];
+      if (deltas && status === 'changed') {
+        label.push(`<i>Cost ${formatDelta(deltas.totalCost)}, Rows ${formatDelta(deltas.rows, 0)}</i>`);
+      }
+      lines.push(nodeDefinition(diagramId, node, label.join('<br/>')));
+      node.children.forEach(childId => lines.push(`${diagramId} --> ${prefix}_${childId}`));
+    }
+    lines.push('end');
+  });
+
+  diff.entries
+    .filter(entry => entry.leftId && entry.rightId)
+    .forEach(entry => lines.push(`a_${entry.leftId} -.- b_${entry.rightId}`));
+  Object.entries(statusById).forEach(([diagramId, status]) => lines.push(`style ${diagramId} ${DIFF_STYLES[status]}`));
+
+  return lines.join('\n');
+}
@@ -0,0 +1,111 @@
+// Small filter language for finding plan nodes.
+//
+//   op:"seq scan" table:fact_orders rows>1M
+//
+// Terms are separated by spaces and all have to match. A term is `field:text`
+// (case-insensitive substring), `field=text` (exact), `field!=text`, a numeric
+// comparison `field>n`, `>=`, `<`, `<=`, `=`, or a bare word that is looked up in
+// the operator, table and predicates. Numbers take k, M and B suffixes. Quote
+// values that contain spaces; prefix a term with `-` to negate it.
+
+const TEXT_FIELDS = {
+  op: node => [node.operator],
+  table: node => [node.relation, node.alias],
+  dist: node => [node.distribution],
+  pred: node => node.predicates.map(predicate => `${predicate.kind}: ${predicate.expression}`),
+};
+
+const NUMBER_FIELDS = {
+  rows: node => node.rows,
+  cost: node => node.totalCost,
+  self: node => node.exclusiveCost,
+  width: node => node.width,
+};
+
+const FIELD_ALIASES = {
+  operator: 'op',
+  relation: 'table',
+  distribution: 'dist',
+  predicate: 'pred',
+  filter: 'pred',
+  total: 'cost',
+  exclusive: 'self',
+};
+
+export const FILTER_FIELDS = [...Object.keys(TEXT_FIELDS), ...Object.keys(NUMBER_FIELDS)];
+
+const TOKEN_REGEX = /(-?)(?:([A-Za-z]+)(:|!=|>=|<=|=|>|<))?("[^"]*"?|\S+)/g;
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+function parseNumber(text) {
+  const match = text.match(/^(-?\d+(?:\.\d+)?)([kmb]?)$/i);
+  if (!match) {
+    return null;
+  }
+  return parseFloat(match[1]) * (match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1);
+}
+
+function compare(value, operator, target) {
+  switch (operator) {
+    case '>': return value > target;
+    case '>=': return value >= target;
+    case '<': return value < target;
+    case '<=': return value <= target;
+    case '!=': return value !== target;
+    default: return value === target;
+  }
+}
+
+// Parses a query into terms; throws an Error naming the first term it cannot read
+export function parseNodeFilter(query) {
+  const terms = [];
+  for (const [, negate, rawField, operator, rawValue] of query.matchAll(TOKEN_REGEX)) {
+    const value = rawValue.replace(/^"|"$/g, '');
+    if (!rawField) {
+      terms.push({ negate: Boolean(negate), field: null, operator: ':', value: value.toLowerCase() });
+      continue;
+    }
+    const field = FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase();
+    if (NUMBER_FIELDS[field]) {
+      const number = parseNumber(value);
+      if (number === null || operator === ':') {
+        throw new Error(`"${rawField}${operator}${rawValue}" needs a number comparison such as ${rawField}>1M.`);
+      }
+      terms.push({ negate: Boolean(negate), field, operator, value: number });
+    } else if (TEXT_FIELDS[field]) {
+      if (!/^(:|=|!=)$/.test(operator)) {
+        throw new Error(`"${rawField}${operator}${rawValue}" compares text; use ${rawField}:text or ${rawField}=text.`);
+      }
+      terms.push({ negate: Boolean(negate), field, operator, value: value.toLowerCase() });
+    } else {
+      throw new Error(`Unknown field "${rawField}". Use one of ${FILTER_FIELDS.join(', ')}.`);
+    }
+  }
+  return terms;
+}
+
+function matchesTerm(node, term) {
+  if (NUMBER_FIELDS[term.field]) {
+    return compare(NUMBER_FIELDS[term.field](node), term.operator, term.value);
+  }
+  const texts = (term.field ? TEXT_FIELDS[term.field](node) : [node.operator, node.relation, node.alias, ...TEXT_FIELDS.pred(node)])
+    .filter(Boolean)
+    .map(text => text.toLowerCase());
+  if (term.operator === '=') {
+    return texts.includes(term.value);
+  }
+  if (term.operator === '!=') {
+    return !texts.includes(term.value);
+  }
+  return texts.some(text => text.includes(term.value));
+}
+
+export function matchesNodeFilter(node, terms) {
+  return terms.every(term => matchesTerm(node, term) !== term.negate);
+}
+
+// Ids of the nodes matching `query`, in plan order
+export function findNodes(plan, query) {
+  const terms = parseNodeFilter(query);
+  return plan.order.filter(id => matchesNodeFilter(plan.nodes[id], terms));
+}
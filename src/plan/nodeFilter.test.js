@@ -0,0 +1,43 @@
+import { parsePlan } from './parsePlan.js';
+import { findNodes, parseNodeFilter } from './nodeFilter.js';
+
+const PLAN = `XN Hash Join DS_DIST_BOTH  (cost=5000.00..3000000.00 rows=2500000 width=40)
+  Hash Cond: ("outer".customer_id = "inner".customer_id)
+  ->  XN Seq Scan on fact_orders o  (cost=0.00..25000.00 rows=2500000 width=24)
+        Filter: (order_date >= '2024-01-01'::date)
+  ->  XN Hash  (cost=100.00..100.00 rows=10000 width=16)
+        ->  XN Seq Scan on dim_customer c  (cost=0.00..100.00 rows=10000 width=16)`;
+
+describe('findNodes', () => {
+  const plan = parsePlan(PLAN);
+
+  test('combines text and numeric terms', () => {
+    expect(findNodes(plan, 'op:"seq scan" table:fact_orders rows>1M')).toEqual(['node1']);
+    expect(findNodes(plan, 'op:"seq scan" rows<=10k')).toEqual(['node3']);
+    expect(findNodes(plan, 'self>2.9m')).toEqual(['node0']);
+  });
+
+  test('matches distribution, predicates and bare words', () => {
+    expect(findNodes(plan, 'dist:ds_dist_both')).toEqual(['node0']);
+    expect(findNodes(plan, 'pred:order_date')).toEqual(['node1']);
+    expect(findNodes(plan, 'customer')).toEqual(['node0', 'node3']);
+  });
+
+  test('supports exact and negated terms', () => {
+    expect(findNodes(plan, 'op=hash')).toEqual(['node2']);
+    expect(findNodes(plan, 'op:scan -table:dim_customer')).toEqual(['node1']);
+    expect(findNodes(plan, 'table!=fact_orders op:scan')).toEqual(['node3']);
+  });
+
+  test('returns every node for an empty query', () => {
+    expect(findNodes(plan, '  ')).toEqual(plan.order);
+  });
+});
+
+describe('parseNodeFilter', () => {
+  test('rejects unknown fields and malformed comparisons', () => {
+    expect(() => parseNodeFilter('colour:red')).toThrow(/Unknown field "colour"/);
+    expect(() => parseNodeFilter('rows>lots')).toThrow(/needs a number/);
+    expect(() => parseNodeFilter('op>scan')).toThrow(/compares text/);
+  });
+});
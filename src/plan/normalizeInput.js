@@ -0,0 +1,91 @@
+import { csvRecords } from './parseTable.js';
+
+// Cleans up EXPLAIN output pasted from client tools before it reaches parsePlan.
+//
+// Detected formats:
+//   psql          ` QUERY PLAN` header, `-----` ruler, `(N rows)` footer, ` +` wrapped lines
+//   query-editor  a bare `QUERY PLAN` header row (Redshift query editor, console copies)
+//   csv           DBeaver/DataGrip exports with quoted rows, `""` escapes and multi-line cells
+//   plain         anything else
+// Tabs, CRLF line endings, non-breaking spaces and a common left margin are repaired
+// in every format. Returns { text, format, notes } where notes describe each repair.
+
+const HEADER_REGEX = /^"?\s*QUERY PLAN\s*"?$/i;
+const RULER_REGEX = /^-{3,}$/;
+const ROW_COUNT_REGEX = /^\(\d+ rows?\)$/;
+
+function expandTabs(line, tabSize = 8) {
+  let result = '';
+  for (const char of line) {
+    result += char === '\t' ? ' '.repeat(tabSize - (result.length % tabSize)) : char;
+  }
+  return result;
+}
+
+function indentationOf(line) {
+  return line.search(/\S|$/);
+}
+
+export function normalizePlanInput(input) {
+  const notes = [];
+  let format = 'plain';
+  let text = input.replace(/\r\n?/g, '\n').replace(/\u00a0/g, ' ');
+
+  // Plan lines never start with a quote, so one that does means a CSV export
+  if (/^"/m.test(text)) {
+    format = 'csv';
+    // Only the first column holds the plan; a cell may hold several plan lines
+    text = csvRecords(text).map(fields => fields[0]).join('\n');
+    notes.push('Removed CSV quoting');
+  }
+
+  let lines = text.split('\n');
+
+  if (lines.some(line => line.includes('\t'))) {
+    lines = lines.map(line => expandTabs(line));
+    notes.push('Expanded tabs to spaces');
+  }
+
+  const firstLine = lines.findIndex(line => line.trim() !== '');
+  if (firstLine !== -1 && HEADER_REGEX.test(lines[firstLine].trim())) {
+    const rulerFollows = lines[firstLine + 1] !== undefined && RULER_REGEX.test(lines[firstLine + 1].trim());
+    if (format === 'plain') {
+      format = rulerFollows ? 'psql' : 'query-editor';
+    }
+    lines.splice(firstLine, rulerFollows ? 2 : 1);
+    notes.push(rulerFollows ? 'Removed the QUERY PLAN header and ruler' : 'Removed the QUERY PLAN header');
+  }
+
+  const withoutFooter = lines.filter(line => !ROW_COUNT_REGEX.test(line.trim()));
+  if (withoutFooter.length < lines.length) {
+    if (format === 'plain') {
+      format = 'psql';
+    }
+    lines = withoutFooter;
+    notes.push('Removed the row count footer');
+  }
+
+  // psql marks values that continue on the next line with a trailing `+`
+  if (lines.some(line => / \+$/.test(line))) {
+    lines = lines.map(line => line.replace(/\s+\+$/, ''));
+    if (format === 'plain') {
+      format = 'psql';
+    }
+    notes.push('Removed psql line continuation markers');
+  }
+
+  lines = lines.map(line => line.replace(/\s+$/, ''));
+  const margin = Math.min(...lines.filter(line => line !== '').map(indentationOf));
+  if (margin > 0 && margin !== Infinity) {
+    lines = lines.map(line => line.slice(margin));
+    notes.push(`Removed a ${margin}-space left margin`);
+  }
+
+  // Some tools trim every row, which leaves child nodes level with the root
+  const nodeLines = lines.filter(line => line.trim() !== '');
+  if (nodeLines.length > 1 && nodeLines.slice(1).some(line => line.startsWith('->'))) {
+    notes.push('Some "->" node lines have no indentation, so their place in the tree cannot be recovered. Copy the plan with its leading spaces intact.');
+  }
+
+  return { text: lines.join('\n').replace(/^\n+|\n+$/g, ''), format, notes };
+}
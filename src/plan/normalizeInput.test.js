@@ -0,0 +1,66 @@
+import { normalizePlanInput } from './normalizeInput.js';
+import { parsePlan } from './parsePlan.js';
+
+const PLAIN_PLAN = `XN Hash Join DS_BCAST_INNER  (cost=112.50..3272334142.59 rows=170771 width=84)
+  Hash Cond: ("outer".venueid = "inner".venueid)
+  ->  XN Seq Scan on listing l  (cost=0.00..1924.97 rows=192497 width=14)
+  ->  XN Hash  (cost=2.02..2.02 rows=202 width=41)
+        ->  XN Seq Scan on venue  (cost=0.00..2.02 rows=202 width=41)`;
+
+describe('normalizePlanInput', () => {
+  test('leaves plain EXPLAIN text untouched', () => {
+    expect(normalizePlanInput(PLAIN_PLAN)).toEqual({ text: PLAIN_PLAN, format: 'plain', notes: [] });
+  });
+
+  test('strips the psql header, ruler, footer, margin and continuation markers', () => {
+    const psql = [
+      '                                   QUERY PLAN',
+      '--------------------------------------------------------------------------------',
+      ...PLAIN_PLAN.split('\n').map(line => ` ${line.padEnd(90)}+`),
+      '(5 rows)',
+      '',
+    ].join('\r\n');
+    const result = normalizePlanInput(psql);
+    expect(result.format).toBe('psql');
+    expect(result.text).toBe(PLAIN_PLAN);
+    expect(result.notes).toEqual([
+      'Removed the QUERY PLAN header and ruler',
+      'Removed the row count footer',
+      'Removed psql line continuation markers',
+      'Removed a 1-space left margin',
+    ]);
+  });
+
+  test('strips a bare query editor header', () => {
+    const result = normalizePlanInput(`QUERY PLAN\n${PLAIN_PLAN}`);
+    expect(result.format).toBe('query-editor');
+    expect(result.text).toBe(PLAIN_PLAN);
+  });
+
+  test('unquotes CSV exports with escaped quotes and multi-line cells', () => {
+    const lines = PLAIN_PLAN.split('\n');
+    const csv = [
+      '"QUERY PLAN"',
+      `"${lines[0]}"`,
+      `"${lines[1].replace(/"/g, '""')}"`,
+      `"${lines[2]}\n${lines[3]}"`,
+      `"${lines[4]}"`,
+    ].join('\n');
+    const result = normalizePlanInput(csv);
+    expect(result.format).toBe('csv');
+    expect(result.text).toBe(PLAIN_PLAN);
+    expect(parsePlan(result.text).order).toHaveLength(4);
+  });
+
+  test('expands tabs so indentation keeps the tree shape', () => {
+    const tabbed = PLAIN_PLAN.replace('        ->  XN Seq Scan on venue', '\t->  XN Seq Scan on venue');
+    const result = normalizePlanInput(tabbed);
+    expect(result.notes).toContain('Expanded tabs to spaces');
+    expect(parsePlan(result.text).nodes.node3.parentId).toBe('node2');
+  });
+
+  test('warns when node lines lost their indentation', () => {
+    const trimmed = PLAIN_PLAN.split('\n').map(line => line.trim()).join('\n');
+    expect(normalizePlanInput(trimmed).notes[0]).toMatch(/no indentation/);
+  });
+});
@@ -0,0 +1,240 @@
+// Parses Redshift EXPLAIN text into a plan tree. PostgreSQL plans are read through
+// parseExplain (see postgresPlan.js).
+//
+// A plan is { root, nodes, order } where `nodes` maps an id (node0, node1, ...)
+// to a node object and `order` lists ids in the order they appear in the text.
+// Every later step (Mermaid output, warnings, plan diff) works off this model
+// instead of re-reading the raw lines. Plans that end with Redshift's footers also
+// get `metadata: { footers, missingStatistics }`, and PostgreSQL plans `dialect: 'postgres'`.
+
+import { parseFooter, parseNetworkLine } from './planMetadata.js';
+import { detectDialect, markPostgresSpills, parseActual, postgresJsonToText } from './postgresPlan.js';
+
+// Attributes printed under a node that describe what it joins, filters or sorts on.
+export const PREDICATE_KINDS = ['Hash Cond', 'Merge Cond', 'Join Filter', 'Filter', 'Merge Key', 'Sort Key', 'Index Cond', 'Recheck Cond'];
+
+const COST_REGEX = /\(cost=([\d.]+)\.\.([\d.]+)\s+rows=(\d+)\s+width=(\d+)\)/;
+const DISTRIBUTION_REGEX = /\b(DS_[A-Z_]+)\b/;
+const PREDICATE_REGEX = /^([A-Z][A-Za-z ]*?):\s*(.*)$/;
+// Spectrum scans name the S3 prefix and file format after the table
+const LOCATION_REGEX = /\s+location:"([^"]*)"(?:\s+format:(\S+))?/;
+// Operators that print their relation without `on`
+const NAMED_SCAN_REGEX = /^(Subquery Scan|S3 Query Scan|S3 Seq Scan|PG Query Scan|MySQL Query Scan|Remote (?:PG |MySQL )?Seq Scan)\s+(\S+)$/;
+const PARTITION_INFO_REGEX = /^(Seq Scan PartitionInfo) of (\S+)$/;
+
+function unquoteIdentifier(identifier) {
+  return identifier.replace(/"/g, '');
+}
+
+// Splits a node line such as `XN Seq Scan on sales s  (cost=0.00..1.00 rows=10 width=4)`
+// into its operator, distribution strategy, relation, alias and cost figures.
+export function parseNodeHeader(text) {
+  const header = {
+    prefix: null,
+    operator: '',
+    distribution: null,
+    relation: null,
+    alias: null,
+    location: null,
+    fileFormat: null,
+    startupCost: 0,
+    totalCost: 0,
+    rows: 0,
+    width: 0,
+  };
+
+  let head = text.trim();
+  const costMatch = head.match(COST_REGEX);
+  if (costMatch) {
+    header.startupCost = parseFloat(costMatch[1]);
+    header.totalCost = parseFloat(costMatch[2]);
+    header.rows = parseInt(costMatch[3], 10);
+    header.width = parseInt(costMatch[4], 10);
+    head = head.slice(0, costMatch.index).trim();
+  }
+
+  const prefixMatch = head.match(/^XN\s+/);
+  if (prefixMatch) {
+    header.prefix = 'XN';
+    head = head.slice(prefixMatch[0].length);
+  }
+
+  const distributionMatch = head.match(DISTRIBUTION_REGEX);
+  if (distributionMatch) {
+    header.distribution = distributionMatch[1];
+    head = head.replace(DISTRIBUTION_REGEX, '').replace(/\s+/g, ' ').trim();
+  }
+
+  const locationMatch = head.match(LOCATION_REGEX);
+  if (locationMatch) {
+    header.location = locationMatch[1];
+    header.fileFormat = locationMatch[2] || null;
+    head = head.replace(LOCATION_REGEX, '').trim();
+  }
+
+  const relationMatch = head.match(/^(.*?)\s+on\s+("[^"]+"(?:\."[^"]+")?|\S+)(?:\s+(\S+))?$/);
+  const namedMatch = head.match(NAMED_SCAN_REGEX) || head.match(PARTITION_INFO_REGEX);
+  if (relationMatch) {
+    // Postgres names the index between the operator and the table: `Index Scan using orders_pkey on orders`
+    header.operator = relationMatch[1].replace(/\s+using\s+\S+$/, '');
+    header.relation = unquoteIdentifier(relationMatch[2]);
+    header.alias = relationMatch[3] ? unquoteIdentifier(relationMatch[3]) : null;
+  } else if (namedMatch) {
+    header.operator = namedMatch[1];
+    header.relation = unquoteIdentifier(namedMatch[2]);
+  } else {
+    header.operator = head;
+  }
+
+  return header;
+}
+
+function parsePredicate(content) {
+  const match = content.match(PREDICATE_REGEX);
+  if (!match || !PREDICATE_KINDS.includes(match[1])) {
+    return null;
+  }
+  return { kind: match[1], expression: match[2] };
+}
+
+function createNode(id, text, line, parent) {
+  const actual = parseActual(text);
+  return {
+    id,
+    parentId: parent ? parent.id : null,
+    depth: parent ? parent.depth + 1 : 0,
+    line,
+    ...parseNodeHeader(text),
+    predicates: [],
+    network: null,
+    details: [text],
+    children: [],
+    exclusiveCost: 0,
+    ...(actual ? { actual } : {}),
+  };
+}
+
+// Lines that could not be placed under a node are still kept as details of the
+// nearest one, and reported in `diagnostics` as { line, text, message }.
+export function parsePlan(text, diagnostics = []) {
+  const plan = { root: null, nodes: {}, order: [] };
+  const nodeStack = []; // { id, indentation }
+  let idCounter = 0;
+  let afterFooter = false;
+
+  text.split('\n').forEach((line, index) => {
+    const content = line.trim();
+    if (content === '') {
+      return;
+    }
+    const indentation = line.search(/\S|$/);
+
+    const footer = parseFooter(content);
+    if (footer) {
+      plan.metadata = plan.metadata || { footers: [], missingStatistics: [] };
+      plan.metadata.footers.push(footer.text);
+      plan.metadata.missingStatistics.push(...footer.tables.filter(table => !plan.metadata.missingStatistics.includes(table)));
+      afterFooter = true;
+      return;
+    }
+    // Indented lines under a footer, such as the Buffers line under Postgres' `Planning:`, continue it
+    if (afterFooter && indentation > 0 && !content.startsWith('->')) {
+      const { footers } = plan.metadata;
+      footers[footers.length - 1] += ` ${content}`;
+      return;
+    }
+    afterFooter = false;
+
+    if (content.startsWith('->') || nodeStack.length === 0) {
+      while (nodeStack.length > 0 && nodeStack[nodeStack.length - 1].indentation >= indentation) {
+        nodeStack.pop();
+      }
+      const parent = nodeStack.length > 0 ? plan.nodes[nodeStack[nodeStack.length - 1].id] : null;
+      if (!parent && plan.root) {
+        // A second top-level line is not a new plan; keep it on the last node rather than dropping it.
+        attachDetail(plan.nodes[plan.order[plan.order.length - 1]], content);
+        diagnostics.push({ line: index + 1, text: content, message: 'Second top-level plan node; kept as a detail of the previous node' });
+        return;
+      }
+
+      const node = createNode(`node${idCounter++}`, content.replace(/^->\s*/, ''), index + 1, parent);
+      plan.nodes[node.id] = node;
+      plan.order.push(node.id);
+      if (parent) {
+        parent.children.push(node.id);
+      } else {
+        plan.root = node.id;
+      }
+      nodeStack.push({ id: node.id, indentation });
+      return;
+    }
+
+    // Detail lines belong to the closest open node indented less than they are.
+    let owner = null;
+    for (let i = nodeStack.length - 1; i >= 0; i--) {
+      if (nodeStack[i].indentation < indentation) {
+        owner = nodeStack[i];
+        break;
+      }
+    }
+    if (!owner) {
+      owner = nodeStack[nodeStack.length - 1];
+      diagnostics.push({ line: index + 1, text: content, message: `Not indented under any node; kept as a detail of "${plan.nodes[owner.id].operator}"` });
+    }
+    attachDetail(plan.nodes[owner.id], content);
+  });
+
+  for (const id of plan.order) {
+    const node = plan.nodes[id];
+    const childrenTotalCost = node.children.reduce((sum, childId) => sum + plan.nodes[childId].totalCost, 0);
+    // Clamp at zero to absorb floating point noise and operators that report less than their inputs
+    node.exclusiveCost = Math.max(node.totalCost - childrenTotalCost, 0);
+  }
+
+  return plan;
+}
+
+// Parses EXPLAIN text of either dialect: Redshift text, or PostgreSQL text or
+// EXPLAIN (FORMAT JSON) output
+export function parseExplain(text, diagnostics = []) {
+  const dialect = detectDialect(text);
+  if (dialect === 'redshift') {
+    return parsePlan(text, diagnostics);
+  }
+  const plan = parsePlan(dialect === 'postgres-json' ? postgresJsonToText(text) : text, diagnostics);
+  plan.dialect = 'postgres';
+  markPostgresSpills(plan);
+  return plan;
+}
+
+function attachDetail(node, content) {
+  const network = parseNetworkLine(content);
+  if (network) {
+    node.network = network;
+    return;
+  }
+  node.details.push(content);
+  const predicate = parsePredicate(content);
+  if (predicate) {
+    node.predicates.push(predicate);
+  }
+  // The root node's cost is sometimes printed on a line of its own
+  if (node.totalCost === 0) {
+    const costMatch = content.match(COST_REGEX);
+    if (costMatch) {
+      node.startupCost = parseFloat(costMatch[1]);
+      node.totalCost = parseFloat(costMatch[2]);
+      node.rows = parseInt(costMatch[3], 10);
+      node.width = parseInt(costMatch[4], 10);
+    }
+  }
+}
+
+// The short name of a node used across the app, reports and text alternatives
+export function nodeLabel(node) {
+  return node.relation ? `${node.operator} on ${node.relation}` : node.operator;
+}
+
+export function getPredicates(node, kind) {
+  return node.predicates.filter(predicate => predicate.kind === kind).map(predicate => predicate.expression);
+}
@@ -0,0 +1,69 @@
+import { parseNodeHeader, parsePlan } from './parsePlan.js';
+
+const SAMPLE_PLAN = `XN Hash Join DS_BCAST_INNER  (cost=112.50..3272334142.59 rows=170771 width=84)
+  Hash Cond: ("outer".venueid = "inner".venueid)
+  ->  XN Seq Scan on listing l  (cost=0.00..1924.97 rows=192497 width=14)
+        Filter: (price > 100)
+  ->  XN Hash  (cost=2.02..2.02 rows=202 width=41)
+        ->  XN Seq Scan on "public"."venue"  (cost=0.00..2.02 rows=202 width=41)`;
+
+describe('parseNodeHeader', () => {
+  test('extracts operator, distribution and cost figures', () => {
+    const header = parseNodeHeader('XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)');
+    expect(header).toMatchObject({
+      prefix: 'XN',
+      operator: 'Hash Join',
+      distribution: 'DS_BCAST_INNER',
+      startupCost: 0,
+      totalCost: 118,
+      rows: 1000,
+      width: 8,
+    });
+  });
+
+  test('extracts relation and alias', () => {
+    expect(parseNodeHeader('XN Seq Scan on sales s  (cost=0.00..1.00 rows=10 width=4)')).toMatchObject({
+      operator: 'Seq Scan',
+      relation: 'sales',
+      alias: 's',
+    });
+    expect(parseNodeHeader('XN Subquery Scan volt_dt_0  (cost=0.00..1.00 rows=10 width=4)')).toMatchObject({
+      operator: 'Subquery Scan',
+      relation: 'volt_dt_0',
+    });
+  });
+});
+
+describe('parsePlan', () => {
+  test('builds the node tree with predicates attached to their node', () => {
+    const plan = parsePlan(SAMPLE_PLAN);
+    expect(plan.order).toEqual(['node0', 'node1', 'node2', 'node3']);
+    expect(plan.root).toBe('node0');
+    expect(plan.nodes.node0.children).toEqual(['node1', 'node2']);
+    expect(plan.nodes.node2.children).toEqual(['node3']);
+    expect(plan.nodes.node3.relation).toBe('public.venue');
+    expect(plan.nodes.node0.predicates).toEqual([{ kind: 'Hash Cond', expression: '("outer".venueid = "inner".venueid)' }]);
+    expect(plan.nodes.node1.predicates).toEqual([{ kind: 'Filter', expression: '(price > 100)' }]);
+  });
+
+  test('computes exclusive cost from the children totals', () => {
+    const plan = parsePlan(SAMPLE_PLAN);
+    expect(plan.nodes.node0.exclusiveCost).toBeCloseTo(3272334142.59 - 1924.97 - 2.02);
+    expect(plan.nodes.node2.exclusiveCost).toBe(0);
+    expect(plan.nodes.node3.exclusiveCost).toBeCloseTo(2.02);
+  });
+
+  test('reports lines it cannot attach to a node', () => {
+    const diagnostics = [];
+    const plan = parsePlan(`${SAMPLE_PLAN}\nFilter: (qty > 1)\n->  XN Seq Scan on sales  (cost=0.00..1.00 rows=10 width=4)`, diagnostics);
+    expect(plan.root).toBe('node0');
+    expect(plan.order).toHaveLength(4);
+    expect(diagnostics.map(diagnostic => diagnostic.line)).toEqual([7, 8]);
+    expect(diagnostics[0].message).toMatch(/Not indented under any node/);
+    expect(diagnostics[1].message).toMatch(/Second top-level plan node/);
+  });
+
+  test('returns an empty plan for blank input', () => {
+    expect(parsePlan('  \n\n')).toEqual({ root: null, nodes: {}, order: [] });
+  });
+});
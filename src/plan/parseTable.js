@@ -0,0 +1,78 @@
+// Reads tabular query output pasted from psql (`col | col` with a `---+---` ruler),
+// a CSV export or a tab-separated copy into an array of row objects keyed by the
+// lower-cased column names.
+
+// Records of a CSV (or other delimited) text, honouring quoted fields that contain
+// the delimiter, `""` escapes or newlines. Fields are returned as they are, untrimmed.
+export function csvRecords(text, delimiter = ',') {
+  const records = [];
+  let fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(current);
+      current = '';
+    } else if (char === '\n') {
+      fields.push(current);
+      records.push(fields);
+      fields = [];
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  records.push(fields);
+  return records;
+}
+
+function splitPsqlLine(line) {
+  return line.replace(/^\s*\|/, '').replace(/\|\s*$/, '').split('|').map(cell => cell.trim());
+}
+
+function detectDelimiter(headerLine) {
+  if (headerLine.includes('|')) {
+    return '|';
+  }
+  if (headerLine.includes('\t')) {
+    return '\t';
+  }
+  return ',';
+}
+
+export function parseTable(text) {
+  const lines = text.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const delimiter = detectDelimiter(lines[0]);
+  // psql decorations: the header ruler, box borders and the `(N rows)` footer
+  const kept = [lines[0], ...lines.slice(1).filter(line => !/^[\s\-+|=]+$/.test(line) && !/^\(\d+ rows?\)$/.test(line.trim()))];
+  const [header, ...records] = delimiter === '|'
+    ? kept.map(splitPsqlLine)
+    : csvRecords(kept.join('\n'), delimiter).map(fields => fields.map(field => field.trim()));
+  const columns = header.map(column => column.toLowerCase());
+
+  return records.map(cells => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return row;
+  });
+}
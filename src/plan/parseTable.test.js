@@ -0,0 +1,23 @@
+import { csvRecords, parseTable } from './parseTable.js';
+
+describe('parseTable', () => {
+  test('reads psql tables without their decorations', () => {
+    const rows = parseTable(` seg | label
+-----+----------------
+   0 | scan tbl=100
+(1 row)`);
+    expect(rows).toEqual([{ seg: '0', label: 'scan tbl=100' }]);
+  });
+
+  test('reads quoted CSV cells with commas, doubled quotes and line breaks', () => {
+    const rows = parseTable('seg,label,is_diskbased\n0,"scan tbl=100 name=""venue, east""",f\n1,"hash\nstep",t');
+    expect(rows).toEqual([
+      { seg: '0', label: 'scan tbl=100 name="venue, east"', is_diskbased: 'f' },
+      { seg: '1', label: 'hash\nstep', is_diskbased: 't' },
+    ]);
+  });
+});
+
+test('csvRecords keeps fields untrimmed for plan exports', () => {
+  expect(csvRecords('"  ->  XN Seq Scan on a",x\n"b ""c"""', ',')).toEqual([['  ->  XN Seq Scan on a', 'x'], ['b "c"']]);
+});
@@ -0,0 +1,59 @@
+// Lines Redshift prints that are not plan nodes.
+//
+// EXPLAIN can end with footers such as
+//   ----- Tables missing statistics: sales, event -----
+//   ----- Update statistics by running the ANALYZE command on these tables -----
+// and an XN Network step is followed by where it sends its rows (`Send to leader`).
+// PostgreSQL ends EXPLAIN ANALYZE with `Planning Time:` and `Execution Time:` lines.
+// parsePlan keeps these out of node details: footers go to `plan.metadata` and the
+// network line to `node.network`.
+
+const FOOTER_REGEX = /^-{3,}\s*(.*?)\s*-{3,}$/;
+const MISSING_STATISTICS_REGEX = /^Tables missing statistics:\s*(.*)$/i;
+const SUMMARY_REGEX = /^(?:Planning(?: Time)?|Execution Time|Trigger [^:]+|JIT):(?:\s.*)?$/;
+const NETWORK_REGEX = /^(Send to leader|Send to slice \d+|Distribute(?: Round Robin)?|Broadcast)$/i;
+
+// `----- text -----` footers and Postgres summary lines as { text, tables } where `tables` lists any tables named
+// as missing statistics
+export function parseFooter(content) {
+  if (SUMMARY_REGEX.test(content)) {
+    return { text: content, tables: [] };
+  }
+  const match = content.match(FOOTER_REGEX);
+  if (!match) {
+    return null;
+  }
+  const missing = match[1].match(MISSING_STATISTICS_REGEX);
+  const tables = missing
+    ? missing[1].split(',').map(table => table.replace(/"/g, '').trim()).filter(Boolean)
+    : [];
+  return { text: match[1], tables };
+}
+
+export function parseNetworkLine(content) {
+  return NETWORK_REGEX.test(content) ? content : null;
+}
+
+function bareName(relation) {
+  return relation.split('.').pop().toLowerCase();
+}
+
+// The name under which the footer lists `relation`, or null when its statistics are
+// not reported missing. Schemas are only compared when both sides have one.
+export function missingStatisticsFor(plan, relation) {
+  if (!plan.metadata || !relation) {
+    return null;
+  }
+  const wanted = relation.toLowerCase();
+  return plan.metadata.missingStatistics.find(table => {
+    const candidate = table.toLowerCase();
+    return candidate.includes('.') && wanted.includes('.')
+      ? candidate === wanted
+      : bareName(candidate) === bareName(wanted);
+  }) || null;
+}
+
+// ANALYZE takes a single table, so one statement per table
+export function analyzeStatements(tables) {
+  return tables.map(table => `ANALYZE ${table};`).join('\n');
+}
@@ -0,0 +1,63 @@
+import { parsePlan } from './parsePlan.js';
+import { analyzePerformanceWarnings } from './ruleEngine.js';
+import { analyzeStatements, missingStatisticsFor, parseFooter } from './planMetadata.js';
+
+const PLAN_WITH_FOOTERS = `XN Merge  (cost=1000000000143.92..1000000000144.42 rows=200 width=38)
+  Merge Key: sum(sales.pricepaid)
+  ->  XN Network  (cost=1000000000143.92..1000000000144.42 rows=200 width=38)
+        Send to leader
+        ->  XN Hash Join DS_BCAST_INNER  (cost=112.50..132.64 rows=200 width=38)
+              Hash Cond: ("outer".eventid = "inner".eventid)
+              ->  XN Seq Scan on public.sales  (cost=0.00..17.24 rows=1724 width=14)
+              ->  XN Hash  (cost=2.00..2.00 rows=200 width=28)
+                    ->  XN Seq Scan on event  (cost=0.00..2.00 rows=200 width=28)
+----- Tables missing statistics: sales, "event" -----
+----- Update statistics by running the ANALYZE command on these tables -----`;
+
+describe('parseFooter', () => {
+  test('reads the tables missing statistics', () => {
+    expect(parseFooter('----- Tables missing statistics: sales, "event" -----')).toEqual({
+      text: 'Tables missing statistics: sales, "event"',
+      tables: ['sales', 'event'],
+    });
+  });
+
+  test('ignores lines that are not footers', () => {
+    expect(parseFooter('Filter: (a > 1)')).toBeNull();
+  });
+});
+
+describe('plan metadata', () => {
+  test('keeps footers and network lines out of node details', () => {
+    const plan = parsePlan(PLAN_WITH_FOOTERS);
+    expect(plan.metadata).toEqual({
+      footers: [
+        'Tables missing statistics: sales, "event"',
+        'Update statistics by running the ANALYZE command on these tables',
+      ],
+      missingStatistics: ['sales', 'event'],
+    });
+    expect(plan.nodes.node1.network).toBe('Send to leader');
+    expect(plan.nodes.node1.details).toHaveLength(1);
+    expect(plan.nodes.node5.details).toHaveLength(1);
+  });
+
+  test('matches scanned relations with or without a schema', () => {
+    const plan = parsePlan(PLAN_WITH_FOOTERS);
+    expect(missingStatisticsFor(plan, 'public.sales')).toBe('sales');
+    expect(missingStatisticsFor(plan, 'listing')).toBeNull();
+    expect(missingStatisticsFor(parsePlan('XN Seq Scan on sales  (cost=0.00..1.00 rows=1 width=4)'), 'sales')).toBeNull();
+  });
+
+  test('flags every scan on a table missing statistics', () => {
+    const warnings = analyzePerformanceWarnings(parsePlan(PLAN_WITH_FOOTERS))
+      .filter(warning => warning.ruleId === 'missing-statistics');
+    expect(warnings.map(warning => warning.nodeId)).toEqual(['node3', 'node5']);
+    expect(warnings[0].severity).toBe('high');
+    expect(warnings[0].message).toContain('ANALYZE sales;');
+  });
+
+  test('generates one ANALYZE statement per table', () => {
+    expect(analyzeStatements(['sales', 'event'])).toBe('ANALYZE sales;\nANALYZE event;');
+  });
+});
@@ -0,0 +1,72 @@
+import { parseExplain } from './parsePlan.js';
+import { detectDialect } from './postgresPlan.js';
+import { normalizePlanInput } from './normalizeInput.js';
+import { attachRuntimeStats, parseQueryStats } from './runtimeStats.js';
+import { parseTableMetadata } from './tableMetadata.js';
+import { analyzePerformanceWarnings } from './ruleEngine.js';
+import { diffPlans } from './diffPlans.js';
+import { analyzePlanBatch, splitPlans } from './batch.js';
+
+// The expensive steps behind the UI, written as plain functions of plain data so
+// they can run in the plan worker (src/workers/planWorker.js) or, where workers
+// are unavailable, on the main thread. Each task receives a payload and a
+// `report(message, step, steps)` progress callback and returns structured-clonable data.
+
+function countLines(text) {
+  return text.split('\n').length.toLocaleString();
+}
+
+const DIALECT_NOTES = {
+  postgres: 'Read as a PostgreSQL plan',
+  'postgres-json': 'Read as PostgreSQL EXPLAIN (FORMAT JSON) output',
+};
+
+// Normalizes pasted plan text and parses it. `input` says what was detected and
+// repaired, and which lines could not be placed under a node.
+function parseInput(text) {
+  const { text: normalized, format, notes } = normalizePlanInput(text);
+  const diagnostics = [];
+  const plan = parseExplain(normalized, diagnostics);
+  const dialect = detectDialect(normalized);
+  return { plan, input: { format, notes: DIALECT_NOTES[dialect] ? [DIALECT_NOTES[dialect], ...notes] : notes, diagnostics } };
+}
+
+export const planTasks = {
+  // Plan text plus the optional runtime statistics and table metadata
+  load({ planText, statsText, tablesText }, report) {
+    report(`Parsing ${countLines(planText)} plan lines`, 0, 3);
+    const { plan, input } = parseInput(planText);
+    report('Matching runtime statistics', 1, 3);
+    const steps = statsText.trim() ? parseQueryStats(statsText) : null;
+    const runtimeResult = steps ? attachRuntimeStats(plan, steps) : null;
+    report('Reading table metadata', 2, 3);
+    const tableMetadata = tablesText.trim() ? parseTableMetadata(tablesText) : null;
+    return {
+      plan,
+      input,
+      statsSummary: runtimeResult && { ...runtimeResult, total: steps.length },
+      tableMetadata,
+    };
+  },
+
+  analyze({ plan, settings, tables }, report) {
+    report(`Analyzing ${plan.order.length.toLocaleString()} plan nodes`, 0, 1);
+    return analyzePerformanceWarnings(plan, settings, { tables });
+  },
+
+  compare({ leftText, rightText }, report) {
+    report('Parsing both plans', 0, 2);
+    const left = parseInput(leftText);
+    const right = parseInput(rightText);
+    const leftPlan = left.plan;
+    const rightPlan = right.plan;
+    report(`Matching ${leftPlan.order.length.toLocaleString()} and ${rightPlan.order.length.toLocaleString()} nodes`, 1, 2);
+    return { diff: diffPlans(leftPlan, rightPlan), leftPlan, rightPlan, inputs: [left.input, right.input] };
+  },
+
+  // Files dropped on the batch panel as [{ name, text }], each holding one or more plans
+  batch({ files, settings }, report) {
+    const entries = files.flatMap(file => splitPlans(file.text, file.name));
+    return analyzePlanBatch(entries, settings, (entry, index) => report(`Analyzing ${entry.name}`, index, entries.length));
+  },
+};
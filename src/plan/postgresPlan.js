@@ -0,0 +1,188 @@
+// PostgreSQL (and Aurora PostgreSQL) EXPLAIN support.
+//
+// Postgres text plans share Redshift's `->` tree layout and cost figures, so they go
+// through parsePlan as they are; EXPLAIN (FORMAT JSON) output is first rewritten into
+// that text form, so both end up in the same plan model. What differs is read here:
+// the `(actual time=... rows=... loops=...)` figures of EXPLAIN ANALYZE and the
+// `Sort Method` / `Batches` lines that show a step spilled to disk.
+
+// Lines only Postgres prints, beyond the plain text both databases share
+const POSTGRES_MARKERS = /\(actual (?:time|rows)=|\(never executed\)|^\s*(?:->\s*)?(?:Parallel |Index Scan|Index Only Scan|Bitmap (?:Heap|Index) Scan|Gather|Memoize|Incremental Sort|WindowAgg|Materialize\b)|^\s*(?:Planning|Execution) Time:|^\s*(?:Buffers|Sort Method|Rows Removed by \w+|Workers (?:Planned|Launched)):/m;
+// Redshift prefixes its steps with XN and names a DS_* distribution on its joins
+const REDSHIFT_MARKERS = /^\s*(?:->\s*)?XN\s|\bDS_[A-Z_]+\b/m;
+// A plan node line with its cost estimate, or an EXPLAIN ANALYZE one
+const NODE_LINE = /\(cost=[\d.]+\.\.[\d.]+ rows=\d+ width=\d+\)|\(actual (?:time|rows)=/;
+const ACTUAL_REGEX = /\(actual(?: time=([\d.]+)\.\.([\d.]+))? rows=([\d.]+) loops=(\d+)\)/;
+const NEVER_EXECUTED_REGEX = /\(never executed\)/;
+
+// 'redshift', 'postgres' (text) or 'postgres-json'. Plan text without Redshift's XN and
+// DS_* markers is Postgres; empty or unrecognised input falls back to Redshift.
+export function detectDialect(text) {
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed) && /"Plan"\s*:/.test(trimmed)) {
+    return 'postgres-json';
+  }
+  if (REDSHIFT_MARKERS.test(text)) {
+    return 'redshift';
+  }
+  return NODE_LINE.test(text) || POSTGRES_MARKERS.test(text) ? 'postgres' : 'redshift';
+}
+
+// Runtime figures on a Postgres node line. Rows are per loop, like the estimate;
+// `elapsedMicros` covers all loops.
+export function parseActual(text) {
+  if (NEVER_EXECUTED_REGEX.test(text)) {
+    return { rows: 0, loops: 0, startupMs: null, totalMs: null, elapsedMicros: 0, diskBased: false, spill: null };
+  }
+  const match = text.match(ACTUAL_REGEX);
+  if (!match) {
+    return null;
+  }
+  const totalMs = match[2] !== undefined ? parseFloat(match[2]) : null;
+  const loops = parseInt(match[4], 10);
+  return {
+    rows: Math.round(parseFloat(match[3])),
+    loops,
+    startupMs: match[1] !== undefined ? parseFloat(match[1]) : null,
+    totalMs,
+    elapsedMicros: totalMs !== null ? Math.round(totalMs * loops * 1000) : 0,
+    diskBased: false,
+    spill: null,
+  };
+}
+
+// The value of a `Label: value` detail line, or null
+export function detailValue(node, label) {
+  const prefix = `${label}:`;
+  const line = node.details.find(detail => detail.startsWith(prefix));
+  return line ? line.slice(prefix.length).trim() : null;
+}
+
+// Marks steps that wrote to disk: external sorts and hashes split into several batches
+export function markPostgresSpills(plan) {
+  plan.order.forEach(id => {
+    const node = plan.nodes[id];
+    const sortMethod = detailValue(node, 'Sort Method');
+    const batches = (detailValue(node, 'Buckets') || '').match(/Batches: (\d+)/);
+    let spill = null;
+    if (sortMethod && /^external/.test(sortMethod)) {
+      spill = `Sort Method: ${sortMethod}`;
+    } else if (batches && parseInt(batches[1], 10) > 1) {
+      spill = `${batches[1]} hash batches`;
+    }
+    if (spill && node.actual) {
+      node.actual.diskBased = true;
+      node.actual.spill = spill;
+    }
+  });
+}
+
+// Node names as the text format prints them
+function operatorName(plan) {
+  const type = plan['Node Type'];
+  const parallel = plan['Parallel Aware'] ? 'Parallel ' : '';
+  const joinType = plan['Join Type'] && plan['Join Type'] !== 'Inner' ? plan['Join Type'] : null;
+  if (type === 'Aggregate') {
+    return { Hashed: 'HashAggregate', Sorted: 'GroupAggregate', Mixed: 'MixedAggregate' }[plan.Strategy] || 'Aggregate';
+  }
+  if (type === 'Nested Loop' && joinType) {
+    return `Nested Loop ${joinType} Join`;
+  }
+  if (/ Join$/.test(type) && joinType) {
+    return type.replace(/ Join$/, ` ${joinType} Join`);
+  }
+  if (type === 'ModifyTable' && plan.Operation) {
+    return plan.Operation;
+  }
+  return `${parallel}${type}`;
+}
+
+function nodeTitle(plan) {
+  let title = operatorName(plan);
+  if (plan['Index Name'] && plan['Node Type'] !== 'Bitmap Index Scan') {
+    title += `${plan['Scan Direction'] === 'Backward' ? ' Backward' : ''} using ${plan['Index Name']}`;
+  }
+  const target = plan['Node Type'] === 'Bitmap Index Scan'
+    ? plan['Index Name']
+    : plan['Relation Name'] || plan['CTE Name'] || plan['Function Name'] || (plan['Node Type'] === 'Subquery Scan' ? plan.Alias : null);
+  if (target) {
+    const relation = plan.Schema && plan['Relation Name'] ? `${plan.Schema}.${target}` : target;
+    title += ` on ${relation}`;
+    if (plan.Alias && plan.Alias !== target) {
+      title += ` ${plan.Alias}`;
+    }
+  }
+  return title;
+}
+
+function costText(plan) {
+  const cost = `(cost=${plan['Startup Cost'].toFixed(2)}..${plan['Total Cost'].toFixed(2)} rows=${plan['Plan Rows']} width=${plan['Plan Width']})`;
+  if (plan['Actual Loops'] === 0) {
+    return `${cost} (never executed)`;
+  }
+  if (plan['Actual Rows'] === undefined) {
+    return cost;
+  }
+  const time = plan['Actual Total Time'] !== undefined ? `time=${plan['Actual Startup Time'].toFixed(3)}..${plan['Actual Total Time'].toFixed(3)} ` : '';
+  return `${cost} (actual ${time}rows=${plan['Actual Rows']} loops=${plan['Actual Loops']})`;
+}
+
+const CONDITION_KEYS = ['Hash Cond', 'Merge Cond', 'Index Cond', 'Recheck Cond', 'Join Filter', 'Filter'];
+const COUNT_KEYS = ['Rows Removed by Index Recheck', 'Rows Removed by Join Filter', 'Rows Removed by Filter', 'Heap Fetches', 'Workers Planned', 'Workers Launched'];
+const BUFFER_KEYS = [
+  ['Shared Hit Blocks', 'shared hit'], ['Shared Read Blocks', 'read'], ['Shared Dirtied Blocks', 'dirtied'], ['Shared Written Blocks', 'written'],
+  ['Temp Read Blocks', 'temp read'], ['Temp Written Blocks', 'temp written'],
+];
+
+// The attribute lines printed under a node in the text format
+function detailLines(plan) {
+  const lines = [];
+  ['Sort Key', 'Group Key', 'Presorted Key'].forEach(key => {
+    if (plan[key]) lines.push(`${key}: ${plan[key].join(', ')}`);
+  });
+  CONDITION_KEYS.forEach(key => {
+    if (plan[key]) lines.push(`${key}: ${plan[key]}`);
+  });
+  COUNT_KEYS.forEach(key => {
+    if (plan[key] !== undefined) lines.push(`${key}: ${plan[key]}`);
+  });
+  if (plan['Sort Method']) {
+    lines.push(`Sort Method: ${plan['Sort Method']}  ${plan['Sort Space Type'] === 'Disk' ? 'Disk' : 'Memory'}: ${plan['Sort Space Used']}kB`);
+  }
+  if (plan['Hash Buckets'] !== undefined) {
+    lines.push(`Buckets: ${plan['Hash Buckets']}  Batches: ${plan['Hash Batches']}  Memory Usage: ${plan['Peak Memory Usage']}kB`);
+  }
+  const buffers = BUFFER_KEYS.filter(([key]) => plan[key] > 0).map(([key, label]) => `${label}=${plan[key]}`);
+  if (buffers.length > 0) {
+    lines.push(`Buffers: ${buffers.join(' ')}`);
+  }
+  return lines;
+}
+
+function appendNode(plan, depth, lines) {
+  const indent = depth === 0 ? '' : `${' '.repeat(6 * depth - 4)}->  `;
+  const detailIndent = ' '.repeat(depth === 0 ? 2 : 6 * depth + 2);
+  lines.push(`${indent}${nodeTitle(plan)}  ${costText(plan)}`);
+  detailLines(plan).forEach(line => lines.push(`${detailIndent}${line}`));
+  (plan.Plans || []).forEach(child => appendNode(child, depth + 1, lines));
+}
+
+// EXPLAIN (FORMAT JSON) output as the equivalent text plan
+export function postgresJsonToText(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Could not read the PostgreSQL JSON plan: ${e.message}`);
+  }
+  const [entry] = Array.isArray(parsed) ? parsed : [parsed];
+  if (!entry || !entry.Plan) {
+    throw new Error('The PostgreSQL JSON plan has no "Plan" object.');
+  }
+  const lines = [];
+  appendNode(entry.Plan, 0, lines);
+  ['Planning Time', 'Execution Time'].forEach(key => {
+    if (entry[key] !== undefined) lines.push(`${key}: ${entry[key].toFixed(3)} ms`);
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,169 @@
+import { parseExplain } from './parsePlan.js';
+import { detectDialect, postgresJsonToText } from './postgresPlan.js';
+import { analyzePerformanceWarnings } from './ruleEngine.js';
+import { describeRuntime } from './runtimeStats.js';
+import { diffPlans } from './diffPlans.js';
+import { planToMermaid } from './mermaid.js';
+import { filterColumns, workMemFor } from './rules/postgresRules.js';
+
+const TEXT_PLAN = `Sort  (cost=1200.00..1210.00 rows=4000 width=16) (actual time=80.100..95.300 rows=250000 loops=1)
+  Sort Key: o.created_at
+  Sort Method: external merge  Disk: 6120kB
+  Buffers: shared hit=120 read=4000, temp read=765 written=767
+  ->  Hash Join  (cost=30.00..1100.00 rows=4000 width=16) (actual time=1.200..60.000 rows=250000 loops=1)
+        Hash Cond: (o.customer_id = c.id)
+        ->  Seq Scan on orders o  (cost=0.00..1000.00 rows=4000 width=12) (actual time=0.010..40.000 rows=250000 loops=1)
+              Filter: (status = 'shipped'::text)
+              Rows Removed by Filter: 2750000
+        ->  Hash  (cost=20.00..20.00 rows=800 width=4) (actual time=1.000..1.000 rows=800 loops=1)
+              Buckets: 1024  Batches: 1  Memory Usage: 37kB
+              ->  Index Scan using customers_pkey on customers c  (cost=0.28..20.00 rows=800 width=4) (actual time=0.020..0.600 rows=800 loops=1)
+                    Index Cond: (id < 1000)
+Planning:
+  Buffers: shared hit=12
+Planning Time: 0.420 ms
+Execution Time: 101.250 ms`;
+
+const JSON_PLAN = JSON.stringify([{
+  Plan: {
+    'Node Type': 'Sort', 'Startup Cost': 1200, 'Total Cost': 1210, 'Plan Rows': 4000, 'Plan Width': 16,
+    'Actual Startup Time': 80.1, 'Actual Total Time': 95.3, 'Actual Rows': 250000, 'Actual Loops': 1,
+    'Sort Key': ['o.created_at'], 'Sort Method': 'external merge', 'Sort Space Used': 6120, 'Sort Space Type': 'Disk',
+    'Shared Hit Blocks': 120, 'Shared Read Blocks': 4000,
+    Plans: [{
+      'Node Type': 'Hash Join', 'Join Type': 'Inner', 'Startup Cost': 30, 'Total Cost': 1100, 'Plan Rows': 4000, 'Plan Width': 16,
+      'Actual Startup Time': 1.2, 'Actual Total Time': 60, 'Actual Rows': 250000, 'Actual Loops': 1,
+      'Hash Cond': '(o.customer_id = c.id)',
+      Plans: [{
+        'Node Type': 'Seq Scan', 'Relation Name': 'orders', Alias: 'o', 'Startup Cost': 0, 'Total Cost': 1000, 'Plan Rows': 4000, 'Plan Width': 12,
+        'Actual Startup Time': 0.01, 'Actual Total Time': 40, 'Actual Rows': 250000, 'Actual Loops': 1,
+        Filter: "(status = 'shipped'::text)", 'Rows Removed by Filter': 2750000,
+      }, {
+        'Node Type': 'Hash', 'Startup Cost': 20, 'Total Cost': 20, 'Plan Rows': 800, 'Plan Width': 4,
+        'Actual Startup Time': 1, 'Actual Total Time': 1, 'Actual Rows': 800, 'Actual Loops': 1,
+        'Hash Buckets': 1024, 'Hash Batches': 1, 'Peak Memory Usage': 37,
+        Plans: [{
+          'Node Type': 'Index Scan', 'Index Name': 'customers_pkey', 'Relation Name': 'customers', Alias: 'c', 'Scan Direction': 'Forward',
+          'Startup Cost': 0.28, 'Total Cost': 20, 'Plan Rows': 800, 'Plan Width': 4,
+          'Actual Startup Time': 0.02, 'Actual Total Time': 0.6, 'Actual Rows': 800, 'Actual Loops': 1,
+          'Index Cond': '(id < 1000)',
+        }],
+      }],
+    }],
+  },
+  'Planning Time': 0.42,
+  'Execution Time': 101.25,
+}], null, 2);
+
+function shape(plan) {
+  return plan.order.map(id => {
+    const { operator, relation, alias, totalCost, rows, actual, predicates } = plan.nodes[id];
+    return { operator, relation, alias, totalCost, rows, actual, predicates };
+  });
+}
+
+describe('detectDialect', () => {
+  test('tells Redshift, PostgreSQL text and JSON plans apart', () => {
+    expect(detectDialect('XN Seq Scan on sales  (cost=0.00..1.00 rows=10 width=4)')).toBe('redshift');
+    expect(detectDialect('Seq Scan on sales  (cost=0.00..1.00 rows=10 width=4)')).toBe('postgres');
+    expect(detectDialect('')).toBe('redshift');
+    expect(detectDialect('not a plan')).toBe('redshift');
+    expect(detectDialect(TEXT_PLAN)).toBe('postgres');
+    expect(detectDialect('Index Only Scan using sales_pkey on sales  (cost=0.29..8.30 rows=1 width=4)')).toBe('postgres');
+    expect(detectDialect(JSON_PLAN)).toBe('postgres-json');
+  });
+});
+
+describe('PostgreSQL plans', () => {
+  test('read a plain EXPLAIN without Postgres-only lines as Postgres', () => {
+    const plan = parseExplain(`Hash Join  (cost=35.50..98000.00 rows=2000000 width=16)
+  Hash Cond: (o.customer_id = c.id)
+  ->  Seq Scan on orders o  (cost=0.00..80000.00 rows=5000000 width=12)
+  ->  Hash  (cost=22.00..22.00 rows=1200 width=8)
+        ->  Seq Scan on customers c  (cost=0.00..22.00 rows=1200 width=8)`);
+    expect(plan.dialect).toBe('postgres');
+    const warnings = analyzePerformanceWarnings(plan);
+    expect(warnings.filter(warning => !warning.ruleId.startsWith('pg-'))).toEqual([]);
+  });
+
+  test('skip the row estimate rule on plans without ANALYZE data, whatever the threshold', () => {
+    const plan = parseExplain(`Seq Scan on orders o  (cost=0.00..80000.00 rows=5000000 width=12)
+  Filter: (status = 'open'::text)`);
+    expect(plan.dialect).toBe('postgres');
+    const settings = { 'pg-row-estimate-miss': { params: { minFactor: 0, minRows: 0 } } };
+    expect(analyzePerformanceWarnings(plan, settings).filter(warning => warning.ruleId === 'pg-row-estimate-miss')).toEqual([]);
+  });
+
+  test('read text plans with index names, runtime figures and summary lines', () => {
+    const plan = parseExplain(TEXT_PLAN);
+    expect(plan.dialect).toBe('postgres');
+    expect(plan.nodes.node4).toMatchObject({ operator: 'Index Scan', relation: 'customers', alias: 'c', parentId: 'node3' });
+    expect(plan.nodes.node2.actual).toMatchObject({ rows: 250000, loops: 1, totalMs: 40, elapsedMicros: 40000, diskBased: false });
+    expect(plan.nodes.node0.actual).toMatchObject({ diskBased: true, spill: 'Sort Method: external merge  Disk: 6120kB' });
+    expect(plan.metadata.footers).toEqual(['Planning: Buffers: shared hit=12', 'Planning Time: 0.420 ms', 'Execution Time: 101.250 ms']);
+    expect(describeRuntime(plan.nodes.node0)).toEqual([
+      'Actual rows: 250,000 (est. 4,000)',
+      'Time: 95.3 ms',
+      'Spilled to disk (Sort Method: external merge  Disk: 6120kB)',
+    ]);
+  });
+
+  test('read EXPLAIN (FORMAT JSON) into the same plan as the text format', () => {
+    expect(postgresJsonToText(JSON_PLAN).split('\n')[0]).toBe('Sort  (cost=1200.00..1210.00 rows=4000 width=16) (actual time=80.100..95.300 rows=250000 loops=1)');
+    const plan = parseExplain(JSON_PLAN);
+    expect(plan.dialect).toBe('postgres');
+    expect(shape(plan)).toEqual(shape(parseExplain(TEXT_PLAN)));
+    expect(plan.metadata.footers).toEqual(['Planning Time: 0.420 ms', 'Execution Time: 101.250 ms']);
+  });
+
+  test('names joins, aggregates and never executed steps as the text format does', () => {
+    const text = postgresJsonToText(JSON.stringify({
+      Plan: {
+        'Node Type': 'Aggregate', Strategy: 'Hashed', 'Startup Cost': 5, 'Total Cost': 6, 'Plan Rows': 1, 'Plan Width': 8, 'Group Key': ['a.id'],
+        Plans: [{
+          'Node Type': 'Nested Loop', 'Join Type': 'Left', 'Startup Cost': 0, 'Total Cost': 5, 'Plan Rows': 1, 'Plan Width': 8, 'Actual Rows': 0, 'Actual Loops': 0,
+        }],
+      },
+    }));
+    expect(text).toBe('HashAggregate  (cost=5.00..6.00 rows=1 width=8)\n  Group Key: a.id\n  ->  Nested Loop Left Join  (cost=0.00..5.00 rows=1 width=8) (never executed)');
+    expect(describeRuntime(parseExplain(text).nodes.node1)).toEqual(['Never executed']);
+  });
+
+  test('reject JSON without a plan', () => {
+    expect(() => parseExplain('[{"Plan": 1,')).toThrow(/Could not read the PostgreSQL JSON plan/);
+  });
+
+  test('run the PostgreSQL rules instead of the Redshift ones', () => {
+    const warnings = analyzePerformanceWarnings(parseExplain(TEXT_PLAN));
+    expect(warnings.map(warning => `${warning.ruleId}@${warning.nodeId}`)).toEqual([
+      'pg-sort-spill@node0',
+      'pg-row-estimate-miss@node0',
+      'pg-row-estimate-miss@node1',
+      'pg-selective-seq-scan@node2',
+      'pg-row-estimate-miss@node2',
+    ]);
+    const byRule = ruleId => warnings.find(warning => warning.ruleId === ruleId);
+    expect(byRule('pg-sort-spill').fixes[0].sql).toBe("SET work_mem = '16MB';");
+    expect(byRule('pg-selective-seq-scan').message).toContain('reads 3,000,000 rows per loop and its Filter removes 2,750,000 of them, keeping 8.3%');
+    expect(byRule('pg-selective-seq-scan').fixes[0].sql).toBe('CREATE INDEX CONCURRENTLY ON orders (status);');
+    expect(byRule('pg-row-estimate-miss').fixes[0].sql).toBe('ANALYZE orders;\nANALYZE customers;');
+  });
+
+  test('compare and draw like Redshift plans', () => {
+    const before = parseExplain(TEXT_PLAN);
+    const after = parseExplain(TEXT_PLAN.replace('Index Scan using customers_pkey on customers c', 'Seq Scan on customers c'));
+    const changed = diffPlans(before, after).entries.filter(entry => entry.status !== 'unchanged');
+    expect(changed).toMatchObject([{ status: 'changed', leftId: 'node4', rightId: 'node4' }]);
+    expect(planToMermaid(before, 'light').styles).toContainEqual(expect.stringMatching(/^style node0 fill:#[0-9a-f]+,stroke:#d32f2f/));
+  });
+});
+
+test('filterColumns lists the columns a filter compares', () => {
+  expect(filterColumns("((status = 'shipped'::text) AND ((region)::text ~~ 'EU%'::text) AND (total > 100))")).toEqual(['status', 'region', 'total']);
+  expect(filterColumns('(id = ANY (\'{1,2}\'::integer[]))')).toEqual(['id']);
+});
+
+test('workMemFor doubles the spilled size, in powers of two', () => {
+  expect(workMemFor(100)).toBe(4);
+  expect(workMemFor(6120)).toBe(16);
+});
@@ -0,0 +1,180 @@
+import { isScan } from './joins.js';
+import { externalSource, isExternalBoundary } from './externalSources.js';
+
+// Simulates Redshift WLM query monitoring rules (QMR) against a plan.
+//
+// A rule is { name, queue, predicates: [{ metric, operator, value }], action, priority }
+// as in the `rules` of a wlm_json_configuration queue. A rule fires when all of its
+// predicates hold. Metrics are measured from the plan's estimates, or from the
+// runtime statistics attached to its nodes (node.actual); the ones that only the
+// cluster knows, such as CPU time or queue time, cannot be evaluated here.
+
+export const QMR_OPERATORS = ['>', '<', '='];
+
+// Least to most severe; WLM applies the most severe action when several rules fire
+export const QMR_ACTIONS = ['log', 'change_query_priority', 'hop', 'abort'];
+
+const MB = 1024 * 1024;
+
+function nodesWhere(plan, test) {
+  return plan.order.map(id => plan.nodes[id]).filter(test);
+}
+
+function rowsOf(node, source) {
+  if (source === 'runtime') {
+    return node.actual ? node.actual.rows : null;
+  }
+  return node.rows;
+}
+
+// The largest value among `nodes`, with the node it comes from; null when none of
+// them has a value, and 0 when there are no such nodes at all
+function largest(nodes, valueOf) {
+  if (nodes.length === 0) {
+    return { value: 0, nodeId: null };
+  }
+  let best = null;
+  nodes.forEach(node => {
+    const value = valueOf(node);
+    if (value !== null && (!best || value > best.value)) {
+      best = { value, nodeId: node.id };
+    }
+  });
+  return best;
+}
+
+// The S3 Seq Scan that reads the files, not the S3 Query Scan that receives its rows
+const isSpectrumScan = node => isScan(node) && externalSource(node) === 's3' && !isExternalBoundary(node);
+
+// measure(plan, source) returns { value, nodeId } or null when the metric cannot be
+// told from this plan and source
+export const QMR_METRICS = {
+  nested_loop_join_row_count: {
+    label: 'Nested loop join row count',
+    measure: (plan, source) => largest(nodesWhere(plan, node => node.operator.startsWith('Nested Loop')), node => rowsOf(node, source)),
+  },
+  return_row_count: {
+    label: 'Return row count',
+    measure: (plan, source) => plan.root && rowsOf(plan.nodes[plan.root], source) !== null
+      ? { value: rowsOf(plan.nodes[plan.root], source), nodeId: plan.root }
+      : null,
+  },
+  scan_row_count: {
+    label: 'Rows scanned',
+    measure: (plan, source) => largest(nodesWhere(plan, node => isScan(node) && !externalSource(node)), node => rowsOf(node, source)),
+  },
+  spectrum_scan_row_count: {
+    label: 'Spectrum scan rows',
+    measure: (plan, source) => largest(nodesWhere(plan, isSpectrumScan), node => rowsOf(node, source)),
+  },
+  spectrum_scan_size_mb: {
+    label: 'Spectrum scan size (MB)',
+    measure: (plan, source) => largest(nodesWhere(plan, isSpectrumScan), node => {
+      if (source === 'runtime') {
+        return node.actual && node.actual.bytes !== undefined ? node.actual.bytes / MB : null;
+      }
+      return (node.rows * node.width) / MB;
+    }),
+  },
+  query_temp_blocks_to_disk: {
+    label: 'Memory spilled to disk (MB)',
+    measure: (plan, source) => {
+      if (source !== 'runtime') {
+        return null;
+      }
+      const spilled = nodesWhere(plan, node => node.actual && node.actual.diskBased);
+      const worst = largest(spilled, node => (node.actual.bytes || 0) / MB);
+      return { value: spilled.reduce((sum, node) => sum + (node.actual.bytes || 0) / MB, 0), nodeId: worst ? worst.nodeId : null };
+    },
+  },
+  segment_execution_time: {
+    label: 'Segment execution time (s)',
+    measure: (plan, source) => source === 'runtime'
+      ? largest(nodesWhere(plan, node => node.actual), node => node.actual.elapsedMicros / 1000000)
+      : null,
+  },
+  query_execution_time: { label: 'Query execution time (s)', measure: () => null },
+  query_queue_time: { label: 'Query queue time (s)', measure: () => null },
+  query_cpu_time: { label: 'Query CPU time (s)', measure: () => null },
+  query_cpu_usage_percent: { label: 'CPU usage (%)', measure: () => null },
+  query_blocks_read: { label: 'Blocks read', measure: () => null },
+  cpu_skew: { label: 'CPU skew', measure: () => null },
+  io_skew: { label: 'I/O skew', measure: () => null },
+};
+
+export function createQmrRule(name = 'New rule') {
+  return { name, queue: null, predicates: [{ metric: 'nested_loop_join_row_count', operator: '>', value: 1000000 }], action: 'log', priority: null };
+}
+
+function readRule(rule, queue) {
+  if (!rule || typeof rule.rule_name !== 'string' || !Array.isArray(rule.predicate)) {
+    throw new Error('Every QMR rule needs a "rule_name" and a "predicate" list.');
+  }
+  if (!QMR_ACTIONS.includes(rule.action)) {
+    throw new Error(`Rule "${rule.rule_name}" has an unknown action "${rule.action}". Use one of ${QMR_ACTIONS.join(', ')}.`);
+  }
+  const predicates = rule.predicate.map(predicate => {
+    const value = Number(predicate.value);
+    if (!QMR_OPERATORS.includes(predicate.operator) || Number.isNaN(value) || typeof predicate.metric_name !== 'string') {
+      throw new Error(`Rule "${rule.rule_name}" has an invalid predicate: ${JSON.stringify(predicate)}.`);
+    }
+    return { metric: predicate.metric_name, operator: predicate.operator, value };
+  });
+  return { name: rule.rule_name, queue, predicates, action: rule.action, priority: rule.action === 'change_query_priority' ? rule.value || null : null };
+}
+
+// The QMR rules of every queue in a wlm_json_configuration (a list of queues, a
+// single queue, or a bare list of rules)
+export function parseWlmConfig(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Could not read the WLM configuration: ${e.message}`);
+  }
+  const items = Array.isArray(config) ? config : [config];
+  if (items.every(item => item && item.rule_name)) {
+    return items.map(rule => readRule(rule, null));
+  }
+  return items.flatMap((queue, index) => (queue && Array.isArray(queue.rules) ? queue.rules : [])
+    .map(rule => readRule(rule, queue.name || `Queue ${index + 1}`)));
+}
+
+function holds(measured, { operator, value }) {
+  if (operator === '>') return measured > value;
+  if (operator === '<') return measured < value;
+  return measured === value;
+}
+
+// One result per rule: { rule, status, nodeId, predicates } where `status` is 'fires',
+// 'clear' or 'unknown' (no predicate fails, but some cannot be measured), and
+// `nodeId` is the node behind the first predicate that holds
+export function evaluateQmrRules(plan, rules, source = 'estimates') {
+  return rules.map(rule => {
+    const predicates = rule.predicates.map(predicate => {
+      const metric = QMR_METRICS[predicate.metric];
+      const measured = metric ? metric.measure(plan, source) : null;
+      return {
+        ...predicate,
+        measured: measured ? measured.value : null,
+        nodeId: measured ? measured.nodeId : null,
+        met: measured ? holds(measured.value, predicate) : null,
+      };
+    });
+    let status = 'unknown';
+    if (predicates.some(predicate => predicate.met === false)) {
+      status = 'clear';
+    } else if (predicates.every(predicate => predicate.met)) {
+      status = 'fires';
+    }
+    const trigger = predicates.find(predicate => predicate.met && predicate.nodeId);
+    return { rule, status, nodeId: trigger ? trigger.nodeId : null, predicates };
+  });
+}
+
+// The firing result WLM would act on: the one with the most severe action
+export function decisiveResult(results) {
+  return results
+    .filter(result => result.status === 'fires')
+    .reduce((worst, result) => !worst || QMR_ACTIONS.indexOf(result.rule.action) > QMR_ACTIONS.indexOf(worst.rule.action) ? result : worst, null);
+}
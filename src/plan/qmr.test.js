@@ -0,0 +1,103 @@
+import { parsePlan } from './parsePlan.js';
+import { decisiveResult, evaluateQmrRules, parseWlmConfig } from './qmr.js';
+
+const PLAN = `XN Nested Loop DS_BCAST_INNER  (cost=0.00..90000.00 rows=5000000 width=32)
+  ->  XN Seq Scan on sales  (cost=0.00..1000.00 rows=100000 width=16)
+  ->  XN S3 Query Scan ext  (cost=0.00..40000.00 rows=2000000 width=16)
+        ->  S3 Seq Scan spectrum.ext location:"s3://bucket/ext" format:PARQUET  (cost=0.00..20000.00 rows=3000000 width=16)`;
+
+const WLM_CONFIG = JSON.stringify([
+  {
+    name: 'etl',
+    query_concurrency: 5,
+    rules: [
+      { rule_name: 'abort_nested_loops', predicate: [{ metric_name: 'nested_loop_join_row_count', operator: '>', value: 1000000 }], action: 'abort' },
+      { rule_name: 'log_big_returns', predicate: [{ metric_name: 'return_row_count', operator: '>', value: '100' }, { metric_name: 'scan_row_count', operator: '>', value: 50000 }], action: 'log' },
+    ],
+  },
+  {
+    query_concurrency: 5,
+    rules: [
+      { rule_name: 'lower_spills', predicate: [{ metric_name: 'query_temp_blocks_to_disk', operator: '>', value: 100 }], action: 'change_query_priority', value: 'lowest' },
+    ],
+  },
+  { short_query_queue: true },
+]);
+
+describe('parseWlmConfig', () => {
+  test('reads the rules of every queue', () => {
+    const rules = parseWlmConfig(WLM_CONFIG);
+    expect(rules.map(rule => [rule.name, rule.queue, rule.action])).toEqual([
+      ['abort_nested_loops', 'etl', 'abort'],
+      ['log_big_returns', 'etl', 'log'],
+      ['lower_spills', 'Queue 2', 'change_query_priority'],
+    ]);
+    expect(rules[1].predicates[0]).toEqual({ metric: 'return_row_count', operator: '>', value: 100 });
+    expect(rules[2].priority).toBe('lowest');
+  });
+
+  test('accepts a bare list of rules', () => {
+    const rules = parseWlmConfig('[{"rule_name":"r","predicate":[{"metric_name":"return_row_count","operator":"<","value":1}],"action":"hop"}]');
+    expect(rules).toEqual([{ name: 'r', queue: null, predicates: [{ metric: 'return_row_count', operator: '<', value: 1 }], action: 'hop', priority: null }]);
+  });
+
+  test('rejects invalid JSON, actions and predicates', () => {
+    expect(() => parseWlmConfig('{')).toThrow(/Could not read/);
+    expect(() => parseWlmConfig('[{"rule_name":"r","predicate":[],"action":"kill"}]')).toThrow(/unknown action "kill"/);
+    expect(() => parseWlmConfig('[{"rule_name":"r","predicate":[{"metric_name":"x","operator":">=","value":1}],"action":"log"}]')).toThrow(/invalid predicate/);
+  });
+});
+
+describe('evaluateQmrRules', () => {
+  const plan = parsePlan(PLAN);
+  const rules = parseWlmConfig(WLM_CONFIG);
+
+  test('measures the metrics from the plan estimates and names the node behind them', () => {
+    const [nestedLoops, bigReturns, spills] = evaluateQmrRules(plan, rules);
+    expect(nestedLoops).toMatchObject({ status: 'fires', nodeId: 'node0' });
+    expect(bigReturns.status).toBe('fires');
+    expect(bigReturns.predicates.map(predicate => [predicate.measured, predicate.nodeId])).toEqual([[5000000, 'node0'], [100000, 'node1']]);
+    // Spills are only known once the query has run
+    expect(spills).toMatchObject({ status: 'unknown', nodeId: null });
+    expect(spills.predicates[0].met).toBeNull();
+  });
+
+  test('measures Spectrum scans at the S3 Seq Scan, not the step that receives its rows', () => {
+    const [rowCount, size] = evaluateQmrRules(plan, [
+      { name: 'rows', predicates: [{ metric: 'spectrum_scan_row_count', operator: '>', value: 2500000 }], action: 'log' },
+      { name: 'size', predicates: [{ metric: 'spectrum_scan_size_mb', operator: '>', value: 100 }], action: 'log' },
+    ]);
+    expect(rowCount).toMatchObject({ status: 'fires', nodeId: 'node3' });
+    expect(size.status).toBe('clear');
+    expect(size.predicates[0].measured).toBeCloseTo(45.78, 2);
+  });
+
+  test('measures from the runtime statistics attached to the nodes', () => {
+    const ran = parsePlan(PLAN);
+    ran.nodes.node0.actual = { rows: 500000, bytes: 0, elapsedMicros: 9000000, diskBased: false };
+    ran.nodes.node1.actual = { rows: 100000, bytes: 300 * 1024 * 1024, elapsedMicros: 2000000, diskBased: true };
+    const [nestedLoops, , spills] = evaluateQmrRules(ran, rules, 'runtime');
+    expect(nestedLoops).toMatchObject({ status: 'clear', nodeId: null });
+    expect(spills).toMatchObject({ status: 'fires', nodeId: 'node1' });
+    expect(spills.predicates[0].measured).toBe(300);
+    const [slowSegment] = evaluateQmrRules(ran, [{ name: 'slow', predicates: [{ metric: 'segment_execution_time', operator: '>', value: 5 }], action: 'hop' }], 'runtime');
+    expect(slowSegment).toMatchObject({ status: 'fires', nodeId: 'node0' });
+  });
+
+  test('a failing predicate clears a rule even when another cannot be measured', () => {
+    const [result] = evaluateQmrRules(plan, [{
+      name: 'mixed',
+      predicates: [{ metric: 'query_cpu_time', operator: '>', value: 10 }, { metric: 'return_row_count', operator: '<', value: 10 }],
+      action: 'abort',
+    }]);
+    expect(result.status).toBe('clear');
+    expect(result.predicates.map(predicate => predicate.met)).toEqual([null, false]);
+  });
+
+  test('picks the most severe action among the rules that fire', () => {
+    const results = evaluateQmrRules(plan, rules);
+    expect(decisiveResult(results).rule.name).toBe('abort_nested_loops');
+    expect(decisiveResult(results.filter(result => result.rule.action !== 'abort')).rule.name).toBe('log_big_returns');
+    expect(decisiveResult([])).toBeNull();
+  });
+});
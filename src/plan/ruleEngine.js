@@ -0,0 +1,89 @@
+import { coreRules } from './rules/coreRules.js';
+import { dataMovementRules } from './rules/dataMovementRules.js';
+import { tableDesignRules } from './rules/tableDesignRules.js';
+import { externalRules } from './rules/externalRules.js';
+import { postgresRules } from './rules/postgresRules.js';
+
+// Rule registry and runner for the Performance Analysis list.
+//
+// A rule is { id, title, type, severity, params, match, message, fix? }. `params`
+// describes the tunable thresholds with their defaults and lowest sensible values
+// (`min`, 0 when left out); user settings of the form
+// { [ruleId]: { enabled, severity, params } } override them per rule. The optional
+// `fix(node, values, context)` returns remediation suggestions (see rules/fixes.js).
+// Rules check Redshift plans unless they set `dialect: 'postgres'`.
+
+export const SEVERITIES = ['info', 'low', 'medium', 'high'];
+
+const registry = new Map();
+
+export function registerRule(rule) {
+  if (!rule.id || typeof rule.match !== 'function' || !rule.message) {
+    throw new Error(`Rule ${rule.id || '(unnamed)'} needs an id, a match function and a message template.`);
+  }
+  registry.set(rule.id, rule);
+}
+
+export function getRules() {
+  return [...registry.values()];
+}
+
+[...coreRules, ...dataMovementRules, ...tableDesignRules, ...externalRules, ...postgresRules].forEach(registerRule);
+
+export function ruleDialect(rule) {
+  return rule.dialect || 'redshift';
+}
+
+export function defaultRuleSettings(rule) {
+  const params = {};
+  for (const name in rule.params) {
+    params[name] = rule.params[name].default;
+  }
+  return { enabled: true, severity: rule.severity, params };
+}
+
+export function resolveRuleSettings(rule, settings = {}) {
+  const defaults = defaultRuleSettings(rule);
+  const overrides = settings[rule.id] || {};
+  return {
+    enabled: overrides.enabled !== undefined ? overrides.enabled : defaults.enabled,
+    severity: SEVERITIES.includes(overrides.severity) ? overrides.severity : defaults.severity,
+    params: { ...defaults.params, ...overrides.params },
+  };
+}
+
+// Fills `{name}` placeholders; unknown placeholders are left as they are.
+export function formatMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] !== undefined ? String(values[name]) : placeholder);
+}
+
+// Runs every enabled rule against every node. A rule fires at most once per node,
+// but the same rule can fire on as many nodes as match it.
+export function analyzePerformanceWarnings(plan, settings = {}, context = {}) {
+  const warnings = [];
+  const rules = getRules()
+    .map(rule => ({ rule, resolved: resolveRuleSettings(rule, settings) }))
+    .filter(({ rule, resolved }) => resolved.enabled && ruleDialect(rule) === (plan.dialect || 'redshift'));
+
+  for (const nodeId of plan.order) {
+    const node = plan.nodes[nodeId];
+    for (const { rule, resolved } of rules) {
+      const ruleContext = { ...context, plan };
+      const values = rule.match(node, resolved.params, ruleContext);
+      if (!values) {
+        continue;
+      }
+      warnings.push({
+        ruleId: rule.id,
+        type: rule.type,
+        severity: resolved.severity,
+        message: formatMessage(rule.message, values === true ? {} : values),
+        nodeId,
+        fixes: rule.fix ? rule.fix(node, values === true ? {} : values, ruleContext).filter(Boolean) : [],
+      });
+    }
+  }
+
+  return warnings;
+}
@@ -0,0 +1,71 @@
+import { parsePlan } from './parsePlan.js';
+import { analyzePerformanceWarnings, formatMessage, getRules, registerRule, resolveRuleSettings } from './ruleEngine.js';
+
+const PLAN = `XN Hash Join DS_DIST_NONE  (cost=0.00..300.00 rows=50000 width=8)
+  Hash Cond: ("outer".id = "inner".id)
+  ->  XN Seq Scan on orders  (cost=0.00..100.00 rows=50000 width=4)
+  ->  XN Hash  (cost=0.00..80.00 rows=20000 width=4)
+        ->  XN Seq Scan on orders  (cost=0.00..80.00 rows=20000 width=4)`;
+
+function warningsFor(ruleId, settings) {
+  return analyzePerformanceWarnings(parsePlan(PLAN), settings).filter(warning => warning.ruleId === ruleId);
+}
+
+describe('analyzePerformanceWarnings', () => {
+  test('reports a rule once per matching node, even with identical messages', () => {
+    const scans = warningsFor('large-seq-scan', {
+      'large-seq-scan': { params: { minRows: 1000 } },
+    });
+    expect(scans.map(warning => warning.nodeId)).toEqual(['node1', 'node3']);
+  });
+
+  test('applies threshold overrides', () => {
+    expect(warningsFor('large-seq-scan')).toHaveLength(2);
+    expect(warningsFor('large-seq-scan', { 'large-seq-scan': { params: { minRows: 30000 } } })).toHaveLength(1);
+  });
+
+  test('skips disabled rules and applies severity overrides', () => {
+    expect(warningsFor('large-seq-scan', { 'large-seq-scan': { enabled: false } })).toHaveLength(0);
+    const [warning] = warningsFor('expensive-hash', { 'expensive-hash': { severity: 'low' } });
+    expect(warning).toMatchObject({ nodeId: 'node0', severity: 'low' });
+    expect(warning.message).toContain('exclusive cost: 120.00');
+  });
+
+  test('skips the row estimate rule on plans without runtime statistics, whatever the threshold', () => {
+    expect(warningsFor('row-estimate-miss', { 'row-estimate-miss': { params: { minFactor: 1 } } })).toEqual([]);
+    expect(warningsFor('row-estimate-miss', { 'row-estimate-miss': { params: { minFactor: 0 } } })).toEqual([]);
+  });
+});
+
+describe('rule registry', () => {
+  test('accepts custom rules', () => {
+    registerRule({
+      id: 'test-orders-scan',
+      title: 'Scan on orders',
+      type: 'info',
+      severity: 'info',
+      params: {},
+      match: node => node.relation === 'orders' && { relation: node.relation },
+      message: 'Scan on {relation}',
+    });
+    expect(getRules().map(rule => rule.id)).toContain('test-orders-scan');
+    expect(warningsFor('test-orders-scan').map(warning => warning.message)).toEqual(['Scan on orders', 'Scan on orders']);
+  });
+
+  test('rejects rules without a matcher', () => {
+    expect(() => registerRule({ id: 'broken', message: 'x' })).toThrow(/match function/);
+  });
+
+  test('falls back to defaults for unknown settings', () => {
+    const rule = getRules().find(candidate => candidate.id === 'large-seq-scan');
+    expect(resolveRuleSettings(rule, { 'large-seq-scan': { severity: 'bogus' } })).toEqual({
+      enabled: true,
+      severity: 'medium',
+      params: { minRows: 10000 },
+    });
+  });
+});
+
+test('formatMessage fills placeholders and leaves unknown ones', () => {
+  expect(formatMessage('{a} and {b}', { a: 1 })).toBe('1 and {b}');
+});
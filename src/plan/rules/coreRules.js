@@ -0,0 +1,121 @@
+import { getPredicates } from '../parsePlan.js';
+import { rowEstimateError } from '../runtimeStats.js';
+import { isScan, tablesUnder } from '../joins.js';
+import { missingStatisticsFor } from '../planMetadata.js';
+import { externalSource } from '../externalSources.js';
+import { lookupTable } from '../tableMetadata.js';
+import { rangeFilterColumns } from './tableDesignRules.js';
+import { analyzeFix, equiJoinFix, sortKeyFix, suggestion, vacuumSortFix } from './fixes.js';
+
+// Built-in rules. `match(node, params, context)` returns false when the rule does
+// not apply, or the values to fill into the rule's `message` template. Spectrum and
+// federated steps run outside the cluster and are left to externalRules.
+
+// A sort key on the filtered column, or a re-sort when the table already has one
+function scanFixes(node, tables) {
+  const columns = getPredicates(node, 'Filter').flatMap(rangeFilterColumns);
+  if (!node.relation || columns.length === 0) {
+    return [];
+  }
+  const table = lookupTable(tables, node.relation);
+  if (table && table.sortKey.some(column => columns.includes(column))) {
+    return [vacuumSortFix(node.relation)];
+  }
+  return [sortKeyFix(node.relation, columns.slice(0, 1))];
+}
+
+export const coreRules = [
+  {
+    id: 'nested-loop',
+    title: 'Nested Loop join',
+    type: 'warning',
+    severity: 'high',
+    params: {},
+    match: node => node.operator.startsWith('Nested Loop'),
+    fix: (node, values, { plan, tables }) => [equiJoinFix(plan, node, tables)],
+    message: '⚠️ Nested Loop join detected. This can be very slow if the inner table is large. Consider adding proper join conditions or indexes. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_Nested_loop_join.html)',
+  },
+  {
+    id: 'large-seq-scan',
+    title: 'Large Seq Scan',
+    type: 'warning',
+    severity: 'medium',
+    params: {
+      minRows: { label: 'Minimum estimated rows', min: 0, default: 10000 },
+    },
+    match: (node, { minRows }) => node.operator.includes('Seq Scan') && !externalSource(node) && node.rows > minRows && {
+      rows: node.rows.toLocaleString(),
+    },
+    fix: (node, values, { tables }) => scanFixes(node, tables),
+    message: '⚠️ Large Seq Scan detected ({rows} rows). Consider adding a sort key or filter conditions to reduce the scan size. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/t_Analyzing_tables.html)',
+  },
+  {
+    id: 'expensive-hash',
+    title: 'Expensive Hash operation',
+    type: 'warning',
+    severity: 'medium',
+    params: {
+      minExclusiveCost: { label: 'Minimum exclusive cost', min: 0, default: 50 },
+    },
+    match: (node, { minExclusiveCost }) => node.operator.includes('Hash') && !externalSource(node) && node.exclusiveCost > minExclusiveCost && {
+      exclusiveCost: node.exclusiveCost.toFixed(2),
+    },
+    message: '⚠️ Expensive Hash operation detected (exclusive cost: {exclusiveCost}). Consider if this hash step is necessary or if the data can be pre-sorted. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_Hash_join.html)',
+  },
+  {
+    id: 'row-estimate-miss',
+    title: 'Row estimate far from actual rows',
+    type: 'warning',
+    severity: 'high',
+    params: {
+      minFactor: { label: 'Minimum estimate error (x)', min: 1, default: 10 },
+    },
+    match: (node, { minFactor }) => {
+      // Without runtime statistics there is nothing to compare the estimate with
+      if (!node.actual) {
+        return false;
+      }
+      const estimateError = rowEstimateError(node);
+      return estimateError >= minFactor && {
+        factor: Math.round(estimateError).toLocaleString(),
+        estimated: node.rows.toLocaleString(),
+        actual: node.actual.rows.toLocaleString(),
+      };
+    },
+    fix: (node, values, { plan }) => {
+      const relations = tablesUnder(plan, node.id).map(table => table.relation);
+      return relations.length > 0 ? [analyzeFix(relations)] : [];
+    },
+    message: '⚠️ Row estimate off by {factor}x (estimated {estimated}, actual {actual}). The table statistics are probably stale; run ANALYZE on the tables feeding this step. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/t_Analyzing_tables.html)',
+  },
+  {
+    id: 'missing-statistics',
+    title: 'Scan of a table missing statistics',
+    type: 'warning',
+    severity: 'high',
+    params: {},
+    match: (node, params, { plan }) => {
+      const table = isScan(node) && missingStatisticsFor(plan, node.relation);
+      return Boolean(table) && { table };
+    },
+    fix: (node, { table }) => [analyzeFix([table])],
+    message: '⚠️ Redshift reports that {table} is missing statistics, so the row estimates for this scan and everything above it are guesses. Run ANALYZE {table}; to update them. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/t_Analyzing_tables.html)',
+  },
+  {
+    id: 'disk-spill',
+    title: 'Step spilled to disk',
+    type: 'warning',
+    severity: 'high',
+    params: {},
+    match: node => Boolean(node.actual && node.actual.diskBased) && {
+      segment: node.actual.segment,
+      step: node.actual.step,
+    },
+    fix: () => [suggestion(
+      'Run the query with two WLM slots',
+      'SET wlm_query_slot_count TO 2;\n-- run the query here\nSET wlm_query_slot_count TO 1;',
+      'Gives the query the memory of two slots in its WLM queue, so this step can keep its hash table or sort in memory instead of writing it to disk.',
+    )],
+    message: '⚠️ Step spilled to disk (segment {segment}, step {step}). Give the query more memory through WLM or reduce the rows reaching this step. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c-review-query-summary.html)',
+  },
+];
@@ -0,0 +1,134 @@
+import { describeJoin, formatJoinKeys, formatJoinSides } from '../joins.js';
+import { distKeyFix, distStyleFix } from './fixes.js';
+
+// One rule per distribution attribute Redshift prints on a join. Severity follows
+// how much data the step moves between slices: nothing (DS_DIST_NONE), one side
+// redistributed, one side broadcast, up to both sides moved.
+
+const LEARN_MORE = '[Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_data_redistribution.html)';
+
+// The base table a DISTKEY change on the join key applies to for one input: the key's
+// own table, or the input's only table. Null when the key does not name its table and
+// the input is an intermediate result of several tables (or of none).
+function distKeyTable(join, key, side) {
+  const tables = side === 'outer' ? join.outerTables : join.innerTables;
+  return key[side].table || (tables.length === 1 ? tables[0].relation : null);
+}
+
+// Advice naming the DISTKEY choice that co-locates both inputs on the first join key
+function distKeyAdvice(join, sides) {
+  if (join.keys.length === 0) {
+    return 'Add an equality join condition first; without one the join cannot be co-located.';
+  }
+  const [key] = join.keys;
+  const known = sides.filter(side => distKeyTable(join, key, side));
+  if (known.length === 0) {
+    const tables = formatJoinSides(join);
+    const inputs = sides.map(side => `${tables[side]} (${side})`).join(' and ');
+    return `No DISTKEY change is suggested, since the moved input${sides.length > 1 ? 's are' : ' is'} not a single table: ${inputs}.`;
+  }
+  const changes = known.map(side => `DISTKEY(${key[side].column}) on ${distKeyTable(join, key, side)}`);
+  // With one input still an intermediate result, the join keeps moving that side
+  const outcome = known.length === sides.length ? ' and the join becomes DS_DIST_NONE' : '';
+  return `Use ${changes.join(' and ')} so matching rows share a slice${outcome}.`;
+}
+
+// DISTKEY changes on the first join key for the moved sides whose table is known
+function distKeyFixes(join, sides) {
+  if (join.keys.length === 0) {
+    return [];
+  }
+  const [key] = join.keys;
+  return sides.map(side => {
+    const table = distKeyTable(join, key, side);
+    return table && distKeyFix(table, key[side].column);
+  });
+}
+
+// A small inner table that is broadcast on every run can be copied to every node once instead
+function broadcastFix(join) {
+  const inner = join.innerTables.length === 1 && join.innerTables[0].relation;
+  return inner && distStyleFix(inner, 'ALL', `Stores a full copy of ${inner} on every node, so the join no longer broadcasts it (DS_DIST_ALL_NONE). Only worth it for small tables that change rarely, since every load writes to all nodes.`);
+}
+
+function dataMovementRule({ distribution, severity, type = 'warning', summary, sides, broadcast = false }) {
+  return {
+    id: `dist-${distribution.toLowerCase().replace(/_/g, '-')}`,
+    title: `${distribution} join`,
+    type,
+    severity,
+    params: {},
+    match: (node, params, { plan }) => {
+      if (node.distribution !== distribution) {
+        return false;
+      }
+      const join = describeJoin(plan, node);
+      const { outer, inner } = formatJoinSides(join);
+      return {
+        keys: formatJoinKeys(join),
+        outer,
+        inner,
+        advice: sides.length > 0 ? ` ${distKeyAdvice(join, sides)}` : '',
+      };
+    },
+    fix: (node, values, { plan }) => {
+      const join = describeJoin(plan, node);
+      return [...distKeyFixes(join, sides), ...(broadcast ? [broadcastFix(join)] : [])];
+    },
+    message: `${type === 'info' ? 'ℹ️' : '⚠️'} ${distribution}: ${summary} Join on {keys} between {outer} (outer) and {inner} (inner).{advice} ${LEARN_MORE}`,
+  };
+}
+
+export const dataMovementRules = [
+  dataMovementRule({
+    distribution: 'DS_DIST_NONE',
+    severity: 'info',
+    type: 'info',
+    summary: 'no data is redistributed; both inputs are already co-located on the join key.',
+    sides: [],
+  }),
+  dataMovementRule({
+    distribution: 'DS_DIST_ALL_NONE',
+    severity: 'info',
+    type: 'info',
+    summary: 'no data is redistributed because the inner table uses DISTSTYLE ALL.',
+    sides: [],
+  }),
+  dataMovementRule({
+    distribution: 'DS_DIST_INNER',
+    severity: 'medium',
+    summary: 'the inner table is redistributed across the slices.',
+    sides: ['inner'],
+  }),
+  dataMovementRule({
+    distribution: 'DS_DIST_OUTER',
+    severity: 'medium',
+    summary: 'the outer table is redistributed across the slices.',
+    sides: ['outer'],
+  }),
+  dataMovementRule({
+    distribution: 'DS_BCAST_INNER',
+    severity: 'medium',
+    summary: 'a copy of the whole inner table is broadcast to every compute node. This is only cheap when the inner table is small.',
+    sides: ['outer', 'inner'],
+    broadcast: true,
+  }),
+  dataMovementRule({
+    distribution: 'DS_DIST_ALL_INNER',
+    severity: 'high',
+    summary: 'the entire inner table is sent to a single slice because the outer table uses DISTSTYLE ALL.',
+    sides: ['outer', 'inner'],
+  }),
+  dataMovementRule({
+    distribution: 'DS_DIST_BOTH',
+    severity: 'high',
+    summary: 'both the inner and the outer table are redistributed.',
+    sides: ['outer', 'inner'],
+  }),
+  dataMovementRule({
+    distribution: 'DS_BCAST_BOTH',
+    severity: 'high',
+    summary: 'both the inner and the outer table are broadcast to every compute node.',
+    sides: ['outer', 'inner'],
+  }),
+];
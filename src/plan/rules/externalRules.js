@@ -0,0 +1,106 @@
+import { getPredicates } from '../parsePlan.js';
+import { describeSource, isAggregate, isExternalBoundary, partitionInfoFor, subtreeIds } from '../externalSources.js';
+import { suggestion } from './fixes.js';
+
+function splitRelation(relation) {
+  const parts = relation.split('.');
+  const table = parts.pop();
+  return { schema: parts.length > 0 ? parts.join('.') : null, table };
+}
+
+// Rules for Redshift Spectrum and federated query steps.
+
+export const externalRules = [
+  {
+    id: 'spectrum-partition-pruning',
+    title: 'Spectrum scan without partition pruning',
+    type: 'warning',
+    severity: 'medium',
+    params: {
+      minRows: { label: 'Minimum estimated rows', min: 0, default: 1000000 },
+    },
+    match: (node, { minRows }, { plan }) => {
+      if (node.operator !== 'S3 Seq Scan' || node.rows < minRows) {
+        return false;
+      }
+      const partitionInfo = partitionInfoFor(plan, node);
+      if (partitionInfo && getPredicates(partitionInfo, 'Filter').length > 0) {
+        return false;
+      }
+      return {
+        relation: node.relation,
+        rows: node.rows.toLocaleString(),
+        reason: partitionInfo
+          ? 'the partition list is not filtered, so every partition is read'
+          : 'the plan has no Partition Loop, so the table is not partitioned or the query does not filter on a partition column',
+      };
+    },
+    fix: node => {
+      const { schema, table } = splitRelation(node.relation);
+      return [suggestion(
+        `List the partitions of ${node.relation}`,
+        `SELECT "values", location\nFROM svv_external_partitions\nWHERE ${schema ? `schemaname = '${schema}' AND ` : ''}tablename = '${table}';`,
+        'Shows the partition columns\' values, so you can add a WHERE clause on them. Spectrum then reads only the matching S3 prefixes instead of every file of the table.',
+      )];
+    },
+    message: '⚠️ Spectrum scan of {relation} reads {rows} rows from S3 without partition pruning: {reason}. Partition the table on the columns you filter by and filter on them directly. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c-spectrum-external-tables.html#c-spectrum-external-tables-partitioning)',
+  },
+  {
+    id: 'spectrum-aggregation-not-pushed-down',
+    title: 'Aggregation not pushed down to Spectrum',
+    type: 'warning',
+    severity: 'medium',
+    params: {},
+    match: (node, params, { plan }) => {
+      if (node.operator !== 'S3 Query Scan') {
+        return false;
+      }
+      if (subtreeIds(plan, node.id).some(id => isAggregate(plan.nodes[id]))) {
+        return false;
+      }
+      let aggregate = null;
+      for (let id = node.parentId; id && !aggregate; id = plan.nodes[id].parentId) {
+        aggregate = isAggregate(plan.nodes[id]) ? plan.nodes[id] : null;
+      }
+      return Boolean(aggregate) && {
+        relation: node.relation,
+        rows: node.rows.toLocaleString(),
+        aggregate: aggregate.operator,
+      };
+    },
+    fix: (node, values, { plan }) => {
+      // The S3 Seq Scan under the query scan carries the external table's full name
+      const scan = subtreeIds(plan, node.id).map(id => plan.nodes[id]).find(child => child.operator === 'S3 Seq Scan');
+      const relation = scan ? scan.relation : node.relation;
+      const name = `${splitRelation(relation).table}_agg`;
+      return [suggestion(
+        `Aggregate ${relation} before the join`,
+        [
+          `WITH ${name} AS (`,
+          '  SELECT <group by columns>, SUM(<measure>) AS <measure>',
+          `  FROM ${relation}`,
+          '  GROUP BY <group by columns>',
+          ')',
+          `-- then join ${name} instead of ${relation}`,
+        ].join('\n'),
+        'Spectrum runs the aggregation in the S3 layer, so only one row per group crosses into the cluster instead of every row of the external table.',
+      )];
+    },
+    message: '⚠️ The {aggregate} above the Spectrum scan of {relation} runs in the cluster, so all {rows} rows come back from S3 first. Aggregate the external table in a subquery before joining it so Spectrum can run the aggregation. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c-spectrum-external-performance.html)',
+  },
+  {
+    id: 'external-large-transfer',
+    title: 'Large row count entering the cluster from S3 or a remote database',
+    type: 'warning',
+    severity: 'high',
+    params: {
+      minRows: { label: 'Minimum estimated rows', min: 0, default: 1000000 },
+    },
+    match: (node, { minRows }) => isExternalBoundary(node) && node.rows >= minRows && {
+      rows: node.rows.toLocaleString(),
+      relation: node.relation,
+      source: describeSource(node.operator === 'S3 Query Scan' ? 's3' : 'remote'),
+    },
+    message: '⚠️ {rows} rows of {relation} cross from {source} into the cluster. Filter or aggregate the external data so less of it is transferred. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c-spectrum-external-performance.html)',
+  },
+];
@@ -0,0 +1,107 @@
+import { getPredicates } from '../parsePlan.js';
+import { tablesUnder } from '../joins.js';
+import { lookupTable } from '../tableMetadata.js';
+
+// Remediation suggestions offered with a warning: { title, sql, explanation } where
+// `sql` is DDL or a query rewrite built from the plan's real table and column names.
+// Rules return them from their optional `fix(node, values, context)`.
+
+export function suggestion(title, sql, explanation) {
+  return { title, sql, explanation };
+}
+
+export function analyzeFix(tables) {
+  const unique = [...new Set(tables)];
+  return suggestion(
+    `Refresh statistics on ${unique.join(', ')}`,
+    unique.map(table => `ANALYZE ${table};`).join('\n'),
+    'Updates the table statistics the planner estimates row counts from, so the join order, join types and data distribution it picks follow the real data.',
+  );
+}
+
+export function distKeyFix(table, column) {
+  return suggestion(
+    `Distribute ${table} on ${column}`,
+    `ALTER TABLE ${table} ALTER DISTKEY ${column};`,
+    `Stores rows with the same ${column} on the same slice, so joins on ${column} find their matching rows locally instead of redistributing or broadcasting them.`,
+  );
+}
+
+export function sortKeyFix(table, columns) {
+  return suggestion(
+    `Sort ${table} on ${columns.join(', ')}`,
+    `ALTER TABLE ${table} ALTER SORTKEY (${columns.join(', ')});`,
+    `Lets the zone maps skip every block whose ${columns[0]} range lies outside the filter, so the scan reads fewer blocks. Redshift re-sorts the table in the background.`,
+  );
+}
+
+export function vacuumSortFix(table) {
+  return suggestion(
+    `Re-sort ${table}`,
+    `VACUUM SORT ONLY ${table};`,
+    'Sorts rows loaded since the last vacuum into sort key order, so the zone maps stay selective for range filters.',
+  );
+}
+
+export function distStyleFix(table, style, explanation) {
+  return suggestion(`Use DISTSTYLE ${style} for ${table}`, `ALTER TABLE ${table} ALTER DISTSTYLE ${style};`, explanation);
+}
+
+function tableReference({ relation, alias }) {
+  return alias && alias !== relation ? `${relation} ${alias}` : relation;
+}
+
+function qualifierOf({ relation, alias }) {
+  return alias || relation;
+}
+
+// Column pair to join on: a column both tables have according to the metadata
+// (their DISTKEY first, then *_id columns), else the columns of each table that the
+// existing Join Filter compares.
+function guessJoinColumns(outer, inner, joinFilters, metadata) {
+  const outerTable = lookupTable(metadata, outer.relation);
+  const innerTable = lookupTable(metadata, inner.relation);
+  if (outerTable && innerTable) {
+    const shared = outerTable.columns.filter(column => innerTable.columns.includes(column));
+    const preferred = shared.find(column => column === outerTable.distKey || column === innerTable.distKey)
+      || shared.find(column => column.endsWith('_id'))
+      || shared[0];
+    if (preferred) {
+      return { outer: preferred, inner: preferred };
+    }
+  }
+  const referenced = side => {
+    const qualifiers = [side.alias, side.relation, side.relation.split('.').pop()].filter(Boolean);
+    for (const expression of joinFilters) {
+      const referenceRegex = /"?([\w$]+)"?\."?([\w$]+)"?/g;
+      let match;
+      while ((match = referenceRegex.exec(expression)) !== null) {
+        if (qualifiers.includes(match[1])) {
+          return match[2];
+        }
+      }
+    }
+    return null;
+  };
+  return { outer: referenced(outer) || '<column>', inner: referenced(inner) || '<column>' };
+}
+
+// Rewrite of a nested-loop join between the first table under each input into an equi-join
+export function equiJoinFix(plan, node, metadata) {
+  const [outerId, innerId] = node.children;
+  const outer = outerId && tablesUnder(plan, outerId)[0];
+  const inner = innerId && tablesUnder(plan, innerId)[0];
+  if (!outer || !inner) {
+    return null;
+  }
+  const columns = guessJoinColumns(outer, inner, getPredicates(node, 'Join Filter'), metadata);
+  return suggestion(
+    `Join ${outer.relation} and ${inner.relation} on an equality`,
+    [
+      `-- Add the missing equality predicate between ${outer.relation} and ${inner.relation}`,
+      `FROM ${tableReference(outer)}`,
+      `JOIN ${tableReference(inner)} ON ${qualifierOf(outer)}.${columns.outer} = ${qualifierOf(inner)}.${columns.inner}`,
+    ].join('\n'),
+    'With an equality predicate the planner can build a Hash Join or Merge Join that matches rows by key, instead of a Nested Loop that compares every outer row with every inner row.',
+  );
+}
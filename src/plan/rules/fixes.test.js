@@ -0,0 +1,81 @@
+import { parsePlan } from '../parsePlan.js';
+import { analyzePerformanceWarnings } from '../ruleEngine.js';
+import { parseTableMetadata } from '../tableMetadata.js';
+
+const TABLES = parseTableMetadata(`CREATE TABLE public.orders (
+  order_id BIGINT,
+  customer_id INTEGER,
+  order_date DATE
+)
+DISTKEY (order_id)
+COMPOUND SORTKEY (order_id);
+
+CREATE TABLE public.customers (
+  customer_id INTEGER,
+  region VARCHAR(20)
+)
+DISTKEY (customer_id);`);
+
+function fixesFor(planText, ruleId, tables) {
+  const warning = analyzePerformanceWarnings(parsePlan(planText), {}, { tables }).find(candidate => candidate.ruleId === ruleId);
+  return warning.fixes;
+}
+
+describe('rule fixes', () => {
+  test('turns a nested loop into an equi-join on a column both tables have', () => {
+    const plan = `XN Nested Loop DS_BCAST_INNER  (cost=0.00..9000.00 rows=100 width=8)
+  Join Filter: (o.order_date > c.region)
+  ->  XN Seq Scan on orders o  (cost=0.00..100.00 rows=1000 width=4)
+  ->  XN Seq Scan on customers c  (cost=0.00..10.00 rows=100 width=4)`;
+    const [fix] = fixesFor(plan, 'nested-loop', TABLES);
+    expect(fix.sql).toContain('FROM orders o\nJOIN customers c ON o.customer_id = c.customer_id');
+    expect(fix.explanation).toMatch(/Hash Join/);
+
+    // Without metadata the columns of the Join Filter are used
+    expect(fixesFor(plan, 'nested-loop')[0].sql).toContain('ON o.order_date = c.region');
+  });
+
+  test('moves the distribution key onto the join column of each redistributed side', () => {
+    const plan = `XN Hash Join DS_DIST_BOTH  (cost=0.00..500.00 rows=1000 width=8)
+  Hash Cond: ("outer".customer_id = "inner".customer_id)
+  ->  XN Seq Scan on orders  (cost=0.00..300.00 rows=5000 width=4)
+  ->  XN Hash  (cost=0.00..100.00 rows=900 width=4)
+        ->  XN Seq Scan on customers  (cost=0.00..100.00 rows=900 width=4)`;
+    expect(fixesFor(plan, 'dist-ds-dist-both').map(fix => fix.sql)).toEqual([
+      'ALTER TABLE orders ALTER DISTKEY customer_id;',
+      'ALTER TABLE customers ALTER DISTKEY customer_id;',
+    ]);
+    expect(fixesFor(plan, 'join-not-on-distkey', TABLES).map(fix => fix.sql)).toEqual([
+      'ALTER TABLE orders ALTER DISTKEY customer_id;',
+    ]);
+  });
+
+  test('offers DISTSTYLE ALL for a broadcast inner table', () => {
+    const plan = `XN Hash Join DS_BCAST_INNER  (cost=0.00..500.00 rows=1000 width=8)
+  Hash Cond: ("outer".customer_id = "inner".customer_id)
+  ->  XN Seq Scan on orders  (cost=0.00..300.00 rows=5000 width=4)
+  ->  XN Hash  (cost=0.00..100.00 rows=900 width=4)
+        ->  XN Seq Scan on customers  (cost=0.00..100.00 rows=900 width=4)`;
+    expect(fixesFor(plan, 'dist-ds-bcast-inner').map(fix => fix.sql)).toContain('ALTER TABLE customers ALTER DISTSTYLE ALL;');
+  });
+
+  test('suggests a sort key for range filters, or a re-sort when the key already fits', () => {
+    const scan = filter => `XN Seq Scan on orders  (cost=0.00..300.00 rows=5000000 width=4)
+  Filter: (${filter} >= '2024-01-01'::date)`;
+    expect(fixesFor(scan('order_date'), 'range-filter-not-sortkey', TABLES)[0].sql).toBe('ALTER TABLE orders ALTER SORTKEY (order_date, order_id);');
+    expect(fixesFor(scan('order_date'), 'large-seq-scan', TABLES)[0].sql).toBe('ALTER TABLE orders ALTER SORTKEY (order_date);');
+    expect(fixesFor(scan('order_id'), 'large-seq-scan', TABLES)[0].sql).toBe('VACUUM SORT ONLY orders;');
+  });
+
+  test('runs ANALYZE on the tables behind a missed estimate', () => {
+    const plan = `XN Seq Scan on orders  (cost=0.00..300.00 rows=5000 width=4)
+----- Tables missing statistics: orders -----`;
+    const [fix] = fixesFor(plan, 'missing-statistics');
+    expect(fix.sql).toBe('ANALYZE orders;');
+  });
+
+  test('leaves rules without a remedy with an empty list', () => {
+    const plan = 'XN Seq Scan on orders  (cost=0.00..300.00 rows=5000000 width=4)';
+    expect(fixesFor(plan, 'large-seq-scan')).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+import { getPredicates } from '../parsePlan.js';
+import { tablesUnder } from '../joins.js';
+import { detailValue } from '../postgresPlan.js';
+import { rowEstimateError } from '../runtimeStats.js';
+import { analyzeFix, suggestion } from './fixes.js';
+
+// Rules for PostgreSQL plans. Most of them need the figures of EXPLAIN ANALYZE and
+// stay silent on plain EXPLAIN output.
+
+// Columns compared against something in a filter expression
+export function filterColumns(expression) {
+  const columns = new Set();
+  const pattern = /((?:"?[\w$]+"?\.)*"?[\w$]+"?)(?:\)?::[\w ]+?)?\s*(?:=|<>|!=|<=|>=|<(?!>)|>|~~\*?|!~~|\bIS\b|\bBETWEEN\b)/gi;
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    const column = match[1].replace(/"/g, '').split('.').pop().toLowerCase();
+    // Skip literals, and the `ANY` of `x = ANY (...)`
+    if (!/^\d/.test(column) && !['any', 'all', 'and', 'or', 'not'].includes(column)) {
+      columns.add(column);
+    }
+  }
+  return [...columns];
+}
+
+// work_mem, in MB, big enough to sort in memory what was written to disk: in-memory
+// sorts take about twice the space of their on-disk runs
+export function workMemFor(diskKb) {
+  let megabytes = 4;
+  while (megabytes * 1024 < diskKb * 2) {
+    megabytes *= 2;
+  }
+  return megabytes;
+}
+
+export const postgresRules = [
+  {
+    id: 'pg-selective-seq-scan',
+    title: 'Seq Scan with a selective Filter',
+    type: 'warning',
+    severity: 'medium',
+    dialect: 'postgres',
+    params: {
+      minRemovedRows: { label: 'Minimum rows removed by the filter', min: 0, default: 10000 },
+      maxKeptPercent: { label: 'Maximum share of rows kept (%)', min: 0, default: 10 },
+    },
+    match: (node, { minRemovedRows, maxKeptPercent }) => {
+      const removed = parseInt(detailValue(node, 'Rows Removed by Filter'), 10);
+      if (!node.operator.includes('Seq Scan') || !node.actual || !node.relation || !(removed >= minRemovedRows)) {
+        return false;
+      }
+      const scanned = node.actual.rows + removed;
+      const keptPercent = (node.actual.rows / scanned) * 100;
+      return keptPercent <= maxKeptPercent && {
+        table: node.relation,
+        scanned: scanned.toLocaleString(),
+        removed: removed.toLocaleString(),
+        kept: keptPercent < 1 ? keptPercent.toFixed(2) : keptPercent.toFixed(1),
+        columns: getPredicates(node, 'Filter').flatMap(filterColumns),
+      };
+    },
+    fix: (node, { table, columns }) => columns.length > 0 ? [suggestion(
+      `Index ${table} on ${columns.join(', ')}`,
+      `CREATE INDEX CONCURRENTLY ON ${table} (${columns.join(', ')});`,
+      'Lets the planner use an Index Scan or Bitmap Heap Scan that reads only the matching rows instead of the whole table. CONCURRENTLY builds the index without blocking writes.',
+    )] : [],
+    message: '⚠️ Seq Scan on {table} reads {scanned} rows per loop and its Filter removes {removed} of them, keeping {kept}%. An index on the filtered columns would read only the rows that match. [Learn more](https://www.postgresql.org/docs/current/indexes-intro.html)',
+  },
+  {
+    id: 'pg-sort-spill',
+    title: 'Sort spilled to disk',
+    type: 'warning',
+    severity: 'high',
+    dialect: 'postgres',
+    params: {},
+    match: node => {
+      const method = detailValue(node, 'Sort Method');
+      const disk = method && method.match(/^(external \w+)\s+Disk:\s*(\d+)kB/);
+      return Boolean(disk) && {
+        method: disk[1],
+        diskKb: parseInt(disk[2], 10),
+        disk: `${parseInt(disk[2], 10).toLocaleString()} kB`,
+      };
+    },
+    fix: (node, { diskKb }) => [suggestion(
+      'Give sorts more memory in this session',
+      `SET work_mem = '${workMemFor(diskKb)}MB';`,
+      'Lets the sort run in memory (quicksort) instead of writing sorted runs to disk and merging them. Raise it per session or per role rather than server-wide, since every sort and hash of every connection can use this much.',
+    )],
+    message: '⚠️ Sort spilled {disk} to disk ({method}) because it did not fit in work_mem. [Learn more](https://www.postgresql.org/docs/current/runtime-config-resource.html#GUC-WORK-MEM)',
+  },
+  {
+    id: 'pg-row-estimate-miss',
+    title: 'Row estimate far from actual rows',
+    type: 'warning',
+    severity: 'high',
+    dialect: 'postgres',
+    params: {
+      minFactor: { label: 'Minimum estimate error (x)', min: 1, default: 10 },
+      minRows: { label: 'Minimum estimated or actual rows', min: 0, default: 1000 },
+    },
+    match: (node, { minFactor, minRows }) => {
+      // Plain EXPLAIN has no actual rows to compare the estimate with
+      if (!node.actual) {
+        return false;
+      }
+      const estimateError = rowEstimateError(node);
+      return estimateError >= minFactor && Math.max(node.rows, node.actual.rows) >= minRows && {
+        factor: Math.round(estimateError).toLocaleString(),
+        estimated: node.rows.toLocaleString(),
+        actual: node.actual.rows.toLocaleString(),
+      };
+    },
+    fix: (node, values, { plan }) => {
+      const relations = tablesUnder(plan, node.id).map(table => table.relation);
+      return relations.length > 0 ? [analyzeFix(relations)] : [];
+    },
+    message: '⚠️ Row estimate off by {factor}x (estimated {estimated}, actual {actual} per loop). Join types and join order above this step are chosen from that estimate; run ANALYZE on the tables below it, or add extended statistics (CREATE STATISTICS) when the filtered columns are correlated. [Learn more](https://www.postgresql.org/docs/current/planner-stats.html)',
+  },
+];
@@ -0,0 +1,131 @@
+import { getPredicates } from '../parsePlan.js';
+import { describeJoin, isJoin, isScan } from '../joins.js';
+import { lookupTable } from '../tableMetadata.js';
+import { distKeyFix, distStyleFix, sortKeyFix } from './fixes.js';
+
+// Rules that check the plan against pasted table metadata (context.tables).
+// They stay silent for tables the metadata does not cover.
+
+const CO_LOCATED = ['DS_DIST_NONE', 'DS_DIST_ALL_NONE'];
+
+function isDistributedAll(table) {
+  return table.distStyle === 'ALL';
+}
+
+// Columns compared with <, <=, >, >= or BETWEEN in a filter expression
+export function rangeFilterColumns(expression) {
+  const columns = new Set();
+  const patterns = [
+    /((?:"?[\w$]+"?\.)*"?[\w$]+"?)(?:\)?::[\w ]+?)?\s*(?:<=|>=|<(?!>)|>)/g,
+    /((?:"?[\w$]+"?\.)*"?[\w$]+"?)\s+BETWEEN\b/gi,
+  ];
+  patterns.forEach(pattern => {
+    let match;
+    while ((match = pattern.exec(expression)) !== null) {
+      const column = match[1].replace(/"/g, '').split('.').pop().toLowerCase();
+      // Skip literals such as the 5 in `5 < x`
+      if (!/^\d/.test(column)) {
+        columns.add(column);
+      }
+    }
+  });
+  return [...columns];
+}
+
+export const tableDesignRules = [
+  {
+    id: 'join-not-on-distkey',
+    title: 'Join on a non-DISTKEY column',
+    type: 'warning',
+    severity: 'medium',
+    params: {},
+    match: (node, params, { plan, tables }) => {
+      if (!tables || !isJoin(node) || CO_LOCATED.includes(node.distribution)) {
+        return false;
+      }
+      const mismatches = [];
+      const changes = [];
+      describeJoin(plan, node).keys.forEach(key => {
+        [key.outer, key.inner].forEach(column => {
+          const table = lookupTable(tables, column.table);
+          if (table && !isDistributedAll(table) && table.distKey !== column.column.toLowerCase()) {
+            const current = table.distKey ? `DISTKEY(${table.distKey})` : `DISTSTYLE ${table.distStyle || 'unknown'}`;
+            mismatches.push(`${column.table}.${column.column} (table uses ${current})`);
+            changes.push(column);
+          }
+        });
+      });
+      return mismatches.length > 0 && { columns: mismatches.join(', '), changes };
+    },
+    fix: (node, { changes }) => changes.map(column => distKeyFix(column.table, column.column)),
+    message: '⚠️ Join column is not the distribution key: {columns}. Rows have to move between slices for this join. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_best-practices-best-dist-key.html)',
+  },
+  {
+    id: 'range-filter-not-sortkey',
+    title: 'Range filter not on the sort key',
+    type: 'warning',
+    severity: 'medium',
+    params: {},
+    match: (node, params, { tables }) => {
+      const table = tables && isScan(node) && lookupTable(tables, node.relation);
+      if (!table) {
+        return false;
+      }
+      const columns = getPredicates(node, 'Filter').flatMap(rangeFilterColumns);
+      if (columns.length === 0) {
+        return false;
+      }
+      // Zone maps only help a compound key through its leading column; any column of an interleaved key works
+      const usable = table.sortKeyType === 'INTERLEAVED' ? table.sortKey : table.sortKey.slice(0, 1);
+      if (columns.some(column => usable.includes(column))) {
+        return false;
+      }
+      return {
+        columns: columns.join(', '),
+        table: node.relation,
+        sortKey: table.sortKey.length > 0 ? `its sort key starts with ${table.sortKey[0]}` : 'it has no sort key',
+        newSortKey: [columns[0], ...table.sortKey.filter(column => column !== columns[0])],
+      };
+    },
+    fix: (node, { table, newSortKey }) => [sortKeyFix(table, newSortKey)],
+    message: '⚠️ Range filter on {columns} cannot use zone maps on {table}: {sortKey}. Consider making {columns} the leading SORTKEY column so blocks outside the range are skipped. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_best-practices-sort-key.html)',
+  },
+  {
+    id: 'diststyle-all-large',
+    title: 'DISTSTYLE ALL on a large table',
+    type: 'warning',
+    severity: 'medium',
+    params: {
+      minRows: { label: 'Minimum table rows', min: 0, default: 1000000 },
+    },
+    match: (node, { minRows }, { tables }) => {
+      const table = tables && isScan(node) && lookupTable(tables, node.relation);
+      const rows = table && (table.rows !== null ? table.rows : node.rows);
+      return Boolean(table) && isDistributedAll(table) && rows > minRows && {
+        table: node.relation,
+        rows: rows.toLocaleString(),
+      };
+    },
+    fix: (node, { table }) => [distStyleFix(table, 'EVEN', `Spreads the rows of ${table} round-robin over the slices, so each node stores only its share. Joins to it then redistribute or broadcast it; pick a DISTKEY instead when it is usually joined on one column.`)],
+    message: '⚠️ {table} uses DISTSTYLE ALL but holds {rows} rows. Every node stores a full copy, which slows loads and wastes storage; use DISTSTYLE KEY or EVEN instead. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/c_choosing_dist_sort.html)',
+  },
+  {
+    id: 'table-skew',
+    title: 'Skewed table',
+    type: 'warning',
+    severity: 'medium',
+    params: {
+      maxSkew: { label: 'Maximum skew_rows ratio', min: 1, default: 4 },
+    },
+    match: (node, { maxSkew }, { tables }) => {
+      const table = tables && isScan(node) && lookupTable(tables, node.relation);
+      return Boolean(table) && table.skew !== null && table.skew > maxSkew && {
+        table: node.relation,
+        skew: table.skew,
+        distKey: table.distKey ? `DISTKEY(${table.distKey})` : 'its distribution key',
+      };
+    },
+    fix: (node, { table }) => [distStyleFix(table, 'EVEN', `Spreads the rows of ${table} evenly over the slices, so every slice scans the same amount of data and none of them holds up the query.`)],
+    message: '⚠️ {table} is skewed (skew_rows {skew}): the busiest slice holds far more rows than the emptiest, so scans wait on one slice. Pick a higher-cardinality column than {distKey}, or use DISTSTYLE EVEN. [Learn more](https://docs.aws.amazon.com/redshift/latest/dg/t_analyzing-data-distribution.html)',
+  },
+];
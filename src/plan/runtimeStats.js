@@ -0,0 +1,182 @@
+import { parseTable } from './parseTable.js';
+
+// Maps executed-query statistics from SVL_QUERY_SUMMARY or SVL_QUERY_REPORT onto
+// the nodes of a parsed plan, so each node can show what actually happened next
+// to the planner's estimates.
+
+// Step operations (the first word of the SVL `label` column) and the plan
+// operators they were produced by. Steps such as dist, bcast, return, project
+// or save have no node of their own in the EXPLAIN text.
+const STEP_OPERATORS = {
+  scan: node => /Scan$/.test(node.operator),
+  hash: node => node.operator === 'Hash',
+  hjoin: node => /^Hash .*Join$/.test(node.operator),
+  mjoin: node => /^Merge .*Join$/.test(node.operator),
+  nloop: node => node.operator.startsWith('Nested Loop'),
+  aggr: node => /Aggregate$/.test(node.operator),
+  sort: node => node.operator === 'Sort',
+  merge: node => node.operator === 'Merge',
+  limit: node => node.operator === 'Limit',
+  unique: node => node.operator === 'Unique',
+  window: node => node.operator === 'Window',
+};
+
+function parseLabel(label) {
+  const match = label.match(/^(\w+)\s*(?:tbl=(\d+))?\s*(?:name=(.+))?$/);
+  if (!match) {
+    return { operation: label.trim(), table: null };
+  }
+  return { operation: match[1], table: match[3] ? match[3].trim() : null };
+}
+
+function isTrue(value) {
+  return value === 't' || value === 'true' || value === '1';
+}
+
+// Returns one entry per segment/step. SVL_QUERY_REPORT has a row per slice, so
+// those rows are summed and the slowest slice is taken as the elapsed time.
+export function parseQueryStats(text) {
+  const rows = parseTable(text);
+  const steps = new Map();
+
+  rows.forEach(row => {
+    const segment = row.seg !== undefined ? row.seg : row.segment;
+    if (segment === undefined || row.step === undefined || row.label === undefined) {
+      throw new Error('Runtime statistics need the seg (or segment), step and label columns of SVL_QUERY_SUMMARY or SVL_QUERY_REPORT.');
+    }
+
+    const key = `${segment}:${row.step}`;
+    if (!steps.has(key)) {
+      steps.set(key, {
+        segment: parseInt(segment, 10),
+        step: parseInt(row.step, 10),
+        label: row.label,
+        ...parseLabel(row.label),
+        rows: 0,
+        bytes: 0,
+        elapsedMicros: 0,
+        diskBased: false,
+      });
+    }
+
+    const entry = steps.get(key);
+    const elapsed = row.elapsed_time !== undefined ? row.elapsed_time : row.maxtime;
+    entry.rows += parseInt(row.rows, 10) || 0;
+    entry.bytes += parseInt(row.bytes, 10) || 0;
+    entry.elapsedMicros = Math.max(entry.elapsedMicros, parseInt(elapsed, 10) || 0);
+    entry.diskBased = entry.diskBased || isTrue(row.is_diskbased);
+  });
+
+  return [...steps.values()].sort((a, b) => a.segment - b.segment || a.step - b.step);
+}
+
+// Children in the order Redshift runs them: the hashed (inner) side of a join is
+// built in an earlier segment than the outer side that probes it.
+function executionOrder(plan) {
+  const order = [];
+  const visit = id => {
+    const node = plan.nodes[id];
+    const children = [...node.children].sort((a, b) =>
+      (plan.nodes[b].operator === 'Hash') - (plan.nodes[a].operator === 'Hash'));
+    children.forEach(visit);
+    order.push(id);
+  };
+  if (plan.root) {
+    visit(plan.root);
+  }
+  return order;
+}
+
+function relationMatches(node, table) {
+  return node.relation === table || (node.relation || '').endsWith(`.${table}`);
+}
+
+// Steps are matched to unclaimed nodes of the same operator kind in execution
+// order; scan steps are matched by the table name in their label.
+export function attachRuntimeStats(plan, steps) {
+  const order = executionOrder(plan);
+  const claimed = new Set();
+  const unmatched = [];
+
+  steps.forEach(step => {
+    const matcher = STEP_OPERATORS[step.operation];
+    const candidates = matcher ? order.filter(id => !claimed.has(id) && matcher(plan.nodes[id])) : [];
+    const nodeId = step.operation === 'scan'
+      ? candidates.find(id => step.table && relationMatches(plan.nodes[id], step.table))
+      : candidates[0];
+
+    if (!nodeId) {
+      unmatched.push(step);
+      return;
+    }
+
+    claimed.add(nodeId);
+    plan.nodes[nodeId].actual = {
+      rows: step.rows,
+      bytes: step.bytes,
+      elapsedMicros: step.elapsedMicros,
+      diskBased: step.diskBased,
+      segment: step.segment,
+      step: step.step,
+      label: step.label,
+    };
+  });
+
+  return { matched: claimed.size, unmatched };
+}
+
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function describePostgresRuntime(node) {
+  const { rows, loops, totalMs, spill } = node.actual;
+  if (loops === 0) {
+    return ['Never executed'];
+  }
+  const lines = [`Actual rows: ${rows.toLocaleString()} (est. ${node.rows.toLocaleString()})${loops > 1 ? ` × ${loops.toLocaleString()} loops` : ''}`];
+  if (totalMs !== null) {
+    lines.push(`Time: ${(totalMs * loops).toFixed(1)} ms`);
+  }
+  if (spill) {
+    lines.push(`Spilled to disk (${spill})`);
+  }
+  return lines;
+}
+
+// Plain-text lines describing a node's runtime figures, for labels and the details panel.
+// Postgres EXPLAIN ANALYZE figures (see postgresPlan.js) carry `loops` instead of segment and step.
+export function describeRuntime(node) {
+  if (!node.actual) {
+    return [];
+  }
+  if (node.actual.loops !== undefined) {
+    return describePostgresRuntime(node);
+  }
+  const { rows, bytes, elapsedMicros, diskBased, segment, step } = node.actual;
+  const lines = [
+    `Actual rows: ${rows.toLocaleString()} (est. ${node.rows.toLocaleString()})`,
+    `Bytes: ${formatBytes(bytes)}, Time: ${(elapsedMicros / 1000).toFixed(1)} ms (seg ${segment}, step ${step})`,
+  ];
+  if (diskBased) {
+    lines.push('Spilled to disk (is_diskbased)');
+  }
+  return lines;
+}
+
+// How far off the planner was, as a factor >= 1 (1 means a perfect estimate)
+export function rowEstimateError(node) {
+  if (!node.actual || node.actual.loops === 0) {
+    return 1;
+  }
+  const estimated = Math.max(node.rows, 1);
+  const actual = Math.max(node.actual.rows, 1);
+  return Math.max(estimated / actual, actual / estimated);
+}
@@ -0,0 +1,59 @@
+import { parsePlan } from './parsePlan.js';
+import { attachRuntimeStats, parseQueryStats, rowEstimateError } from './runtimeStats.js';
+
+const PLAN = `XN Hash Join DS_DIST_NONE  (cost=2.52..58653620.93 rows=8712 width=36)
+  Hash Cond: ("outer".venueid = "inner".venueid)
+  ->  XN Seq Scan on event  (cost=0.00..87.98 rows=8798 width=24)
+  ->  XN Hash  (cost=2.02..2.02 rows=202 width=20)
+        ->  XN Seq Scan on venue  (cost=0.00..2.02 rows=202 width=20)`;
+
+const SUMMARY_PSQL = ` stm | seg | step | maxtime | avgtime |  rows  |  bytes  |          label          | is_diskbased
+-----+-----+------+---------+---------+--------+---------+-------------------------+--------------
+   0 |   0 |    0 |    1200 |    1100 |    202 |    4040 | scan   tbl=100 name=venue | f
+   0 |   0 |    1 |     900 |     800 |    202 |    4040 | hash   tbl=269            | t
+   1 |   1 |    0 |    5000 |    4000 | 880000 | 9000000 | scan   tbl=101 name=event | f
+   1 |   1 |    1 |    7000 |    6000 | 880000 | 9000000 | hjoin  tbl=269            | f
+   1 |   1 |    2 |      10 |      10 | 880000 |       0 | return                  | f
+(5 rows)`;
+
+const REPORT_CSV = `userid,query,slice,segment,step,start_time,end_time,elapsed_time,rows,bytes,label,is_diskbased
+100,42,0,0,0,2024-01-01,2024-01-01,400,100,2000,"scan   tbl=100 name=venue",f
+100,42,1,0,0,2024-01-01,2024-01-01,700,102,2040,"scan   tbl=100 name=venue",f`;
+
+describe('parseQueryStats', () => {
+  test('reads SVL_QUERY_SUMMARY in psql table format', () => {
+    const steps = parseQueryStats(SUMMARY_PSQL);
+    expect(steps).toHaveLength(5);
+    expect(steps[1]).toMatchObject({ segment: 0, step: 1, operation: 'hash', rows: 202, elapsedMicros: 900, diskBased: true });
+    expect(steps[2]).toMatchObject({ operation: 'scan', table: 'event', rows: 880000 });
+  });
+
+  test('sums SVL_QUERY_REPORT slices and keeps the slowest one', () => {
+    const [step] = parseQueryStats(REPORT_CSV);
+    expect(step).toMatchObject({ segment: 0, step: 0, table: 'venue', rows: 202, bytes: 4040, elapsedMicros: 700 });
+  });
+
+  test('rejects tables without step columns', () => {
+    expect(() => parseQueryStats('a,b\n1,2')).toThrow(/seg/);
+  });
+});
+
+describe('attachRuntimeStats', () => {
+  test('maps steps onto plan nodes and leaves node-less steps unmatched', () => {
+    const plan = parsePlan(PLAN);
+    const result = attachRuntimeStats(plan, parseQueryStats(SUMMARY_PSQL));
+
+    expect(result.matched).toBe(4);
+    expect(result.unmatched.map(step => step.operation)).toEqual(['return']);
+    expect(plan.nodes.node3.actual).toMatchObject({ rows: 202, segment: 0, step: 0 });
+    expect(plan.nodes.node2.actual.diskBased).toBe(true);
+    expect(plan.nodes.node0.actual.rows).toBe(880000);
+  });
+
+  test('measures how far the estimate was from the actual rows', () => {
+    const plan = parsePlan(PLAN);
+    attachRuntimeStats(plan, parseQueryStats(SUMMARY_PSQL));
+    expect(rowEstimateError(plan.nodes.node0)).toBeCloseTo(880000 / 8712);
+    expect(rowEstimateError(plan.nodes.node3)).toBe(1);
+  });
+});
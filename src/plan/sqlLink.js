@@ -0,0 +1,231 @@
+import { getPredicates } from './parsePlan.js';
+import { isJoin, isScan, tablesUnder } from './joins.js';
+
+// Links plan nodes to the parts of the SQL text that produced them.
+//
+// The SQL is cut into regions (FROM/JOIN table references, JOIN ... ON clauses,
+// WHERE predicates, GROUP BY and ORDER BY) with character offsets, and each node
+// is matched to regions through its relation/alias and the columns in its
+// Hash Cond, Merge Cond and Filter lines.
+
+const CLAUSE_KEYWORDS = ['ON', 'USING', 'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL',
+  'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'UNION', 'EXCEPT', 'INTERSECT', 'MINUS', 'QUALIFY', 'WINDOW', 'SELECT', 'FROM', 'OFFSET'];
+
+const SQL_WORDS = new Set([...CLAUSE_KEYWORDS, 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'ILIKE', 'BETWEEN', 'CASE',
+  'WHEN', 'THEN', 'ELSE', 'END', 'AS', 'BY', 'ASC', 'DESC', 'TRUE', 'FALSE', 'DATE', 'TIMESTAMP', 'INTERVAL', 'EXISTS',
+  'DISTINCT', 'OUTER', 'INNER', 'TEXT', 'INTEGER', 'BIGINT', 'NUMERIC', 'VARCHAR', 'CHARACTER', 'VARYING', 'BPCHAR']);
+
+// Blanks out comments and the contents of string literals without moving any offsets
+function maskSql(sql) {
+  return sql
+    .replace(/--[^\n]*/g, match => ' '.repeat(match.length))
+    .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+    // Literals keep their quotes so they still count as text when trimming ranges
+    .replace(/'(?:[^']|'')*'/g, match => `'${'#'.repeat(match.length - 2)}'`);
+}
+
+function normalizeName(name) {
+  return name.replace(/"/g, '').toLowerCase();
+}
+
+function baseName(name) {
+  return normalizeName(name).split('.').pop();
+}
+
+// Column references as { qualifier, column }, ignoring keywords, literals and function names
+export function columnReferences(expression) {
+  const references = [];
+  const identifierRegex = /((?:"?[A-Za-z_][\w$]*"?\.)*)("?[A-Za-z_][\w$]*"?)(\s*\()?/g;
+  let match;
+  while ((match = identifierRegex.exec(expression)) !== null) {
+    const column = normalizeName(match[2]);
+    // Casts (`::date`) and function calls are not columns
+    const isCast = expression.slice(Math.max(0, match.index - 2), match.index) === '::';
+    if (match[3] || isCast || SQL_WORDS.has(column.toUpperCase())) {
+      continue;
+    }
+    const qualifier = match[1] ? normalizeName(match[1].slice(0, -1)) : null;
+    references.push({ qualifier, column });
+  }
+  return references;
+}
+
+// End of the clause starting at `from`: the next top-level keyword in `stopWords`, a closing parenthesis or `;`
+function clauseEnd(masked, from, stopWords) {
+  let depth = 0;
+  const wordRegex = /[A-Za-z_]+|[();]/g;
+  wordRegex.lastIndex = from;
+  let match;
+  while ((match = wordRegex.exec(masked)) !== null) {
+    const token = match[0];
+    if (token === '(') depth++;
+    else if (token === ')') {
+      if (depth === 0) return match.index;
+      depth--;
+    } else if (token === ';' && depth === 0) return match.index;
+    else if (depth === 0 && stopWords.includes(token.toUpperCase())) return match.index;
+  }
+  return masked.length;
+}
+
+// Trimmed on the masked text so trailing comments fall outside the range
+function trimRange(masked, start, end) {
+  while (start < end && /\s/.test(masked[start])) start++;
+  while (end > start && /\s/.test(masked[end - 1])) end--;
+  return { start, end };
+}
+
+// Splits a WHERE/ON clause body on top-level ANDs
+function splitConditions(masked, start, end) {
+  const parts = [];
+  let depth = 0;
+  let partStart = start;
+  const tokenRegex = /\bAND\b|\bBETWEEN\b|[()]/gi;
+  tokenRegex.lastIndex = start;
+  let pendingBetween = false;
+  let match;
+  while ((match = tokenRegex.exec(masked)) !== null && match.index < end) {
+    const token = match[0].toUpperCase();
+    if (token === '(') depth++;
+    else if (token === ')') depth--;
+    else if (token === 'BETWEEN') pendingBetween = true;
+    else if (depth === 0 && pendingBetween) pendingBetween = false; // the AND of `BETWEEN x AND y`
+    else if (depth === 0) {
+      parts.push(trimRange(masked, partStart, match.index));
+      partStart = match.index + match[0].length;
+    }
+  }
+  parts.push(trimRange(masked, partStart, end));
+  return parts.filter(part => part.end > part.start);
+}
+
+function tableReferences(masked, start, end, regions) {
+  // `FROM a x, b AS y` or the single table after JOIN
+  const listText = masked.slice(start, end);
+  let offset = 0;
+  splitTopLevelCommas(listText).forEach(item => {
+    const itemStart = start + listText.indexOf(item, offset);
+    offset = itemStart - start + item.length;
+    // Subqueries in FROM do not match and are indexed on their own
+    const match = item.match(/^\s*((?:"[^"]+"|[\w$]+)(?:\.(?:"[^"]+"|[\w$]+))*)(?:\s+(?:AS\s+)?("[^"]+"|[\w$]+))?/i);
+    if (!match) {
+      return;
+    }
+    const range = trimRange(masked, itemStart, itemStart + match[0].length);
+    regions.push({ kind: 'table', ...range, relation: baseName(match[1]), alias: match[2] ? normalizeName(match[2]) : null });
+  });
+}
+
+function splitTopLevelCommas(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+export function indexSql(sql) {
+  const masked = maskSql(sql);
+  const regions = [];
+  const keywordRegex = /\b(FROM|JOIN|WHERE|GROUP\s+BY|ORDER\s+BY)\b/gi;
+  let match;
+
+  while ((match = keywordRegex.exec(masked)) !== null) {
+    const keyword = match[1].toUpperCase().replace(/\s+/g, ' ');
+    const bodyStart = match.index + match[0].length;
+
+    if (keyword === 'FROM') {
+      tableReferences(masked, bodyStart, clauseEnd(masked, bodyStart, CLAUSE_KEYWORDS), regions);
+    } else if (keyword === 'JOIN') {
+      const tableEnd = clauseEnd(masked, bodyStart, CLAUSE_KEYWORDS);
+      tableReferences(masked, bodyStart, tableEnd, regions);
+      const on = masked.slice(tableEnd).match(/^\s*ON\b/i);
+      const end = on ? clauseEnd(masked, tableEnd + on[0].length, CLAUSE_KEYWORDS) : tableEnd;
+      const range = trimRange(masked, match.index, end);
+      regions.push({ kind: 'join', ...range, references: columnReferences(masked.slice(tableEnd, end)) });
+    } else if (keyword === 'WHERE') {
+      const end = clauseEnd(masked, bodyStart, CLAUSE_KEYWORDS);
+      splitConditions(masked, bodyStart, end).forEach(part => {
+        regions.push({ kind: 'where', ...part, references: columnReferences(masked.slice(part.start, part.end)) });
+      });
+    } else {
+      const end = clauseEnd(masked, bodyStart, CLAUSE_KEYWORDS);
+      const range = trimRange(masked, match.index, end);
+      regions.push({ kind: keyword === 'GROUP BY' ? 'group' : 'order', ...range, references: columnReferences(masked.slice(bodyStart, end)) });
+    }
+  }
+
+  return regions.sort((a, b) => a.start - b.start);
+}
+
+function tableNames(tables) {
+  const names = new Set();
+  tables.forEach(table => {
+    names.add(baseName(table.relation));
+    if (table.alias) names.add(normalizeName(table.alias));
+  });
+  return names;
+}
+
+// All of the region's columns appear in the node's expressions, and every qualifier names one of the node's tables
+function referencesMatch(references, columns, names) {
+  return references.length > 0 && references.every(reference =>
+    columns.has(reference.column) && (!reference.qualifier || names.has(baseName(reference.qualifier))));
+}
+
+function regionsForNode(plan, node, regions) {
+  const tables = isScan(node) && node.relation ? [{ relation: node.relation, alias: node.alias }] : tablesUnder(plan, node.id);
+  const names = tableNames(tables);
+  const conditionColumns = new Set(
+    [...getPredicates(node, 'Hash Cond'), ...getPredicates(node, 'Merge Cond'), ...getPredicates(node, 'Join Filter')]
+      .flatMap(expression => columnReferences(expression).map(reference => reference.column)));
+  const filterColumns = new Set(getPredicates(node, 'Filter').flatMap(expression =>
+    columnReferences(expression).map(reference => reference.column)));
+
+  return regions.filter(region => {
+    switch (region.kind) {
+      case 'table':
+        return isScan(node) && node.relation && baseName(node.relation) === region.relation &&
+          (!node.alias || !region.alias || normalizeName(node.alias) === region.alias);
+      case 'join':
+        return isJoin(node) && referencesMatch(region.references, conditionColumns, names);
+      case 'where':
+        return (isJoin(node) && referencesMatch(region.references, conditionColumns, names)) ||
+          referencesMatch(region.references, filterColumns, names);
+      case 'group':
+        return /Aggregate$/.test(node.operator);
+      case 'order':
+        return node.operator === 'Sort' || node.operator === 'Merge' || getPredicates(node, 'Sort Key').length > 0;
+      default:
+        return false;
+    }
+  });
+}
+
+// Returns { regions, nodeRegions } where nodeRegions maps node ids to indexes into regions
+export function linkSqlToPlan(sql, plan) {
+  const regions = indexSql(sql);
+  const nodeRegions = {};
+  plan.order.forEach(id => {
+    nodeRegions[id] = regionsForNode(plan, plan.nodes[id], regions).map(region => regions.indexOf(region));
+  });
+  return { regions, nodeRegions };
+}
+
+// Node ids whose regions overlap the selected character range
+export function nodesForSelection(link, start, end) {
+  return Object.keys(link.nodeRegions).filter(id => link.nodeRegions[id].some(index => {
+    const region = link.regions[index];
+    return start < region.end && end > region.start;
+  }));
+}
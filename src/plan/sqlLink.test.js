@@ -0,0 +1,63 @@
+import { parsePlan } from './parsePlan.js';
+import { indexSql, linkSqlToPlan, nodesForSelection } from './sqlLink.js';
+
+const SQL = `SELECT c.region, SUM(o.amount) AS total
+FROM orders o
+JOIN customers c ON o.customer_id = c.id
+WHERE o.order_date >= '2024-01-01' -- recent orders only
+  AND o.amount BETWEEN 10 AND 500
+GROUP BY c.region
+ORDER BY total DESC;`;
+
+const PLAN = `XN Merge  (cost=1000000000.00..1000000001.00 rows=10 width=40)
+  Merge Key: sum(o.amount)
+  ->  XN Network  (cost=1000000000.00..1000000001.00 rows=10 width=40)
+        Send to leader
+        ->  XN Sort  (cost=1000000000.00..1000000001.00 rows=10 width=40)
+              Sort Key: sum(o.amount)
+              ->  XN HashAggregate  (cost=500.00..500.10 rows=10 width=40)
+                    ->  XN Hash Join DS_DIST_INNER  (cost=2.00..400.00 rows=1000 width=40)
+                          Hash Cond: ("outer".customer_id = "inner".id)
+                          ->  XN Seq Scan on orders o  (cost=0.00..300.00 rows=1000 width=20)
+                                Filter: ((order_date >= '2024-01-01'::date) AND (amount >= 10) AND (amount <= 500))
+                          ->  XN Hash  (cost=1.00..1.00 rows=100 width=20)
+                                ->  XN Seq Scan on customers c  (cost=0.00..1.00 rows=100 width=20)`;
+
+function regionText(link, nodeId) {
+  return link.nodeRegions[nodeId].map(index => SQL.slice(link.regions[index].start, link.regions[index].end));
+}
+
+describe('indexSql', () => {
+  test('finds tables, join clauses, WHERE predicates and GROUP/ORDER BY', () => {
+    const regions = indexSql(SQL).map(region => [region.kind, SQL.slice(region.start, region.end)]);
+    expect(regions).toEqual([
+      ['table', 'orders o'],
+      ['join', 'JOIN customers c ON o.customer_id = c.id'],
+      ['table', 'customers c'],
+      ['where', "o.order_date >= '2024-01-01'"],
+      ['where', 'o.amount BETWEEN 10 AND 500'],
+      ['group', 'GROUP BY c.region'],
+      ['order', 'ORDER BY total DESC'],
+    ]);
+  });
+});
+
+describe('linkSqlToPlan', () => {
+  const link = linkSqlToPlan(SQL, parsePlan(PLAN));
+
+  test('maps scans to their table reference and filter predicates', () => {
+    expect(regionText(link, 'node5')).toEqual(['orders o', "o.order_date >= '2024-01-01'", 'o.amount BETWEEN 10 AND 500']);
+    expect(regionText(link, 'node7')).toEqual(['customers c']);
+  });
+
+  test('maps joins, aggregates and sorts to their clauses', () => {
+    expect(regionText(link, 'node4')).toEqual(['JOIN customers c ON o.customer_id = c.id']);
+    expect(regionText(link, 'node3')).toEqual(['GROUP BY c.region']);
+    expect(regionText(link, 'node2')).toEqual(['ORDER BY total DESC']);
+  });
+
+  test('maps a text selection back to nodes', () => {
+    const start = SQL.indexOf('customers c ON');
+    expect(nodesForSelection(link, start, start + 3)).toEqual(['node4', 'node7']);
+  });
+});
@@ -0,0 +1,235 @@
+import { parseTable } from './parseTable.js';
+
+// Table design metadata (distribution style, DISTKEY, SORTKEY, size, skew) read
+// from pasted CREATE TABLE statements, SVV_TABLE_INFO rows or PG_TABLE_DEF rows.
+// The result maps the lower-cased table name, without schema, to:
+// { name, schema, columns, distStyle, distKey, sortKey, sortKeyType, rows, skew }
+
+function unquote(identifier) {
+  return identifier.replace(/"/g, '').trim();
+}
+
+function splitName(qualifiedName) {
+  const parts = unquote(qualifiedName).split('.');
+  const name = parts.pop().toLowerCase();
+  return { name, schema: parts.length > 0 ? parts.join('.').toLowerCase() : null };
+}
+
+function emptyTable(qualifiedName) {
+  return {
+    ...splitName(qualifiedName),
+    columns: [],
+    distStyle: null,
+    distKey: null,
+    sortKey: [],
+    sortKeyType: null,
+    rows: null,
+    skew: null,
+  };
+}
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+function columnList(text) {
+  return text.split(',').map(column => unquote(column).toLowerCase()).filter(Boolean);
+}
+
+// Returns the parsed tables and the input with the CREATE TABLE statements cut out
+function parseCreateTables(text) {
+  const tables = [];
+  const createRegex = /CREATE\s+(?:TEMP(?:ORARY)?\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?((?:"[^"]+"|[\w$]+)(?:\.(?:"[^"]+"|[\w$]+))?)\s*\(/gi;
+  let remaining = '';
+  let consumedUpTo = 0;
+  let match;
+
+  while ((match = createRegex.exec(text)) !== null) {
+    // Find the parenthesis closing the column list
+    let depth = 1;
+    let index = createRegex.lastIndex;
+    while (index < text.length && depth > 0) {
+      if (text[index] === '(') depth++;
+      if (text[index] === ')') depth--;
+      index++;
+    }
+    const body = text.slice(createRegex.lastIndex, index - 1);
+    const statementEnd = text.indexOf(';', index);
+    const end = statementEnd === -1 ? text.length : statementEnd + 1;
+    const attributes = text.slice(index, end);
+
+    const table = emptyTable(match[1]);
+    splitTopLevel(body).forEach(definition => {
+      if (/^(PRIMARY\s+KEY|FOREIGN\s+KEY|UNIQUE|CONSTRAINT|LIKE)\b/i.test(definition)) {
+        return;
+      }
+      const column = unquote(definition.split(/\s+/)[0]).toLowerCase();
+      table.columns.push(column);
+      if (/\bDISTKEY\b/i.test(definition)) {
+        table.distKey = column;
+      }
+      if (/\bSORTKEY\b/i.test(definition)) {
+        table.sortKey.push(column);
+      }
+    });
+
+    const distStyle = attributes.match(/DISTSTYLE\s+(\w+)/i);
+    const distKey = attributes.match(/DISTKEY\s*\(\s*([^)]+?)\s*\)/i);
+    const sortKey = attributes.match(/(COMPOUND|INTERLEAVED)?\s*SORTKEY\s*\(([^)]*)\)/i);
+    if (distKey) {
+      table.distKey = unquote(distKey[1]).toLowerCase();
+    }
+    table.distStyle = distStyle ? distStyle[1].toUpperCase() : (table.distKey ? 'KEY' : null);
+    if (sortKey) {
+      table.sortKey = columnList(sortKey[2]);
+      table.sortKeyType = sortKey[1] ? sortKey[1].toUpperCase() : 'COMPOUND';
+    } else if (table.sortKey.length > 0) {
+      table.sortKeyType = 'COMPOUND';
+    }
+
+    tables.push(table);
+    remaining += text.slice(consumedUpTo, match.index);
+    consumedUpTo = end;
+    createRegex.lastIndex = end;
+  }
+
+  remaining += text.slice(consumedUpTo);
+  return { tables, remaining };
+}
+
+// SVV_TABLE_INFO reports diststyle as e.g. `KEY(order_id)`, `ALL`, `EVEN` or `AUTO(KEY(order_id))`
+function parseDistStyle(value) {
+  const auto = value.match(/^AUTO\((.*)\)$/i);
+  const style = auto ? auto[1] : value;
+  const key = style.match(/^KEY\(\s*([^)]+?)\s*\)$/i);
+  if (key) {
+    return { distStyle: 'KEY', distKey: unquote(key[1]).toLowerCase() };
+  }
+  return { distStyle: style.toUpperCase() || null, distKey: null };
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function fromSvvTableInfo(rows) {
+  return rows.map(row => {
+    const table = emptyTable(row.schema ? `${row.schema}.${row.table}` : row.table);
+    Object.assign(table, parseDistStyle(row.diststyle || ''));
+    if (row.sortkey1 && !/^AUTO/i.test(row.sortkey1)) {
+      table.sortKey = [unquote(row.sortkey1).toLowerCase()];
+      table.sortKeyType = 'COMPOUND';
+    }
+    table.rows = parseNumber(row.tbl_rows);
+    table.skew = parseNumber(row.skew_rows);
+    return table;
+  });
+}
+
+function fromPgTableDef(rows) {
+  const tables = new Map();
+  rows.forEach(row => {
+    const qualifiedName = row.schemaname ? `${row.schemaname}.${row.tablename}` : row.tablename;
+    if (!tables.has(qualifiedName)) {
+      tables.set(qualifiedName, { table: emptyTable(qualifiedName), sortColumns: [] });
+    }
+    const { table, sortColumns } = tables.get(qualifiedName);
+    const column = unquote(row.column).toLowerCase();
+    table.columns.push(column);
+    if (row.distkey === 't' || row.distkey === 'true') {
+      table.distStyle = 'KEY';
+      table.distKey = column;
+    }
+    // sortkey is the column's position in the key; negative positions mean INTERLEAVED
+    const position = parseInt(row.sortkey, 10) || 0;
+    if (position !== 0) {
+      sortColumns.push({ column, position: Math.abs(position) });
+      table.sortKeyType = position < 0 ? 'INTERLEAVED' : 'COMPOUND';
+    }
+  });
+  return [...tables.values()].map(({ table, sortColumns }) => {
+    table.sortKey = sortColumns.sort((a, b) => a.position - b.position).map(entry => entry.column);
+    return table;
+  });
+}
+
+function parseTabularBlock(block) {
+  const rows = parseTable(block);
+  if (rows.length === 0) {
+    return [];
+  }
+  const columns = Object.keys(rows[0]);
+  if (columns.includes('tablename') && columns.includes('column')) {
+    return fromPgTableDef(rows);
+  }
+  if (columns.includes('table') && columns.includes('diststyle')) {
+    return fromSvvTableInfo(rows);
+  }
+  throw new Error(`Unrecognized table metadata columns: ${columns.join(', ')}. Paste CREATE TABLE statements, SVV_TABLE_INFO or PG_TABLE_DEF output.`);
+}
+
+// Later sources fill in what earlier ones left unknown, so DDL and SVV_TABLE_INFO can be pasted together
+function mergeTable(existing, table) {
+  const isKnown = value => (Array.isArray(value) ? value.length > 0 : value !== null);
+  const merged = { ...existing };
+  for (const key in table) {
+    if (!isKnown(merged[key]) && isKnown(table[key])) {
+      merged[key] = table[key];
+    }
+  }
+  return merged;
+}
+
+export function parseTableMetadata(text) {
+  const { tables, remaining } = parseCreateTables(text);
+  remaining.split(/\n\s*\n/).filter(block => block.trim() !== '').forEach(block => {
+    tables.push(...parseTabularBlock(block));
+  });
+
+  const metadata = {};
+  tables.forEach(table => {
+    metadata[table.name] = metadata[table.name] ? mergeTable(metadata[table.name], table) : table;
+  });
+  return metadata;
+}
+
+export function lookupTable(metadata, relation) {
+  if (!metadata || !relation) {
+    return null;
+  }
+  return metadata[splitName(relation).name] || null;
+}
+
+export function describeTable(table) {
+  const parts = [];
+  if (table.distStyle) {
+    parts.push(table.distStyle === 'KEY' ? `DISTKEY(${table.distKey})` : `DISTSTYLE ${table.distStyle}`);
+  }
+  if (table.sortKey.length > 0) {
+    parts.push(`${table.sortKeyType === 'INTERLEAVED' ? 'INTERLEAVED ' : ''}SORTKEY(${table.sortKey.join(', ')})`);
+  }
+  if (table.rows !== null) {
+    parts.push(`${table.rows.toLocaleString()} rows`);
+  }
+  if (table.skew !== null) {
+    parts.push(`skew ${table.skew}`);
+  }
+  return `${table.schema ? `${table.schema}.` : ''}${table.name}: ${parts.join(', ') || 'no distribution or sort key information'}`;
+}
@@ -0,0 +1,105 @@
+import { parsePlan } from './parsePlan.js';
+import { analyzePerformanceWarnings } from './ruleEngine.js';
+import { parseTableMetadata } from './tableMetadata.js';
+import { rangeFilterColumns } from './rules/tableDesignRules.js';
+
+const DDL = `CREATE TABLE public.orders (
+  order_id BIGINT NOT NULL ENCODE az64,
+  customer_id INTEGER,
+  order_date DATE,
+  amount DECIMAL(12, 2),
+  PRIMARY KEY (order_id)
+)
+DISTSTYLE KEY
+DISTKEY (order_id)
+COMPOUND SORTKEY (order_id, order_date);
+
+CREATE TABLE customers (
+  id INTEGER DISTKEY,
+  region VARCHAR(20) SORTKEY
+) DISTSTYLE ALL;`;
+
+const SVV_TABLE_INFO = `  schema |   table   |   diststyle   | sortkey1 | tbl_rows | skew_rows
+--------+-----------+---------------+----------+----------+-----------
+ public | customers | ALL           | region   |  9000000 |
+ public | orders    | KEY(order_id) | order_id | 50000000 |      6.20
+(2 rows)`;
+
+const PG_TABLE_DEF = `schemaname,tablename,column,type,encoding,distkey,sortkey,notnull
+public,events,event_id,integer,az64,t,0,t
+public,events,created_at,timestamp,az64,f,-2,f
+public,events,venue_id,integer,az64,f,-1,f`;
+
+const PLAN = `XN Hash Join DS_DIST_INNER  (cost=0.00..500.00 rows=1000 width=8)
+  Hash Cond: ("outer".customer_id = "inner".id)
+  ->  XN Seq Scan on orders o  (cost=0.00..300.00 rows=50000000 width=4)
+        Filter: ((order_date >= '2024-01-01'::date) AND (order_date < '2024-02-01'::date))
+  ->  XN Hash  (cost=0.00..100.00 rows=9000000 width=4)
+        ->  XN Seq Scan on customers c  (cost=0.00..100.00 rows=9000000 width=4)`;
+
+describe('parseTableMetadata', () => {
+  test('reads distribution and sort keys from CREATE TABLE', () => {
+    const tables = parseTableMetadata(DDL);
+    expect(tables.orders).toMatchObject({
+      schema: 'public',
+      columns: ['order_id', 'customer_id', 'order_date', 'amount'],
+      distStyle: 'KEY',
+      distKey: 'order_id',
+      sortKey: ['order_id', 'order_date'],
+      sortKeyType: 'COMPOUND',
+    });
+    expect(tables.customers).toMatchObject({ distStyle: 'ALL', distKey: 'id', sortKey: ['region'] });
+  });
+
+  test('reads SVV_TABLE_INFO and merges it with DDL', () => {
+    const tables = parseTableMetadata(`${DDL}\n\n${SVV_TABLE_INFO}`);
+    expect(tables.orders).toMatchObject({ distKey: 'order_id', rows: 50000000, skew: 6.2, sortKey: ['order_id', 'order_date'] });
+    expect(tables.customers).toMatchObject({ distStyle: 'ALL', rows: 9000000, skew: null });
+  });
+
+  test('reads PG_TABLE_DEF rows into one table', () => {
+    expect(parseTableMetadata(PG_TABLE_DEF).events).toMatchObject({
+      distStyle: 'KEY',
+      distKey: 'event_id',
+      sortKey: ['venue_id', 'created_at'],
+      sortKeyType: 'INTERLEAVED',
+    });
+  });
+
+  test('rejects unknown tabular input', () => {
+    expect(() => parseTableMetadata('foo,bar\n1,2')).toThrow(/Unrecognized table metadata/);
+  });
+});
+
+describe('table design rules', () => {
+  const plan = parsePlan(PLAN);
+  const tables = parseTableMetadata(`${DDL}\n\n${SVV_TABLE_INFO}`);
+  const warnings = analyzePerformanceWarnings(plan, {}, { tables });
+  const byRule = ruleId => warnings.filter(warning => warning.ruleId === ruleId);
+
+  test('flags joins on columns that are not the DISTKEY', () => {
+    expect(byRule('join-not-on-distkey')).toHaveLength(1);
+    expect(byRule('join-not-on-distkey')[0].message).toContain('orders.customer_id (table uses DISTKEY(order_id))');
+  });
+
+  test('flags range filters that miss the leading sort key', () => {
+    expect(byRule('range-filter-not-sortkey')[0]).toMatchObject({ nodeId: 'node1' });
+    expect(byRule('range-filter-not-sortkey')[0].message).toContain('its sort key starts with order_id');
+  });
+
+  test('flags large DISTSTYLE ALL tables and skewed tables', () => {
+    expect(byRule('diststyle-all-large').map(warning => warning.nodeId)).toEqual(['node3']);
+    expect(byRule('table-skew').map(warning => warning.nodeId)).toEqual(['node1']);
+  });
+
+  test('stays quiet without metadata', () => {
+    const ruleIds = analyzePerformanceWarnings(plan).map(warning => warning.ruleId);
+    expect(ruleIds).not.toContain('join-not-on-distkey');
+    expect(ruleIds).not.toContain('range-filter-not-sortkey');
+  });
+});
+
+test('rangeFilterColumns finds compared columns and ignores <>', () => {
+  expect(rangeFilterColumns("((o.order_date)::date >= '2024-01-01'::date) AND (status <> 'x') AND (price BETWEEN 1 AND 5)"))
+    .toEqual(['order_date', 'price']);
+});
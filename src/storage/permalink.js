@@ -0,0 +1,119 @@
+// Shareable links: the editor inputs and view state are stored, compressed, in the
+// URL fragment, so sharing needs no backend and the plan never reaches a server.
+//
+// A fragment looks like `plan=z<base64url>`. The first character after `plan=`
+// says how the JSON payload was packed: `z` for raw deflate, `u` for uncompressed
+// UTF-8 where the browser has no CompressionStream.
+
+const FRAGMENT_KEY = 'plan=';
+const PERMALINK_VERSION = 1;
+
+// Longer links get cut off by chat tools and ticket trackers, so refuse to create them
+export const MAX_FRAGMENT_LENGTH = 16000;
+
+async function pipeBytes(bytes, transform) {
+  const writer = transform.writable.getWriter();
+  // Errors surface through the reader; don't leave these promises rejected unhandled
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = transform.readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  // Chunked so String.fromCharCode does not exceed the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// `state`: { plan, comparePlan, sql, stats, tables, theme, view, selectedNodeId, annotations }
+// where view is 'diagram', 'icicle' or 'compare'. Empty optional inputs are left out.
+export async function encodePermalink(state) {
+  const payload = { v: PERMALINK_VERSION };
+  Object.entries(state).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      payload[key] = value;
+    }
+  });
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  const fragment = typeof CompressionStream === 'undefined'
+    ? `${FRAGMENT_KEY}u${toBase64Url(bytes)}`
+    : `${FRAGMENT_KEY}z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+
+  if (fragment.length > MAX_FRAGMENT_LENGTH) {
+    throw new Error(`The link would be ${fragment.length.toLocaleString()} characters long, over the ${MAX_FRAGMENT_LENGTH.toLocaleString()} character limit. Share an exported JSON or report file instead.`);
+  }
+  return fragment;
+}
+
+export function isPermalink(fragment) {
+  return fragment.replace(/^#/, '').startsWith(FRAGMENT_KEY);
+}
+
+// Throws an Error describing what is wrong with a corrupt or unsupported link
+export async function decodePermalink(fragment) {
+  const body = fragment.replace(/^#/, '').slice(FRAGMENT_KEY.length);
+  const packing = body[0];
+  let json;
+  try {
+    const bytes = fromBase64Url(body.slice(1));
+    if (packing === 'z') {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot decompress it');
+      }
+      json = new TextDecoder('utf-8', { fatal: true }).decode(await pipeBytes(bytes, new DecompressionStream('deflate-raw')));
+    } else if (packing === 'u') {
+      json = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } else {
+      throw new Error('unknown encoding');
+    }
+  } catch (e) {
+    throw new Error(`This link is corrupt or incomplete (${e.message}). Ask for it to be shared again.`);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch (e) {
+    throw new Error('This link is corrupt or incomplete (the saved state is not valid JSON). Ask for it to be shared again.');
+  }
+  if (!payload || payload.v !== PERMALINK_VERSION || typeof payload.plan !== 'string') {
+    throw new Error('This link was made by an incompatible version of the visualizer.');
+  }
+  return {
+    plan: payload.plan,
+    comparePlan: payload.comparePlan || '',
+    sql: payload.sql || '',
+    stats: payload.stats || '',
+    tables: payload.tables || '',
+    theme: payload.theme === 'dark' ? 'dark' : 'light',
+    view: ['diagram', 'icicle', 'compare'].includes(payload.view) ? payload.view : 'diagram',
+    selectedNodeId: typeof payload.selectedNodeId === 'string' ? payload.selectedNodeId : null,
+    annotations: Array.isArray(payload.annotations) ? payload.annotations : [],
+  };
+}
@@ -0,0 +1,63 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import { MAX_FRAGMENT_LENGTH, decodePermalink, encodePermalink, isPermalink } from './permalink';
+
+const STATE = {
+  plan: `XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)
+  Hash Cond: (a.id = b.id)
+  ->  XN Seq Scan on "café"  (cost=0.00..59.00 rows=1000 width=4)`,
+  comparePlan: '',
+  sql: 'SELECT * FROM a JOIN b ON a.id = b.id',
+  stats: '',
+  tables: '',
+  theme: 'dark',
+  view: 'icicle',
+  selectedNodeId: 'node1',
+  annotations: [{ id: 'note-1', nodeId: 'node1', author: 'Sam', text: 'Broadcast is fine here', resolved: true, createdAt: '2024-05-01T10:00:00.000Z' }],
+};
+
+// jsdom has none of these; the browser versions behave the same
+beforeAll(() => {
+  Object.assign(global, { TextEncoder, TextDecoder, CompressionStream, DecompressionStream });
+});
+
+afterEach(() => {
+  global.CompressionStream = CompressionStream;
+});
+
+describe('permalinks', () => {
+  test('round-trips the state through a compressed fragment', async () => {
+    const fragment = await encodePermalink(STATE);
+    expect(fragment).toMatch(/^plan=z[\w-]+$/);
+    expect(isPermalink(`#${fragment}`)).toBe(true);
+    expect(await decodePermalink(`#${fragment}`)).toEqual(STATE);
+  });
+
+  test('falls back to uncompressed fragments without CompressionStream', async () => {
+    delete global.CompressionStream;
+    const fragment = await encodePermalink(STATE);
+    expect(fragment).toMatch(/^plan=u/);
+    expect(await decodePermalink(fragment)).toEqual(STATE);
+  });
+
+  test('compresses repetitive plans well below their size', async () => {
+    const plan = Array.from({ length: 200 }, (_, i) => `  ->  XN Seq Scan on table_${i}  (cost=0.00..59.00 rows=1000 width=4)`).join('\n');
+    const fragment = await encodePermalink({ ...STATE, plan });
+    expect(fragment.length).toBeLessThan(plan.length / 4);
+  });
+
+  test('refuses to create links over the length limit', async () => {
+    const plan = Array.from({ length: 6000 }, () => Math.random().toString(36).slice(2)).join('\n');
+    await expect(encodePermalink({ ...STATE, plan })).rejects.toThrow(`character limit`);
+    expect(MAX_FRAGMENT_LENGTH).toBe(16000);
+  });
+
+  test('reports corrupt and unsupported links', async () => {
+    const fragment = await encodePermalink(STATE);
+    await expect(decodePermalink(fragment.slice(0, 30))).rejects.toThrow('This link is corrupt or incomplete');
+    await expect(decodePermalink('plan=x123')).rejects.toThrow('This link is corrupt or incomplete (unknown encoding)');
+    await expect(decodePermalink('plan=u!!!')).rejects.toThrow('This link is corrupt or incomplete');
+    const otherVersion = `plan=u${Buffer.from(JSON.stringify({ v: 99, plan: '' })).toString('base64url')}`;
+    await expect(decodePermalink(otherVersion)).rejects.toThrow('incompatible version');
+  });
+});
@@ -0,0 +1,158 @@
+// Local plan library kept in IndexedDB: every generated plan with its inputs, a
+// timestamp, an editable name, tags and the warning count at the time.
+//
+// An entry is { id, createdAt, updatedAt, name, tags, planText, statsText,
+// tablesText, sqlText, warningCount, nodeCount, annotations }. Timestamps are ISO
+// strings; annotations are the plan's review notes (src/plan/annotations.js).
+
+const DB_NAME = 'redshift-explain-visualizer';
+const DB_VERSION = 1;
+const STORE = 'plans';
+const LIBRARY_FILE_VERSION = 1;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('This browser has no IndexedDB storage, so the plan library is unavailable.'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs `operation(store)` in one transaction and resolves with the result of the
+// request it returns, once the transaction has committed
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Newest first
+export async function listPlans() {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// "Hash Join — sales, listing" from the root operator and the first scanned tables
+export function defaultPlanName(plan) {
+  const root = plan.nodes[plan.root];
+  const relations = [...new Set(plan.order.map(id => plan.nodes[id].relation).filter(Boolean))];
+  const tables = relations.length > 3 ? `${relations.slice(0, 3).join(', ')}, …` : relations.join(', ');
+  return root ? `${root.operator}${tables ? ` — ${tables}` : ''}` : 'Empty plan';
+}
+
+// Saves a generated plan. Regenerating the newest entry's plan text updates it
+// instead of adding a duplicate. Resolves with the entry's id.
+export async function recordPlan({ plan, planText, statsText, tablesText, sqlText, warningCount, annotations = [] }) {
+  const now = new Date().toISOString();
+  const [latest] = await listPlans();
+  if (latest && latest.planText === planText) {
+    await withStore('readwrite', store => store.put({ ...latest, statsText, tablesText, sqlText, warningCount, annotations, updatedAt: now }));
+    return latest.id;
+  }
+  return withStore('readwrite', store => store.add({
+    createdAt: now,
+    updatedAt: now,
+    name: defaultPlanName(plan),
+    tags: [],
+    planText,
+    statsText,
+    tablesText,
+    sqlText,
+    warningCount,
+    nodeCount: plan.order.length,
+    annotations,
+  }));
+}
+
+export async function updatePlan(id, changes) {
+  const entry = await withStore('readonly', store => store.get(id));
+  if (!entry) {
+    throw new Error(`Plan ${id} is no longer in the library.`);
+  }
+  await withStore('readwrite', store => store.put({ ...entry, ...changes, id, updatedAt: new Date().toISOString() }));
+}
+
+export function deletePlan(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
+
+// Every whitespace-separated term must appear in the name, a tag or the plan text
+export function searchPlans(entries, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    const haystack = [entry.name, ...entry.tags, entry.planText].join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+// Tags are typed as a comma-separated list
+export function parseTags(text) {
+  return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+export function serializeLibrary(entries) {
+  return JSON.stringify({ version: LIBRARY_FILE_VERSION, exportedAt: new Date().toISOString(), plans: entries }, null, 2);
+}
+
+// Validates an exported library file and returns its entries without ids
+export function parseLibraryFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`The library file is not valid JSON: ${e.message}`);
+  }
+  if (!data || data.version !== LIBRARY_FILE_VERSION || !Array.isArray(data.plans)) {
+    throw new Error('This is not a plan library file exported by the visualizer.');
+  }
+  return data.plans.map((entry, index) => {
+    if (!entry || typeof entry.planText !== 'string' || typeof entry.createdAt !== 'string') {
+      throw new Error(`Plan ${index + 1} in the library file has no plan text or timestamp.`);
+    }
+    const { id, ...rest } = entry;
+    return {
+      ...rest,
+      name: typeof entry.name === 'string' ? entry.name : 'Imported plan',
+      tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+      statsText: entry.statsText || '',
+      tablesText: entry.tablesText || '',
+      sqlText: entry.sqlText || '',
+      warningCount: Number(entry.warningCount) || 0,
+      nodeCount: Number(entry.nodeCount) || 0,
+      annotations: Array.isArray(entry.annotations) ? entry.annotations : [],
+      updatedAt: entry.updatedAt || entry.createdAt,
+    };
+  });
+}
+
+// Adds the file's plans, skipping ones already in the library (same text and timestamp).
+// Resolves with the number of plans added.
+export async function importLibrary(text) {
+  const imported = parseLibraryFile(text);
+  const existing = new Set((await listPlans()).map(entry => `${entry.createdAt}\n${entry.planText}`));
+  const added = imported.filter(entry => !existing.has(`${entry.createdAt}\n${entry.planText}`));
+  if (added.length > 0) {
+    await withStore('readwrite', store => {
+      added.forEach(entry => store.add(entry));
+      return null;
+    });
+  }
+  return added.length;
+}
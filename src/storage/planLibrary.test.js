@@ -0,0 +1,41 @@
+import { parsePlan } from '../plan/parsePlan';
+import { defaultPlanName, parseLibraryFile, parseTags, searchPlans, serializeLibrary } from './planLibrary';
+
+const ENTRIES = [
+  { id: 1, name: 'Nightly orders load', tags: ['etl-orders', 'prod-cluster'], planText: 'XN Seq Scan on orders' },
+  { id: 2, name: 'Dashboard query', tags: ['adhoc'], planText: 'XN Hash Join DS_BCAST_INNER' },
+];
+
+describe('plan library helpers', () => {
+  test('names a plan after its root operator and scanned tables', () => {
+    const plan = parsePlan(`XN Hash Join DS_BCAST_INNER  (cost=0.00..118.00 rows=1000 width=8)
+  ->  XN Seq Scan on sales  (cost=0.00..59.00 rows=1000 width=4)
+  ->  XN Hash  (cost=0.00..59.00 rows=1000 width=4)
+        ->  XN Seq Scan on listing  (cost=0.00..59.00 rows=1000 width=4)`);
+    expect(defaultPlanName(plan)).toBe('Hash Join — sales, listing');
+  });
+
+  test('searches names, tags and plan text with every term required', () => {
+    expect(searchPlans(ENTRIES, '').map(entry => entry.id)).toEqual([1, 2]);
+    expect(searchPlans(ENTRIES, 'PROD').map(entry => entry.id)).toEqual([1]);
+    expect(searchPlans(ENTRIES, 'bcast dashboard').map(entry => entry.id)).toEqual([2]);
+    expect(searchPlans(ENTRIES, 'bcast orders')).toEqual([]);
+  });
+
+  test('parses comma-separated tags', () => {
+    expect(parseTags(' etl , prod-cluster,,etl ')).toEqual(['etl', 'prod-cluster']);
+  });
+
+  test('round-trips the library through its export file without ids', () => {
+    const saved = [{ ...ENTRIES[0], createdAt: '2024-05-01T10:00:00.000Z', updatedAt: '2024-05-02T10:00:00.000Z', statsText: '', tablesText: '', sqlText: 'SELECT 1', warningCount: 3, nodeCount: 1, annotations: [{ id: 'note-1', nodeId: 'node0', author: 'Sam', text: 'Check the filter', resolved: false, createdAt: '2024-05-01T11:00:00.000Z' }] }];
+    const [entry] = parseLibraryFile(serializeLibrary(saved));
+    expect(entry.id).toBeUndefined();
+    expect(entry).toEqual({ ...saved[0], id: undefined });
+  });
+
+  test('rejects files that are not plan libraries', () => {
+    expect(() => parseLibraryFile('{')).toThrow('not valid JSON');
+    expect(() => parseLibraryFile('{"plans": []}')).toThrow('not a plan library file');
+    expect(() => parseLibraryFile('{"version": 1, "plans": [{"name": "x"}]}')).toThrow('Plan 1 in the library file has no plan text');
+  });
+});
@@ -0,0 +1,21 @@
+// QMR rules for the simulator live in localStorage so they survive a reload.
+
+const STORAGE_KEY = 'redshift-explain-visualizer.qmrRules';
+
+export function loadQmrRules() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    // Unreadable or blocked storage just means we start with no rules
+    return [];
+  }
+}
+
+export function saveQmrRules(rules) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (e) {
+    // Private browsing or a full quota; the rules still apply for this session
+  }
+}
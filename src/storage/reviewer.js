@@ -0,0 +1,19 @@
+// The name review notes are signed with, remembered between sessions.
+
+const STORAGE_KEY = 'redshift-explain-visualizer.reviewer';
+
+export function loadReviewerName() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+export function saveReviewerName(name) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, name);
+  } catch (e) {
+    // Blocked storage only means the name has to be typed again next time
+  }
+}
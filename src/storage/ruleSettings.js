@@ -0,0 +1,21 @@
+// Rule settings live in localStorage so thresholds survive a reload.
+
+const STORAGE_KEY = 'redshift-explain-visualizer.ruleSettings';
+
+export function loadRuleSettings() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (e) {
+    // Unreadable or blocked storage just means we start from the defaults
+    return {};
+  }
+}
+
+export function saveRuleSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Private browsing or a full quota; the settings still apply for this session
+  }
+}
@@ -0,0 +1,4 @@
+// Kept apart from planWorkerClient so `import.meta` is only loaded by bundles that can run workers
+export function createPlanWorker() {
+  return new Worker(new URL('./planWorker.js', import.meta.url));
+}
@@ -0,0 +1,14 @@
+import { planTasks } from '../plan/planTasks';
+
+// Runs plan tasks off the main thread. Messages in: { id, type, payload };
+// messages out: { id, progress } while running, then { id, result } or { id, error }.
+const worker = self; // eslint-disable-line no-restricted-globals
+
+worker.onmessage = ({ data: { id, type, payload } }) => {
+  try {
+    const report = (message, step, steps) => worker.postMessage({ id, progress: { message, step, steps } });
+    worker.postMessage({ id, result: planTasks[type](payload, report) });
+  } catch (e) {
+    worker.postMessage({ id, error: e instanceof Error ? e.message : String(e) });
+  }
+};
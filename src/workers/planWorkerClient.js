@@ -0,0 +1,111 @@
+import { planTasks } from '../plan/planTasks';
+
+// Sends plan tasks to a shared worker and routes its replies back by task id.
+// Where workers are unavailable (tests, restricted pages) tasks run on the main
+// thread after a tick, so the caller's progress state still renders first.
+
+let workerPromise = null;
+let nextTaskId = 0;
+const pendingTasks = new Map(); // id -> { type, payload, onProgress, onResult, onError, worker }
+const terminatedWorkers = new WeakSet();
+
+function handleMessage({ data }) {
+  const task = pendingTasks.get(data.id);
+  if (!task) {
+    return;
+  }
+  if (data.progress) {
+    task.onProgress(data.progress);
+    return;
+  }
+  pendingTasks.delete(data.id);
+  if (data.error !== undefined) {
+    task.onError(new Error(data.error));
+  } else {
+    task.onResult(data.result);
+  }
+}
+
+function getWorker() {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(null);
+  }
+  if (!workerPromise) {
+    workerPromise = import('./createPlanWorker')
+      .then(({ createPlanWorker }) => {
+        const worker = createPlanWorker();
+        worker.onmessage = handleMessage;
+        return worker;
+      })
+      // A worker that cannot be created just means working on the main thread
+      .catch(() => null);
+  }
+  return workerPromise;
+}
+
+function runOnMainThread(id) {
+  setTimeout(() => {
+    const task = pendingTasks.get(id);
+    if (!task) {
+      return;
+    }
+    try {
+      const result = planTasks[task.type](task.payload, (message, step, steps) => task.onProgress({ message, step, steps }));
+      pendingTasks.delete(id);
+      task.onResult(result);
+    } catch (e) {
+      pendingTasks.delete(id);
+      task.onError(e);
+    }
+  }, 0);
+}
+
+function dispatch(id) {
+  getWorker().then(worker => {
+    const task = pendingTasks.get(id);
+    if (!task) {
+      return;
+    }
+    if (!worker) {
+      runOnMainThread(id);
+    } else if (terminatedWorkers.has(worker)) {
+      // Cancelled in the meantime; getWorker() now starts a fresh one
+      dispatch(id);
+    } else {
+      task.worker = worker;
+      worker.postMessage({ id, type: task.type, payload: task.payload });
+    }
+  });
+}
+
+// Stopping a running task means terminating the worker; any other queued tasks are
+// re-sent to a fresh one.
+function cancelTask(id) {
+  if (!pendingTasks.delete(id) || !workerPromise) {
+    return;
+  }
+  const stale = workerPromise;
+  workerPromise = null;
+  stale.then(worker => {
+    if (!worker) {
+      return;
+    }
+    worker.terminate();
+    terminatedWorkers.add(worker);
+    pendingTasks.forEach((task, taskId) => {
+      if (task.worker === worker) {
+        dispatch(taskId);
+      }
+    });
+  });
+}
+
+// Runs planTasks[type] with the payload. Callbacks: onProgress({ message, step, steps }),
+// onResult(result), onError(error). Returns a function that cancels the task; after
+// cancelling none of the callbacks fire.
+export function runPlanTask(type, payload, { onProgress = () => {}, onResult, onError }) {
+  const id = nextTaskId++;
+  pendingTasks.set(id, { type, payload, onProgress, onResult, onError });
+  dispatch(id);
+  return () => cancelTask(id);
+}